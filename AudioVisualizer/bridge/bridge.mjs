@@ -0,0 +1,110 @@
+// --- OSC Bridge ---
+// Relays OSC from lighting desks and show-control software to the
+// visualizer page. OSC arrives over UDP; every message is forwarded to all
+// connected pages over WebSocket as JSON: { "address": "/mode", "args": ["lightning"] }
+//
+//   node bridge/bridge.mjs [--udp 9000] [--ws 9001] [--host 127.0.0.1]
+//
+// Then tick Listen under "Remote control" in the MIDI panel. The setting
+// stays on this machine: presets and shared links never turn it on. Both
+// sockets bind to localhost only; pass --host 0.0.0.0 when the desk is on
+// another machine. The page itself only connects to a bridge elsewhere if
+// that address is typed into its bridge field.
+//
+// Addresses the page understands:
+//   /mode <id | index>                 switch effect (index counts from 0)
+//   /param/<effect>/<name> <value>     set an effect parameter, clamped to its range
+//   /beat                              accented beat on the current effect
+//   /transition <type> [duration]      crossfade, dissolve-noise, zoom-blur, wipe or cut; seconds
+//
+// Try it without a desk: node bridge/send.mjs --demo
+import { createSocket } from 'node:dgram';
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { decodePacket } from './osc.mjs';
+import { WebSocketServer } from './websocket.mjs';
+
+export const DEFAULT_OPTIONS = { host: '127.0.0.1', udp: 9000, ws: 9001 };
+
+// Blobs go to the page as plain byte arrays
+function toJson(message) {
+    return JSON.stringify({
+        address: message.address,
+        args: message.args.map(arg => Buffer.isBuffer(arg) ? Array.from(arg) : arg)
+    });
+}
+
+// Resolves once both sockets are listening. Port 0 picks a free port; the
+// actual ports are on bridge.udpPort / bridge.wsPort.
+export function startBridge(options = {}, log = console) {
+    const { host, udp, ws } = { ...DEFAULT_OPTIONS, ...options };
+    const server = createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('OSC bridge: connect with a WebSocket\n');
+    });
+    const sockets = new WebSocketServer(server);
+    const udpSocket = createSocket('udp4');
+
+    const bridge = {
+        udpPort: 0,
+        wsPort: 0,
+        sockets,
+        close() {
+            sockets.close();
+            udpSocket.close();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+
+    sockets.on('connection', socket => log.log(`Page connected from ${socket.remoteAddress}`));
+    sockets.on('disconnect', () => log.log('Page disconnected'));
+
+    udpSocket.on('message', (packet, remote) => {
+        let messages;
+        try {
+            messages = decodePacket(packet);
+        } catch (err) {
+            log.error(`Dropped OSC packet from ${remote.address}:${remote.port}: ${err.message}`);
+            return;
+        }
+        messages.forEach(message => sockets.broadcast(toJson(message)));
+    });
+    udpSocket.on('error', err => log.error('UDP socket error:', err));
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        udpSocket.once('error', reject);
+        udpSocket.bind(udp, host, () => {
+            server.listen(ws, host, () => {
+                bridge.udpPort = udpSocket.address().port;
+                bridge.wsPort = server.address().port;
+                resolve(bridge);
+            });
+        });
+    });
+}
+
+export function parseArgs(argv) {
+    const options = { ...DEFAULT_OPTIONS };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i].replace(/^--/, '');
+        if (!(flag in options)) throw new Error(`Unknown option ${argv[i]}`);
+        const value = argv[++i];
+        if (value === undefined) throw new Error(`${argv[i - 1]} needs a value`);
+        options[flag] = flag === 'host' ? value : parseInt(value, 10);
+        if (Number.isNaN(options[flag])) throw new Error(`${argv[i - 1]} needs a port number`);
+    }
+    return options;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        const bridge = await startBridge(options);
+        console.log(`OSC in on udp://${options.host}:${bridge.udpPort}, pages on ws://${options.host}:${bridge.wsPort}`);
+        process.on('SIGINT', () => bridge.close().then(() => process.exit(0)));
+    } catch (err) {
+        console.error('Could not start the OSC bridge:', err.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,190 @@
+// Run with: node --test bridge/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect } from 'node:net';
+import { randomBytes } from 'node:crypto';
+import { decodePacket, encodeBundle, encodeMessage } from './osc.mjs';
+import { acceptKey, decodeFrame, encodeFrame } from './websocket.mjs';
+import { parseArgs, startBridge } from './bridge.mjs';
+import { OscSender, parseValue } from './send.mjs';
+
+const quiet = { log() {}, error() {} };
+
+// Just enough of a WebSocket client to read what the bridge relays
+function openPage(port) {
+    return new Promise((resolve, reject) => {
+        const socket = connect(port, '127.0.0.1');
+        const key = randomBytes(16).toString('base64');
+        const frames = [];
+        const waiting = [];
+        let pending = Buffer.alloc(0);
+        let upgraded = false;
+
+        const page = {
+            socket,
+            // Resolves with the next frame from the server
+            next() {
+                if (frames.length > 0) return Promise.resolve(frames.shift());
+                return new Promise(r => waiting.push(r));
+            },
+            // Clients must mask what they send
+            send(opcode, payload) {
+                const frame = encodeFrame(opcode, payload);
+                const mask = randomBytes(4);
+                const headerLength = frame.length - payload.length;
+                const masked = Buffer.alloc(frame.length + 4);
+                frame.copy(masked, 0, 0, headerLength);
+                masked[1] |= 0x80;
+                mask.copy(masked, headerLength);
+                for (let i = 0; i < payload.length; i++) masked[headerLength + 4 + i] = payload[i] ^ mask[i % 4];
+                socket.write(masked);
+            }
+        };
+
+        socket.on('error', reject);
+        socket.on('connect', () => {
+            socket.write([
+                'GET / HTTP/1.1',
+                `Host: 127.0.0.1:${port}`,
+                'Upgrade: websocket',
+                'Connection: Upgrade',
+                `Sec-WebSocket-Key: ${key}`,
+                'Sec-WebSocket-Version: 13',
+                '', ''
+            ].join('\r\n'));
+        });
+        socket.on('data', (chunk) => {
+            pending = Buffer.concat([pending, chunk]);
+            if (!upgraded) {
+                const end = pending.indexOf('\r\n\r\n');
+                if (end === -1) return;
+                const head = pending.toString('utf8', 0, end);
+                pending = pending.subarray(end + 4);
+                upgraded = true;
+                if (!head.startsWith('HTTP/1.1 101') || !head.includes(`Sec-WebSocket-Accept: ${acceptKey(key)}`)) {
+                    reject(new Error(`Bad handshake: ${head}`));
+                    return;
+                }
+                resolve(page);
+            }
+            let frame;
+            while ((frame = decodeFrame(pending))) {
+                pending = pending.subarray(frame.size);
+                if (waiting.length > 0) waiting.shift()(frame);
+                else frames.push(frame);
+            }
+        });
+    });
+}
+
+async function nextMessage(page) {
+    const frame = await page.next();
+    assert.equal(frame.opcode, 0x1);
+    return JSON.parse(frame.payload.toString('utf8'));
+}
+
+// Waits until the bridge has counted the page, so nothing sent is missed
+async function connectedPage(bridge) {
+    const connected = new Promise(resolve => bridge.sockets.once('connection', resolve));
+    const page = await openPage(bridge.wsPort);
+    await connected;
+    return page;
+}
+
+test('OSC messages round-trip through the codec', () => {
+    const packet = encodeMessage('/param/lightning/strikeInterval', [400, 0.5, 'on', true, null, Buffer.from([1, 2, 3])]);
+    assert.equal(packet.length % 4, 0);
+    const [message] = decodePacket(packet);
+    assert.equal(message.address, '/param/lightning/strikeInterval');
+    assert.deepEqual(message.args.slice(0, 5), [400, 0.5, 'on', true, null]);
+    assert.deepEqual(Array.from(message.args[5]), [1, 2, 3]);
+});
+
+test('bundles decode to their messages in order', () => {
+    const packet = encodeBundle([encodeMessage('/mode', ['lightning']), encodeMessage('/beat')]);
+    assert.deepEqual(decodePacket(packet), [
+        { address: '/mode', args: ['lightning'] },
+        { address: '/beat', args: [] }
+    ]);
+});
+
+test('malformed packets throw', () => {
+    assert.throws(() => decodePacket(Buffer.alloc(3)));
+    assert.throws(() => decodePacket(Buffer.from('mode\0\0\0\0')));
+    assert.throws(() => decodePacket(Buffer.from('/x\0\0,i\0\0'))); // int32 missing
+});
+
+test('the fake sender parses its command-line values', () => {
+    assert.equal(parseValue('400'), 400);
+    assert.equal(parseValue('0.25'), 0.25);
+    assert.equal(parseValue('true'), true);
+    assert.equal(parseValue('lightning'), 'lightning');
+    assert.equal(parseValue(''), '');
+});
+
+test('bridge options default to localhost', () => {
+    assert.deepEqual(parseArgs([]), { host: '127.0.0.1', udp: 9000, ws: 9001 });
+    assert.deepEqual(parseArgs(['--udp', '7000', '--ws', '7001']), { host: '127.0.0.1', udp: 7000, ws: 7001 });
+    assert.throws(() => parseArgs(['--tcp', '1']));
+    assert.throws(() => parseArgs(['--udp']));
+});
+
+test('the bridge relays OSC from the sender to every page', async () => {
+    const bridge = await startBridge({ udp: 0, ws: 0 }, quiet);
+    const sender = new OscSender({ port: bridge.udpPort });
+    try {
+        const first = await connectedPage(bridge);
+        const second = await connectedPage(bridge);
+
+        await sender.send('/mode', ['lightning']);
+        assert.deepEqual(await nextMessage(first), { address: '/mode', args: ['lightning'] });
+        assert.deepEqual(await nextMessage(second), { address: '/mode', args: ['lightning'] });
+
+        await sender.sendBundle([['/transition', 'wipe', 2], ['/beat']]);
+        assert.deepEqual(await nextMessage(first), { address: '/transition', args: ['wipe', 2] });
+        assert.deepEqual(await nextMessage(first), { address: '/beat', args: [] });
+
+        first.socket.destroy();
+        second.socket.destroy();
+    } finally {
+        sender.close();
+        await bridge.close();
+    }
+});
+
+test('the bridge skips bad packets and keeps going', async () => {
+    const errors = [];
+    const bridge = await startBridge({ udp: 0, ws: 0 }, { log() {}, error: (text) => errors.push(text) });
+    const sender = new OscSender({ port: bridge.udpPort });
+    try {
+        const page = await connectedPage(bridge);
+        await sender.sendPacket(Buffer.from('junk'));
+        await sender.send('/beat');
+        assert.deepEqual(await nextMessage(page), { address: '/beat', args: [] });
+        assert.equal(errors.length, 1);
+        page.socket.destroy();
+    } finally {
+        sender.close();
+        await bridge.close();
+    }
+});
+
+test('pages get pongs and clean closes', async () => {
+    const bridge = await startBridge({ udp: 0, ws: 0 }, quiet);
+    try {
+        const page = await connectedPage(bridge);
+        page.send(0x9, Buffer.from('hi'));
+        const pong = await page.next();
+        assert.equal(pong.opcode, 0xa);
+        assert.equal(pong.payload.toString(), 'hi');
+
+        const gone = new Promise(resolve => bridge.sockets.once('disconnect', resolve));
+        page.send(0x8, Buffer.from([0x03, 0xe8]));
+        const close = await page.next();
+        assert.equal(close.opcode, 0x8);
+        await gone;
+        assert.equal(bridge.sockets.clients.size, 0);
+    } finally {
+        await bridge.close();
+    }
+});
@@ -0,0 +1,136 @@
+// --- OSC 1.0 encoding ---
+// Just enough of the spec for show control: messages and bundles with int32,
+// float32, string, blob, int64, double, true/false/nil/impulse arguments.
+// Bundles are flattened - timetags are ignored and everything runs on arrival.
+
+// OSC strings and blobs are padded with zeros to a multiple of 4 bytes
+function padded(length) {
+    return (length + 3) & ~3;
+}
+
+function readString(buffer, offset) {
+    const end = buffer.indexOf(0, offset);
+    if (end === -1) throw new Error(`Unterminated string at byte ${offset}`);
+    return { value: buffer.toString('utf8', offset, end), offset: offset + padded(end - offset + 1) };
+}
+
+function readArgument(type, buffer, offset) {
+    switch (type) {
+        case 'i': return { value: buffer.readInt32BE(offset), offset: offset + 4 };
+        // float32 has ~7 significant digits; don't pass 0.8 on as 0.800000011920929
+        case 'f': return { value: parseFloat(buffer.readFloatBE(offset).toPrecision(7)), offset: offset + 4 };
+        case 'h': return { value: Number(buffer.readBigInt64BE(offset)), offset: offset + 8 };
+        case 'd': return { value: buffer.readDoubleBE(offset), offset: offset + 8 };
+        case 's':
+        case 'S': return readString(buffer, offset);
+        case 'b': {
+            const length = buffer.readInt32BE(offset);
+            const start = offset + 4;
+            if (start + length > buffer.length) throw new Error(`Blob overruns the packet at byte ${offset}`);
+            return { value: buffer.subarray(start, start + length), offset: start + padded(length) };
+        }
+        case 'T': return { value: true, offset };
+        case 'F': return { value: false, offset };
+        case 'N': return { value: null, offset };
+        case 'I': return { value: null, offset }; // Impulse ("bang"): the message itself is the event
+        default: throw new Error(`Unsupported OSC type tag "${type}"`);
+    }
+}
+
+function decodeMessage(buffer) {
+    const address = readString(buffer, 0);
+    if (!address.value.startsWith('/')) throw new Error(`Bad OSC address "${address.value}"`);
+
+    // A missing type tag string is allowed by old senders and means no arguments
+    if (address.offset >= buffer.length) return { address: address.value, args: [] };
+    const tags = readString(buffer, address.offset);
+    if (!tags.value.startsWith(',')) throw new Error(`Bad OSC type tags "${tags.value}"`);
+
+    const args = [];
+    let offset = tags.offset;
+    for (const type of tags.value.slice(1)) {
+        if (type === '[' || type === ']') continue; // Array markers: flatten
+        const arg = readArgument(type, buffer, offset);
+        args.push(arg.value);
+        offset = arg.offset;
+    }
+    return { address: address.value, args };
+}
+
+// Returns every message in the packet, bundles unpacked in order.
+// Throws on malformed input (RangeError for truncated packets).
+export function decodePacket(buffer) {
+    if (buffer.length === 0 || buffer.length % 4 !== 0) {
+        throw new Error(`OSC packets are a multiple of 4 bytes, got ${buffer.length}`);
+    }
+    if (buffer[0] !== 0x23) return [decodeMessage(buffer)]; // Not '#'
+
+    const header = readString(buffer, 0);
+    if (header.value !== '#bundle') throw new Error(`Bad OSC bundle header "${header.value}"`);
+
+    const messages = [];
+    let offset = header.offset + 8; // Skip the timetag
+    while (offset < buffer.length) {
+        const size = buffer.readInt32BE(offset);
+        const start = offset + 4;
+        if (size <= 0 || start + size > buffer.length) throw new Error(`Bad bundle element size ${size}`);
+        messages.push(...decodePacket(buffer.subarray(start, start + size)));
+        offset = start + size;
+    }
+    return messages;
+}
+
+function encodeString(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    const buffer = Buffer.alloc(padded(bytes.length + 1));
+    bytes.copy(buffer);
+    return buffer;
+}
+
+// Whole numbers go out as int32, other numbers as float32
+export function encodeMessage(address, args = []) {
+    let tags = ',';
+    const parts = [];
+    for (const arg of args) {
+        if (typeof arg === 'number' && Number.isInteger(arg)) {
+            tags += 'i';
+            const part = Buffer.alloc(4);
+            part.writeInt32BE(arg);
+            parts.push(part);
+        } else if (typeof arg === 'number') {
+            tags += 'f';
+            const part = Buffer.alloc(4);
+            part.writeFloatBE(arg);
+            parts.push(part);
+        } else if (typeof arg === 'string') {
+            tags += 's';
+            parts.push(encodeString(arg));
+        } else if (typeof arg === 'boolean') {
+            tags += arg ? 'T' : 'F';
+        } else if (arg === null) {
+            tags += 'N';
+        } else if (Buffer.isBuffer(arg)) {
+            tags += 'b';
+            const part = Buffer.alloc(4 + padded(arg.length));
+            part.writeInt32BE(arg.length);
+            arg.copy(part, 4);
+            parts.push(part);
+        } else {
+            throw new Error(`Can't encode OSC argument ${arg}`);
+        }
+    }
+    return Buffer.concat([encodeString(address), encodeString(tags), ...parts]);
+}
+
+// Timetag 1 means "immediately"
+export function encodeBundle(messages) {
+    const timetag = Buffer.alloc(8);
+    timetag.writeUInt32BE(1, 4);
+    const parts = [encodeString('#bundle'), timetag];
+    for (const message of messages) {
+        const size = Buffer.alloc(4);
+        size.writeInt32BE(message.length);
+        parts.push(size, message);
+    }
+    return Buffer.concat(parts);
+}
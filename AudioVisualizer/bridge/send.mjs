@@ -0,0 +1,96 @@
+// --- Fake OSC Sender ---
+// Stands in for a lighting desk when trying out the bridge:
+//
+//   node bridge/send.mjs /mode lightning
+//   node bridge/send.mjs /param/lightning/strikeInterval 400
+//   node bridge/send.mjs --demo             a short scripted show
+//   node bridge/send.mjs --port 9000 --host 127.0.0.1 /beat
+//
+// Arguments that look like numbers are sent as numbers (int32 when whole,
+// float32 otherwise), true/false as booleans, anything else as a string.
+import { createSocket } from 'node:dgram';
+import { pathToFileURL } from 'node:url';
+import { encodeBundle, encodeMessage } from './osc.mjs';
+
+export function parseValue(text) {
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text.trim() !== '' && !isNaN(Number(text))) return Number(text);
+    return text;
+}
+
+// [delay in ms before sending, address, ...args]
+export const DEMO_SCRIPT = [
+    [0, '/transition', 'crossfade', 1],
+    [0, '/mode', 'lightning'],
+    [1500, '/beat'],
+    [500, '/beat'],
+    [500, '/param/lightning/strikeInterval', 300],
+    [1500, '/transition', 'zoom-blur', 0.8],
+    [0, '/mode', 0],
+    [1500, '/beat'],
+    [1000, '/transition', 'cut'],
+    [0, '/mode', 'lightning'],
+    [0, '/param/lightning/strikeInterval', 150]
+];
+
+export class OscSender {
+    constructor({ host = '127.0.0.1', port = 9000 } = {}) {
+        this.host = host;
+        this.port = port;
+        this.socket = createSocket('udp4');
+    }
+
+    sendPacket(packet) {
+        return new Promise((resolve, reject) => {
+            this.socket.send(packet, this.port, this.host, err => err ? reject(err) : resolve());
+        });
+    }
+
+    send(address, args = []) {
+        return this.sendPacket(encodeMessage(address, args));
+    }
+
+    // Several messages that should land on the same frame
+    sendBundle(messages) {
+        return this.sendPacket(encodeBundle(messages.map(([address, ...args]) => encodeMessage(address, args))));
+    }
+
+    close() {
+        this.socket.close();
+    }
+}
+
+async function playDemo(sender) {
+    for (const [delay, address, ...args] of DEMO_SCRIPT) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        console.log(address, ...args);
+        await sender.send(address, args);
+    }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const argv = process.argv.slice(2);
+    const options = {};
+    while (argv[0] === '--host' || argv[0] === '--port') {
+        const flag = argv.shift().slice(2);
+        options[flag] = flag === 'port' ? parseInt(argv.shift(), 10) : argv.shift();
+    }
+
+    const demo = argv[0] === '--demo';
+    if (!demo && !(argv[0] || '').startsWith('/')) {
+        console.error('Usage: node bridge/send.mjs [--host h] [--port p] (/address [args...] | --demo)');
+        process.exit(1);
+    }
+
+    const sender = new OscSender(options);
+    try {
+        if (demo) await playDemo(sender);
+        else await sender.send(argv[0], argv.slice(1).map(parseValue));
+    } catch (err) {
+        console.error('Could not send OSC:', err.message);
+        process.exitCode = 1;
+    } finally {
+        sender.close();
+    }
+}
@@ -0,0 +1,135 @@
+// --- Minimal WebSocket server (RFC 6455) ---
+// Only what the bridge needs: the handshake, text frames out, and reading
+// client frames far enough to answer pings and closes. Pages never send the
+// bridge anything else, so client text/binary data is dropped.
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_CLIENT_FRAME = 64 * 1024; // Anything bigger isn't one of ours
+
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+export function acceptKey(key) {
+    return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+// Server frames are never masked or fragmented
+export function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Reads one frame from the front of buffer: { opcode, payload, size } or
+// null if it hasn't all arrived yet
+export function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (length > MAX_CLIENT_FRAME) throw new Error(`Client frame of ${length} bytes is too big`);
+
+    const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (mask) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    return { opcode, payload, size: offset + length };
+}
+
+// Attaches to an http.Server and emits 'connection' (socket) and
+// 'disconnect' (socket) as pages come and go
+export class WebSocketServer extends EventEmitter {
+    constructor(server) {
+        super();
+        this.clients = new Set();
+        server.on('upgrade', (request, socket) => this.handleUpgrade(request, socket));
+    }
+
+    handleUpgrade(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        this.clients.add(socket);
+        this.emit('connection', socket);
+
+        let pending = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            pending = Buffer.concat([pending, chunk]);
+            try {
+                let frame;
+                while ((frame = decodeFrame(pending))) {
+                    pending = pending.subarray(frame.size);
+                    this.handleFrame(socket, frame);
+                }
+            } catch (err) {
+                socket.destroy(err);
+            }
+        });
+
+        const drop = () => {
+            if (this.clients.delete(socket)) this.emit('disconnect', socket);
+        };
+        socket.on('close', drop);
+        socket.on('error', drop);
+    }
+
+    handleFrame(socket, frame) {
+        if (frame.opcode === OPCODES.ping) {
+            socket.write(encodeFrame(OPCODES.pong, frame.payload));
+        } else if (frame.opcode === OPCODES.close) {
+            // Echo the close, then hang up
+            socket.end(encodeFrame(OPCODES.close, frame.payload.subarray(0, 2)));
+        }
+    }
+
+    broadcast(text) {
+        const frame = encodeFrame(OPCODES.text, Buffer.from(text, 'utf8'));
+        this.clients.forEach(socket => socket.write(frame));
+    }
+
+    close() {
+        this.clients.forEach(socket => socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0))));
+        this.clients.clear();
+    }
+}
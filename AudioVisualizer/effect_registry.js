@@ -0,0 +1,59 @@
+// --- Effect Registry ---
+// Shared between visualizer.js and third-party effect modules, so an effect
+// can be added without touching the visualizer itself. An effect is a class
+// with static metadata:
+//
+//   static id      unique key (button data-mode, playlist track modes);
+//                  registering a second effect with it throws
+//   static label   name shown in the controls bar
+//   static camera  { position: [x, y, z], lookAt: [x, y, z] } - optional
+//   static fog     { color, density } for THREE.FogExp2, or null - optional
+//   static params  { name: { label, min, max, step, default } } - optional;
+//                  { label, type: 'color', default: 0xrrggbb } for a color
+//
+// and the instance interface the manager drives:
+//
+//   constructor(scene, params)   params holds live values for every schema entry
+//   update(time, audioData, mouse, isDragging, dt)   once per rendered frame
+//   fixedUpdate(step, audioData)   optional, at a fixed rate for physics (60 Hz,
+//                                  drawn as is between steps)
+//   dispose()
+
+export const DEFAULT_CAMERA = { position: [0, 5, 15], lookAt: [0, 0, 0] };
+
+const effects = new Map();
+const listeners = [];
+
+export function registerEffect(EffectClass) {
+    const id = EffectClass.id;
+    if (!id) throw new Error(`Effect ${EffectClass.name} has no static id`);
+    // The UI built for the first one (mode button, panel entries) stays
+    // bound to it, so a second effect can't take over the id
+    if (effects.has(id)) throw new Error(`Effect "${id}" is already registered`);
+
+    effects.set(id, EffectClass);
+    listeners.forEach(listener => listener(EffectClass));
+    return EffectClass;
+}
+
+export function getEffect(id) {
+    return effects.get(id);
+}
+
+// In registration order
+export function listEffects() {
+    return Array.from(effects.values());
+}
+
+// Called for every effect registered from now on (plugins may load late)
+export function onEffectRegistered(listener) {
+    listeners.push(listener);
+}
+
+export function defaultParams(EffectClass) {
+    const params = {};
+    Object.entries(EffectClass.params || {}).forEach(([name, spec]) => {
+        params[name] = spec.default;
+    });
+    return params;
+}
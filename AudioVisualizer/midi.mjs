@@ -0,0 +1,129 @@
+// --- MIDI ---
+// Knob controllers through Web MIDI. Messages are looked up in midiMappings,
+// which MIDI-learn fills in and presets carry:
+//   'cc:<channel>:<number>' | 'note:<channel>:<number>' -> target id
+// What a target id means (a setting, an effect parameter, a shortcut action)
+// is up to the onControl callback; this module only turns messages into calls.
+// It needs no DOM beyond EventTarget, so midi.test.mjs runs it under Node.
+export const midiMappings = {};
+
+// { control, value: 0..1, pressed } for control changes and notes, else null
+export function parseMidiMessage(data) {
+    const status = data[0] & 0xf0;
+    const channel = (data[0] & 0x0f) + 1;
+    if (status === 0xb0) {
+        return { control: `cc:${channel}:${data[1]}`, value: data[2] / 127, pressed: data[2] >= 64 };
+    }
+    if (status === 0x90 || status === 0x80) {
+        const velocity = status === 0x90 ? data[2] : 0; // Note-on at velocity 0 is a note-off
+        return { control: `note:${channel}:${data[1]}`, value: velocity / 127, pressed: velocity > 0 };
+    }
+    return null;
+}
+
+export class MidiController {
+    // onControl(target, value, triggered): triggered is true on the message
+    // that presses a note or button (CC crossing 64 upwards)
+    constructor(onControl) {
+        this.onControl = onControl;
+        this.inputs = new Set();
+        this.learning = null;
+        this.pressed = {}; // Last pressed state per control
+        this.onMessage = (e) => this.handle(e.data);
+    }
+
+    // Hardware ports, plus any plugged in later
+    async connect() {
+        if (!navigator.requestMIDIAccess) throw new Error("Web MIDI is not supported in this browser");
+        const access = await navigator.requestMIDIAccess();
+        access.inputs.forEach(input => this.addInput(input));
+        access.addEventListener('statechange', (e) => {
+            if (e.port.type === 'input' && e.port.state === 'connected') this.addInput(e.port);
+        });
+    }
+
+    // A MIDIInput, or anything else firing 'midimessage' events (VirtualMidiInput)
+    addInput(input) {
+        if (this.inputs.has(input)) return;
+        this.inputs.add(input);
+        input.addEventListener('midimessage', this.onMessage);
+    }
+
+    // The next control moved or note played gets mapped to target
+    learn(target, callback) {
+        this.learning = { target, callback };
+    }
+
+    cancelLearn() {
+        this.learning = null;
+    }
+
+    handle(data) {
+        const message = parseMidiMessage(data);
+        if (!message) return;
+
+        const wasPressed = !!this.pressed[message.control];
+        this.pressed[message.control] = message.pressed;
+        // Releasing a pad would otherwise drop a mapped range to its minimum
+        if (!message.pressed && message.control.startsWith('note:')) return;
+
+        if (this.learning) {
+            const { target, callback } = this.learning;
+            this.learning = null;
+            midiMappings[message.control] = target;
+            if (callback) callback(message.control);
+            return;
+        }
+
+        const target = midiMappings[message.control];
+        if (target) this.onControl(target, message.value, message.pressed && !wasPressed);
+    }
+}
+
+// Stands in for a MIDIInput, so mappings can be driven without hardware:
+// the MIDI panel's on-screen controller and the tests send through one
+export class VirtualMidiInput extends EventTarget {
+    constructor(name = 'Virtual controller') {
+        super();
+        this.name = name;
+    }
+
+    send(bytes) {
+        const event = new Event('midimessage');
+        event.data = new Uint8Array(bytes);
+        this.dispatchEvent(event);
+    }
+
+    // Channels are 1-16, as controllers label them
+    controlChange(channel, number, value) {
+        this.send([0xb0 | (channel - 1), number, value]);
+    }
+
+    noteOn(channel, note, velocity = 127) {
+        this.send([0x90 | (channel - 1), note, velocity]);
+    }
+
+    noteOff(channel, note) {
+        this.send([0x80 | (channel - 1), note, 0]);
+    }
+}
+
+// 0..1 onto a schema's range, snapped to its step
+export function scaleToSpec(spec, value) {
+    const decimals = (String(spec.step).split('.')[1] || '').length;
+    const scaled = spec.min + value * (spec.max - spec.min);
+    return parseFloat((Math.round(scaled / spec.step) * spec.step).toFixed(decimals));
+}
+
+// For presets: a copy of the mappings, and replacing them from one. Entries
+// that aren't control -> target strings are dropped.
+export function saveMidiMappings() {
+    return { ...midiMappings };
+}
+
+export function loadMidiMappings(saved) {
+    Object.keys(midiMappings).forEach(control => delete midiMappings[control]);
+    Object.entries(saved).forEach(([control, target]) => {
+        if (typeof target === 'string') midiMappings[control] = target;
+    });
+}
@@ -0,0 +1,111 @@
+// Run with: node --test
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    midiMappings, parseMidiMessage, MidiController, VirtualMidiInput,
+    scaleToSpec, saveMidiMappings, loadMidiMappings
+} from './midi.mjs';
+
+// A controller wired to a virtual input, recording every onControl call
+function createRig() {
+    const calls = [];
+    const controller = new MidiController((target, value, triggered) => calls.push({ target, value, triggered }));
+    const input = new VirtualMidiInput();
+    controller.addInput(input);
+    return { calls, controller, input };
+}
+
+beforeEach(() => loadMidiMappings({}));
+
+test('parses control changes and notes with 1-based channels', () => {
+    assert.deepEqual(parseMidiMessage([0xb0, 7, 127]), { control: 'cc:1:7', value: 1, pressed: true });
+    assert.deepEqual(parseMidiMessage([0x9f, 36, 0]), { control: 'note:16:36', value: 0, pressed: false });
+    assert.deepEqual(parseMidiMessage([0x80, 36, 64]), { control: 'note:1:36', value: 0, pressed: false });
+    assert.equal(parseMidiMessage([0xe0, 0, 64]), null); // Pitch bend
+});
+
+test('learn maps the next control moved to the target', () => {
+    const { calls, controller, input } = createRig();
+    let learned = null;
+    controller.learn('config.bloomStrength', (control) => { learned = control; });
+
+    input.controlChange(2, 21, 40);
+    assert.equal(learned, 'cc:2:21');
+    assert.equal(midiMappings['cc:2:21'], 'config.bloomStrength');
+    assert.equal(controller.learning, null);
+    assert.equal(calls.length, 0); // The learning move itself drives nothing
+
+    input.controlChange(2, 21, 127);
+    assert.deepEqual(calls, [{ target: 'config.bloomStrength', value: 1, triggered: true }]);
+});
+
+test('a cancelled learn maps nothing', () => {
+    const { controller, input } = createRig();
+    controller.learn('zoom');
+    controller.cancelLearn();
+    input.controlChange(1, 1, 100);
+    assert.deepEqual(midiMappings, {});
+});
+
+test('unmapped controls are ignored', () => {
+    const { calls, input } = createRig();
+    loadMidiMappings({ 'cc:1:1': 'zoom' });
+    input.controlChange(1, 2, 100);
+    input.controlChange(2, 1, 100);
+    input.noteOn(1, 36);
+    assert.equal(calls.length, 0);
+});
+
+test('note-offs are filtered so a pad release leaves its range alone', () => {
+    const { calls, input } = createRig();
+    loadMidiMappings({ 'note:1:36': 'action.beat' });
+    input.noteOn(1, 36, 100);
+    input.noteOff(1, 36);
+    input.noteOn(1, 36, 0); // Note-on at velocity 0 is a note-off too
+    assert.deepEqual(calls, [{ target: 'action.beat', value: 100 / 127, triggered: true }]);
+});
+
+test('a CC triggers once when it crosses 64 upwards', () => {
+    const { calls, input } = createRig();
+    loadMidiMappings({ 'cc:1:64': 'action.togglePause' });
+    [0, 63, 64, 100, 20, 64].forEach(value => input.controlChange(1, 64, value));
+    assert.deepEqual(calls.map(call => call.triggered), [false, false, true, false, false, true]);
+    assert.deepEqual(calls.map(call => call.value), [0, 63, 64, 100, 20, 64].map(value => value / 127));
+});
+
+test('an input added twice delivers each message once', () => {
+    const { calls, controller, input } = createRig();
+    controller.addInput(input);
+    loadMidiMappings({ 'cc:1:1': 'zoom' });
+    input.controlChange(1, 1, 10);
+    assert.equal(calls.length, 1);
+});
+
+test('values scale onto a schema range, snapped to its step', () => {
+    const spec = { min: 50, max: 1000, step: 10 };
+    assert.equal(scaleToSpec(spec, 0), 50);
+    assert.equal(scaleToSpec(spec, 1), 1000);
+    assert.equal(scaleToSpec(spec, 64 / 127), 530);
+    assert.equal(scaleToSpec({ min: 0, max: 1, step: 0.05 }, 0.33), 0.35);
+});
+
+test('mappings round-trip through a preset', () => {
+    const { calls, controller, input } = createRig();
+    controller.learn('param.lightning.strikeInterval');
+    input.controlChange(1, 3, 0);
+
+    const preset = JSON.parse(JSON.stringify({ midi: saveMidiMappings() }));
+    loadMidiMappings({});
+    input.controlChange(1, 3, 127);
+    assert.equal(calls.length, 0);
+
+    loadMidiMappings(preset.midi);
+    input.controlChange(1, 3, 127);
+    assert.deepEqual(calls.map(call => [call.target, call.value]), [['param.lightning.strikeInterval', 1]]);
+});
+
+test('loading a preset replaces the mappings and drops junk entries', () => {
+    loadMidiMappings({ 'cc:1:1': 'zoom' });
+    loadMidiMappings({ 'cc:1:2': 'mode', 'cc:1:3': 42, 'cc:1:4': null });
+    assert.deepEqual(saveMidiMappings(), { 'cc:1:2': 'mode' });
+});
@@ -0,0 +1,88 @@
+// Example effect plugin. Loaded from index.html as its own module; it only
+// needs three and the effect registry, never visualizer.js.
+import * as THREE from 'three';
+import { registerEffect } from '../effect_registry.js';
+
+class SpectrumBarsEffect {
+    static id = 'spectrum-bars';
+    static label = 'Spectrum Ring';
+    static camera = { position: [0, 25, 35], lookAt: [0, 0, 0] };
+    static fog = { color: 0x000000, density: 0.012 };
+    static params = {
+        height: { label: 'Bar Height', min: 2, max: 30, step: 1, default: 12 },
+        radius: { label: 'Radius', min: 5, max: 25, step: 0.5, default: 12 },
+        spin: { label: 'Spin', min: 0, max: 1, step: 0.05, default: 0.1 }
+    };
+
+    constructor(scene, params) {
+        this.scene = scene;
+        this.params = params;
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+        this.init();
+    }
+
+    init() {
+        // One bar per analysis band, mirrored so low bands meet at the front
+        this.bars = [];
+        this.barCount = 64;
+        const geometry = new THREE.BoxGeometry(0.6, 1, 0.6);
+        geometry.translate(0, 0.5, 0); // Grow upwards from the floor
+
+        for (let i = 0; i < this.barCount; i++) {
+            const material = new THREE.MeshBasicMaterial({ color: 0xffffff });
+            const bar = new THREE.Mesh(geometry, material);
+            this.group.add(bar);
+            this.bars.push(bar);
+        }
+        this.geometry = geometry;
+
+        // Floor glow that swells on beats
+        const floorGeo = new THREE.CircleGeometry(1, 64);
+        floorGeo.rotateX(-Math.PI / 2);
+        this.floor = new THREE.Mesh(floorGeo, new THREE.MeshBasicMaterial({
+            color: 0x2266ff,
+            transparent: true,
+            opacity: 0.2,
+            blending: THREE.AdditiveBlending
+        }));
+        this.group.add(this.floor);
+        this.pulse = 0;
+    }
+
+    update(time, audioData, mouse, isDragging, dt) {
+        const bands = audioData.smoothedBands;
+        const half = this.barCount / 2;
+
+        for (let i = 0; i < this.barCount; i++) {
+            const bar = this.bars[i];
+            const angle = (i / this.barCount) * Math.PI * 2;
+            bar.position.set(Math.sin(angle) * this.params.radius, 0, Math.cos(angle) * this.params.radius);
+            bar.rotation.y = angle;
+
+            // Mirror: bars 0..half-1 walk up the spectrum, the rest walk back down
+            const t = i < half ? i / half : (this.barCount - 1 - i) / half;
+            const level = bands.length > 0 ? bands[Math.floor(t * (bands.length - 1))] : 0;
+            bar.scale.y = 0.1 + level * this.params.height;
+            bar.material.color.setHSL((t * 0.7 + time * 0.05) % 1.0, 1.0, 0.35 + level * 0.4);
+        }
+
+        if (audioData.beat) this.pulse = 1;
+        this.pulse *= Math.pow(0.9, dt * 60);
+        const floorScale = this.params.radius * (0.9 + this.pulse * 0.3);
+        this.floor.scale.set(floorScale, 1, floorScale);
+        this.floor.material.opacity = 0.15 + this.pulse * 0.4;
+
+        this.group.rotation.y = time * this.params.spin;
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.geometry.dispose();
+        this.bars.forEach(bar => bar.material.dispose());
+        this.floor.geometry.dispose();
+        this.floor.material.dispose();
+    }
+}
+
+registerEffect(SpectrumBarsEffect);
@@ -0,0 +1,124 @@
+// --- Tap Tempo ---
+// For when the detector can't lock (ambient intros, live sets): taps give a
+// tempo and a phase, and each tap lands on a beat. In 'nudge' mode they are
+// handed to the BeatDetector, which keeps tracking the audio from there; in
+// 'override' mode a beat clock runs off the taps alone and replaces the
+// detector's beats in every frame. A single tap after a pause re-syncs the
+// downbeat without changing the tempo.
+// Only reads the detector's tempo fields, so tempo.test.mjs runs it under Node.
+export const TAP_MODES = { nudge: 'Nudge detector', override: 'Override' };
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Halves or doubles bpm into [min, max]: the beat grid stays on the music,
+// every other beat or one in between
+export function foldTempo(bpm, min, max) {
+    while (bpm < min) bpm *= 2;
+    while (bpm > max) bpm /= 2;
+    return bpm;
+}
+
+export class TapTempo {
+    // config: read for tapTempoMode on every call, so settings apply at once
+    constructor(detector, config = { tapTempoMode: 'nudge' }) {
+        this.detector = detector;
+        this.config = config;
+        this.taps = [];
+        this.maxTaps = 8;
+        this.resetAfter = 2; // s without a tap starts a new count
+        this.minInterval = 0.1; // s; closer taps are bounces (or the clock is paused)
+        this.bpm = 0; // 0 = fewer than two taps so far
+
+        // Wider than the detector's: taps are for the music it can't follow
+        this.minBpm = 40;
+        this.maxBpm = 240;
+
+        // Tapped beat clock, kept like the detector's
+        this.beatTime = 0;
+        this.beatCount = 0;
+        this.tapBeat = false; // The tap itself shows as a beat on the next frame
+    }
+
+    get overriding() {
+        return this.config.tapTempoMode === 'override' && this.bpm > 0;
+    }
+
+    // time: the analyzer's clock
+    tap(time) {
+        const last = this.taps[this.taps.length - 1];
+        if (last !== undefined && time - last < this.minInterval) return;
+        if (last === undefined || time - last > this.resetAfter) {
+            this.taps = [];
+            this.beatCount = -1; // First tap of a count is the downbeat
+        }
+        this.taps.push(time);
+        if (this.taps.length > this.maxTaps) this.taps.shift();
+        if (this.taps.length >= 2) {
+            const bpm = 60 * (this.taps.length - 1) / (time - this.taps[0]);
+            this.bpm = clamp(bpm, this.minBpm, this.maxBpm);
+        }
+
+        // A tap just after a clock beat re-times that beat; one nearer the
+        // next beat is the next beat, fired now
+        const period = this.bpm > 0 ? 60 / this.bpm : Infinity;
+        if (this.beatCount < 0 || time - this.beatTime > period / 2) {
+            this.beatCount++;
+            this.tapBeat = true;
+        }
+        this.beatTime = time;
+
+        if (this.config.tapTempoMode === 'nudge' && this.bpm > 0) {
+            // Folded into the range the detector tracks, so handing it over can't upset it
+            const detector = this.detector;
+            detector.bpm = foldTempo(this.bpm, detector.minBpm, detector.maxBpm);
+            detector.beatTime = time;
+            detector.beatCount = this.beatCount;
+            detector.lastOnsetTime = time; // Or a quiet intro makes it forget the tempo at once
+        }
+    }
+
+    // Shifts whichever beat clock is in charge; positive is later
+    nudge(seconds) {
+        if (this.overriding) this.beatTime += seconds;
+        else if (this.detector.bpm > 0) this.detector.beatTime += seconds;
+    }
+
+    adjust(bpmDelta) {
+        const detector = this.detector;
+        if (this.overriding) this.bpm = clamp(this.bpm + bpmDelta, this.minBpm, this.maxBpm);
+        else if (detector.bpm > 0) detector.bpm = clamp(detector.bpm + bpmDelta, detector.minBpm, detector.maxBpm);
+    }
+
+    clear() {
+        this.taps = [];
+        this.bpm = 0;
+    }
+
+    // Rewrites the frame's beat fields in place
+    apply(frame, time) {
+        frame.accent = false;
+        if (this.overriding) {
+            const period = 60 / this.bpm;
+            let beat = false;
+            while (time - this.beatTime >= period) {
+                this.beatTime += period;
+                this.beatCount++;
+                beat = true;
+            }
+            const beatPhase = clamp((time - this.beatTime) / period, 0, 1);
+            frame.beat = beat;
+            frame.bpm = this.bpm;
+            frame.beatPhase = beatPhase;
+            frame.barPhase = ((this.beatCount % 4) + beatPhase) / 4;
+            frame.beatConfidence = 1;
+        }
+
+        // A tap is a cue, like the manager's manual accents: effects skip
+        // their rate limits for it. The clock's own beats stay rate-limited.
+        if (this.tapBeat) {
+            frame.beat = true;
+            frame.accent = true;
+            this.tapBeat = false;
+        }
+    }
+}
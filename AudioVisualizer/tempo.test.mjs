@@ -0,0 +1,76 @@
+// Run with: node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TapTempo, foldTempo } from './tempo.mjs';
+
+// The BeatDetector fields TapTempo reads and writes
+function createDetector() {
+    return { minBpm: 80, maxBpm: 160, bpm: 0, beatTime: 0, beatCount: 0, lastOnsetTime: -Infinity };
+}
+
+function tapAt(tempo, bpm, count, start = 10) {
+    for (let i = 0; i < count; i++) tempo.tap(start + i * 60 / bpm);
+}
+
+test('folds tempos into a range by halving or doubling', () => {
+    assert.equal(foldTempo(174, 80, 160), 87);
+    assert.equal(foldTempo(70, 80, 160), 140);
+    assert.equal(foldTempo(120, 80, 160), 120);
+});
+
+test('override mode keeps tempos outside the detector range', () => {
+    const config = { tapTempoMode: 'override' };
+    const fast = new TapTempo(createDetector(), config);
+    tapAt(fast, 174, 4);
+    assert.ok(Math.abs(fast.bpm - 174) < 1e-9);
+
+    const slow = new TapTempo(createDetector(), config);
+    tapAt(slow, 70, 4);
+    assert.ok(Math.abs(slow.bpm - 70) < 1e-9);
+
+    fast.adjust(100);
+    assert.equal(fast.bpm, fast.maxBpm);
+});
+
+test('nudge mode hands the detector a folded tempo on the tapped beat', () => {
+    const detector = createDetector();
+    const tempo = new TapTempo(detector);
+    tapAt(tempo, 174, 4);
+    assert.ok(Math.abs(detector.bpm - 87) < 1e-9);
+    assert.equal(detector.beatTime, tempo.beatTime);
+    assert.ok(Math.abs(tempo.bpm - 174) < 1e-9);
+});
+
+test('ignores taps closer than the bounce interval', () => {
+    const tempo = new TapTempo(createDetector());
+    tempo.tap(5);
+    tempo.tap(5);
+    tempo.tap(5.05);
+    assert.deepEqual(tempo.taps, [5]);
+    assert.equal(tempo.bpm, 0);
+});
+
+test('a tap fires an accented beat, so rate-limited effects strike on it', () => {
+    const tempo = new TapTempo(createDetector(), { tapTempoMode: 'override' });
+    tapAt(tempo, 120, 4); // Last tap at 11.5
+    tempo.apply({}, 11.5);
+
+    // Clock beats stay unaccented
+    const clockFrame = {};
+    tempo.apply(clockFrame, 12);
+    assert.equal(clockFrame.beat, true);
+    assert.equal(clockFrame.accent, false);
+
+    // LightningStormEffect strikes when accent is set or its strike gap has
+    // passed; a tap 0.3 s after the clock beat is inside any gap worth setting
+    tempo.tap(12.3);
+    const tapFrame = {};
+    tempo.apply(tapFrame, 12.3);
+    assert.equal(tapFrame.beat, true);
+    assert.equal(tapFrame.accent, true);
+
+    const nextFrame = {};
+    tempo.apply(nextFrame, 12.31);
+    assert.equal(nextFrame.beat, false);
+    assert.equal(nextFrame.accent, false);
+});
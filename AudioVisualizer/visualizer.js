@@ -1,7 +1,10 @@
 import * as THREE from 'three';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { Pass, FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { registerEffect, getEffect, listEffects, onEffectRegistered, defaultParams, DEFAULT_CAMERA } from './effect_registry.js';
+import { midiMappings, MidiController, VirtualMidiInput, scaleToSpec, saveMidiMappings, loadMidiMappings } from './midi.mjs';
+import { TAP_MODES, TapTempo, foldTempo } from './tempo.mjs';
 
 // --- Configuration ---
 const CONFIG = {
@@ -9,1222 +12,3071 @@ const CONFIG = {
     smoothingTimeConstant: 0.85,
     bloomStrength: 2.5, // Increased for more glow
     bloomRadius: 0.4,
-    bloomThreshold: 0.1
+    bloomThreshold: 0.1,
+    transitionType: 'crossfade', // Or 'cut'
+    transitionDuration: 1.5, // s, 0 = hard cut
+    autoPilotBars: 16, // Switch effects every N bars...
+    autoPilotDrops: true, // ...or when the music drops
+    autoPilotMinDwell: 15, // s
+    quality: 'auto', // 'auto' or a QUALITY_TIERS key
+    qualityMinFps: 45,
+    beatSensitivity: 1.5, // Onset threshold as a multiple of the recent spectral flux
+    tapTempoMode: 'nudge', // What taps do to the beat: 'nudge' | 'override', see tempo.mjs
+    bandCount: 32,
+    bandScale: 'log', // A FREQUENCY_SCALES key
+    minFrequency: 20,
+    maxFrequency: 16000,
+    agcEnabled: true,
+    agcTarget: 0.6, // Where the loudness envelope is held
+    agcAttack: 0.5, // s
+    agcRelease: 5.0, // s
+    agcMaxGain: 8,
+    demoPattern: 'house',
+    demoMuted: false,
+    remoteControl: false, // Listen to the OSC bridge, see bridge/bridge.mjs
+    remoteUrl: 'ws://localhost:9001'
 };
+const CONFIG_DEFAULTS = { ...CONFIG }; // For the settings panel's reset
+
+// CONFIG keys the settings panel edits, described like effect params so both
+// share the same inputs
+const ANALYSIS_SETTINGS = {
+    smoothingTimeConstant: { label: 'Smoothing', min: 0, max: 0.99, step: 0.01 },
+    beatSensitivity: { label: 'Beat Sensitivity', min: 1, max: 3, step: 0.05 },
+    bandCount: { label: 'Bands', min: 8, max: 128, step: 4 }
+};
+const BLOOM_SETTINGS = {
+    bloomStrength: { label: 'Strength', min: 0, max: 5, step: 0.1 },
+    bloomRadius: { label: 'Radius', min: 0, max: 1, step: 0.05 },
+    bloomThreshold: { label: 'Threshold', min: 0, max: 1, step: 0.01 }
+};
+const FFT_SIZES = [512, 1024, 2048, 4096, 8192];
 
 // --- Global State ---
-let audioContext, analyser, dataArray;
+let audioContext, inputBus, analyser, analyserLeft, analyserRight;
+let currentSource, currentStream;
+let currentSourceType = null; // 'system' | 'mic' | 'file' | 'demo'
+let playlist;
+let demoSynth;
 let manager;
-let isAudioActive = false;
 
 // --- Audio Logic ---
-async function startAudio(sourceType) {
+// options.files: File[] to queue (file source), options.deviceId: input device (mic source)
+async function startAudio(sourceType, options = {}) {
     try {
-        if (!audioContext) {
-            audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        }
-
-        if (analyser) {
-            analyser.disconnect();
-        }
-
-        analyser = audioContext.createAnalyser();
-        analyser.fftSize = CONFIG.fftSize;
-        analyser.smoothingTimeConstant = CONFIG.smoothingTimeConstant;
-
-        let stream;
-        if (sourceType === 'system') {
-            stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+        ensureAudioContext();
+        await audioContext.resume();
+
+        if (sourceType === 'file') {
+            // Local files: decoded in memory and played through the speakers as well
+            if (!playlist) {
+                playlist = new Playlist(audioContext);
+                playlist.onTrackChange = (track) => manager.setTrack(track);
+                playlist.onChange = renderPlaylist;
+            }
+            playlist.player.connect(inputBus);
+            if (options.files) {
+                await playlist.add(options.files);
+            } else if (playlist.current) {
+                await playlist.resume();
+            } else {
+                // Nothing queued yet - let the user pick something
+                fileInput.click();
+                return;
+            }
+            stopStream();
+            if (demoSynth) demoSynth.stop();
+        } else if (sourceType === 'demo') {
+            // Procedural track through the real analysers
+            stopStream();
+            if (playlist) playlist.stop();
+            if (!demoSynth) demoSynth = new DemoSynth(audioContext, inputBus);
+            demoSynth.start();
         } else {
-            stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
-        }
+            // Open the new stream before dropping the old one, so a cancelled
+            // picker leaves the current source running
+            let stream;
+            if (sourceType === 'system') {
+                stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+            } else {
+                const audio = options.deviceId ? { deviceId: { exact: options.deviceId } } : true;
+                stream = await navigator.mediaDevices.getUserMedia({ audio: audio, video: false });
+            }
 
-        const source = audioContext.createMediaStreamSource(stream);
-        source.connect(analyser);
+            stopStream();
+            if (playlist) playlist.stop();
+            if (demoSynth) demoSynth.stop();
+
+            currentStream = stream;
+            currentSource = audioContext.createMediaStreamSource(stream);
+            currentSource.connect(inputBus);
+
+            // "Stop sharing" in the browser UI ends the tracks behind our back
+            stream.getTracks().forEach(track => track.addEventListener('ended', () => {
+                if (currentStream !== stream) return;
+                stopStream();
+                manager.analyzer.setSource(null);
+                currentSourceType = null;
+                updateSourceUI();
+                scheduleUrlSync();
+            }));
+
+            // Device labels are only exposed once a permission has been granted
+            refreshInputDevices();
+        }
 
-        dataArray = new Uint8Array(analyser.frequencyBinCount);
-        isAudioActive = true;
+        manager.analyzer.setSource(analyser, analyserLeft, analyserRight);
+        currentSourceType = sourceType;
+        scheduleUrlSync();
 
         document.getElementById('overlay').classList.add('hidden');
         document.getElementById('controls').classList.remove('hidden');
+        updateSourceUI();
 
     } catch (err) {
+        if (sourceType === 'file') {
+            console.error("Error playing file:", err);
+            alert("Could not play file: " + err.message);
+            return;
+        }
         console.error("Error accessing audio:", err);
         alert("Error accessing audio: " + err.message + "\n\nPlease ensure you are using a supported browser (Chrome/Edge/Safari) and have granted permissions.");
-        if (confirm("Do you want to continue in Demo Mode?")) {
-            document.getElementById('overlay').classList.add('hidden');
-            document.getElementById('controls').classList.remove('hidden');
+        if (!currentSourceType && confirm("Do you want to continue in Demo Mode?")) {
+            startAudio('demo');
         }
     }
 }
 
-// --- Visual Effects ---
+// Created on first use; it only runs once the page has had a click or key
+// press, unless the browser allows autoplay
+function ensureAudioContext() {
+    if (audioContext) return;
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    ({ input: inputBus, analyser, analyserLeft, analyserRight } = createAnalysisGraph(audioContext));
+}
 
-class CosmicEffect {
-    constructor(scene) {
-        this.scene = scene;
-        this.group = new THREE.Group();
-        this.scene.add(this.group);
-        this.init();
+// Releases the capture stream so the browser's recording/sharing indicator goes away
+function stopStream() {
+    if (currentSource) {
+        currentSource.disconnect();
+        currentSource = null;
+    }
+    if (currentStream) {
+        currentStream.getTracks().forEach(track => track.stop());
+        currentStream = null;
     }
+}
 
-    init() {
-        // Shared Uniforms
-        this.uniforms = {
-            uTime: { value: 0 },
-            uAudioLow: { value: 0 },
-            uAudioMid: { value: 0 },
-            uAudioHigh: { value: 0 },
-            uMouse: { value: new THREE.Vector2(0, 0) },
-            uDragging: { value: 0.0 }
-        };
+// Every source feeds inputBus, which fans out to a mono analyser and to one
+// analyser per channel. The bus is forced to stereo so mono sources (most
+// mics) show up equally on both sides instead of only on the left. Offline
+// renders build the same graph in their own context.
+function createAnalysisGraph(context) {
+    const input = context.createGain();
+    input.channelCount = 2;
+    input.channelCountMode = 'explicit';
+    input.channelInterpretation = 'speakers';
+
+    const createAnalyser = () => {
+        const node = context.createAnalyser();
+        node.fftSize = CONFIG.fftSize;
+        node.smoothingTimeConstant = CONFIG.smoothingTimeConstant;
+        return node;
+    };
+
+    const mix = createAnalyser();
+    input.connect(mix);
+
+    const splitter = context.createChannelSplitter(2);
+    input.connect(splitter);
+    const left = createAnalyser();
+    const right = createAnalyser();
+    splitter.connect(left, 0);
+    splitter.connect(right, 1);
+
+    return { input, analyser: mix, analyserLeft: left, analyserRight: right };
+}
 
-        // 1. Central Rainbow Galaxy
-        this.initGalaxy();
+// --- File Playback ---
+// Plays decoded audio through AudioBufferSourceNodes. Source nodes are one-shot,
+// so pause/seek stop the current node and start a fresh one at the remembered
+// offset. A queued buffer is scheduled to start on the exact sample the current
+// one ends, so track changes are gapless and the analyser never sees silence.
+class FilePlayer {
+    constructor(context) {
+        this.context = context;
+        this.output = context.createGain();
+        this.output.connect(context.destination);
+
+        this.buffer = null;
+        this.source = null;
+        this.name = '';
+        this.offset = 0; // Track position (s) when playback last started/paused
+        this.startedAt = 0; // context.currentTime when playback last started
+        this.playing = false;
+        this.queued = null; // { buffer, name, source, startAt }
+
+        this.onAdvance = null; // Queued buffer took over
+        this.onEnded = null; // Ran out of audio with nothing queued
+    }
 
-        // 2. The Black Hole (Event Horizon + Accretion Disk)
-        this.initGalaxyCore();
+    load(buffer, name) {
+        this.stop();
+        this.buffer = buffer;
+        this.name = name;
+    }
 
-        // 3. Aurora Halo (Seamless)
-        this.initAuroraHalo();
+    connect(node) {
+        this.output.disconnect();
+        this.output.connect(this.context.destination);
+        this.output.connect(node);
+    }
 
-        // 4. Distant Starfield (Parallax)
-        this.initStarfield();
+    get duration() {
+        return this.buffer ? this.buffer.duration : 0;
+    }
 
-        // 5. Shooting Stars
-        this.initShootingStars();
+    get currentTime() {
+        if (!this.playing) return this.offset;
+        return Math.min(this.offset + this.context.currentTime - this.startedAt, this.duration);
     }
 
-    initGalaxy() {
-        const particleCount = 40000;
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(particleCount * 3);
-        const scales = new Float32Array(particleCount);
-        const randomness = new Float32Array(particleCount * 3);
+    play() {
+        if (!this.buffer || this.playing) return;
+        if (this.offset >= this.duration) this.offset = 0;
 
-        const radius = 30.0;
-        const height = 120.0;
+        this.source = this.createSource(this.buffer);
+        this.source.start(0, this.offset);
+        this.startedAt = this.context.currentTime;
+        this.playing = true;
 
-        for (let i = 0; i < particleCount; i++) {
-            const i3 = i * 3;
-            const r = Math.random() * radius + 5;
-            const theta = Math.random() * Math.PI * 2;
-            const y = (Math.random() - 0.5) * height;
+        this.scheduleQueued();
+    }
 
-            positions[i3] = Math.cos(theta) * r;
-            positions[i3 + 1] = y;
-            positions[i3 + 2] = Math.sin(theta) * r;
+    pause() {
+        if (!this.playing) return;
+        this.offset = this.currentTime;
+        this.unscheduleQueued();
+        this.stopSource();
+        this.playing = false;
+    }
 
-            scales[i] = Math.random();
-            randomness[i3] = Math.random();
-            randomness[i3 + 1] = Math.random();
-            randomness[i3 + 2] = Math.random();
+    toggle() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+
+    seek(time) {
+        const wasPlaying = this.playing;
+        this.pause();
+        this.offset = THREE.MathUtils.clamp(time, 0, this.duration);
+        if (wasPlaying) this.play();
+    }
+
+    stop() {
+        this.clearQueue();
+        this.stopSource();
+        this.playing = false;
+        this.offset = 0;
+    }
+
+    queue(buffer, name) {
+        this.clearQueue();
+        this.queued = { buffer, name, source: null, startAt: 0 };
+        if (this.playing) this.scheduleQueued();
+    }
+
+    clearQueue() {
+        this.unscheduleQueued();
+        this.queued = null;
+    }
+
+    scheduleQueued() {
+        const q = this.queued;
+        if (!q || q.source) return;
+        q.startAt = this.startedAt + (this.duration - this.offset);
+        q.source = this.createSource(q.buffer);
+        q.source.start(q.startAt);
+    }
+
+    unscheduleQueued() {
+        const q = this.queued;
+        if (!q || !q.source) return;
+        q.source.stop();
+        q.source.disconnect();
+        q.source = null;
+    }
+
+    createSource(buffer) {
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(this.output);
+        source.onended = () => this.handleEnded(source);
+        return source;
+    }
+
+    handleEnded(source) {
+        // Ignore nodes we stopped ourselves for pause/seek/unqueue
+        if (source !== this.source) return;
+
+        const q = this.queued;
+        if (q && q.source) {
+            // The queued buffer is already sounding - just promote it
+            this.source = q.source;
+            this.buffer = q.buffer;
+            this.name = q.name;
+            this.startedAt = q.startAt;
+            this.offset = 0;
+            this.queued = null;
+            if (this.onAdvance) this.onAdvance();
+            return;
         }
 
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('aScale', new THREE.BufferAttribute(scales, 1));
-        geometry.setAttribute('aRandomness', new THREE.BufferAttribute(randomness, 3));
+        this.source = null;
+        this.playing = false;
+        this.offset = this.duration;
+        if (this.onEnded) this.onEnded();
+    }
 
-        const material = new THREE.ShaderMaterial({
-            uniforms: this.uniforms,
-            vertexShader: `
-                uniform float uTime;
-                uniform float uAudioLow;
-                uniform float uAudioMid;
-                uniform float uAudioHigh;
-                attribute float aScale;
-                attribute vec3 aRandomness;
-                varying vec3 vColor;
-                varying float vAlpha;
+    stopSource() {
+        if (!this.source) return;
+        const source = this.source;
+        this.source = null;
+        source.stop();
+        source.disconnect();
+    }
+}
 
-                vec3 hsv2rgb(vec3 c) {
-                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-                }
+// Queue of local files on top of FilePlayer. Only the current and the next track
+// are kept decoded; the next one is decoded and queued as soon as a track starts.
+class Playlist {
+    constructor(context) {
+        this.context = context;
+        this.player = new FilePlayer(context);
+        this.player.onAdvance = () => this.handleAdvance();
+        this.player.onEnded = () => this.handleEnded();
+
+        this.tracks = [];
+        this.order = []; // Play order as indices into tracks
+        this.index = -1; // Current track
+        this.queuedIndex = -1;
+        this.prepareToken = 0;
+        this.finished = false;
+
+        this.shuffle = false;
+        this.repeat = 'all'; // 'off' | 'all' | 'one'
+
+        this.onTrackChange = null;
+        this.onChange = null;
+    }
 
-                void main() {
-                    vec3 pos = position;
-                    
-                    float angle = uTime * 0.1 + aRandomness.x; 
-                    float c = cos(angle); float s = sin(angle);
-                    vec3 rotatedPos = vec3(pos.x * c - pos.z * s, pos.y, pos.x * s + pos.z * c);
-                    
-                    float beat = 1.0 + uAudioLow * 0.3;
-                    rotatedPos.x *= beat;
-                    rotatedPos.z *= beat;
+    get current() {
+        return this.tracks[this.index] || null;
+    }
 
-                    vec4 mvPosition = modelViewMatrix * vec4(rotatedPos, 1.0);
-                    gl_Position = projectionMatrix * mvPosition;
-                    
-                    gl_PointSize = aScale * (250.0 / -mvPosition.z);
-                    
-                    float hue = (atan(pos.z, pos.x) / 6.28) + (pos.y * 0.002) - (uTime * 0.1);
-                    float sat = 0.7 + uAudioMid * 0.3;
-                    float val = 0.8 + uAudioHigh * 0.5;
-                    
-                    vColor = hsv2rgb(vec3(hue, sat, val));
-                    vAlpha = 0.8 * (1.0 - smoothstep(50.0, 60.0, abs(pos.y)));
-                }
-            `,
-            fragmentShader: `
-                varying vec3 vColor;
-                varying float vAlpha;
-                void main() {
-                    vec2 uv = gl_PointCoord - 0.5;
-                    float dist = length(uv);
-                    float glow = exp(-dist * 4.0);
-                    if (glow < 0.01) discard;
-                    gl_FragColor = vec4(vColor, vAlpha * glow);
-                }
-            `,
-            transparent: true,
-            depthWrite: false,
-            blending: THREE.AdditiveBlending
-        });
+    async add(files) {
+        const first = this.tracks.length;
+        for (const file of files) {
+            this.tracks.push({
+                file: file,
+                name: file.name.replace(/\.[^.]+$/, ''),
+                mode: '', // Preferred effect, '' = keep whatever is running
+                buffer: null,
+                decoding: null,
+                failed: false
+            });
+        }
+        this.rebuildOrder();
+        this.changed();
 
-        this.galaxyMesh = new THREE.Points(geometry, material);
-        this.group.add(this.galaxyMesh);
+        if (!this.current || this.finished) {
+            await this.playTrack(first);
+        } else {
+            this.prepareNext();
+        }
     }
 
-    initGalaxyCore() {
-        // 1. The Event Horizon (Pure Black Void)
-        const horizonGeo = new THREE.SphereGeometry(4, 64, 64);
-        const horizonMat = new THREE.MeshBasicMaterial({ color: 0x000000 });
-        this.eventHorizon = new THREE.Mesh(horizonGeo, horizonMat);
-        this.group.add(this.eventHorizon);
+    remove(index) {
+        const wasCurrent = index === this.index;
+        this.tracks.splice(index, 1);
+        if (index < this.index) this.index--;
+        if (index === this.queuedIndex) this.queuedIndex = -1;
+        else if (index < this.queuedIndex) this.queuedIndex--;
+        this.rebuildOrder();
+
+        if (wasCurrent) {
+            this.player.stop();
+            if (this.index < this.tracks.length) {
+                this.playTrack(this.index).catch(err => console.error("Error playing track:", err));
+            } else {
+                this.index = -1;
+                this.trackChanged();
+            }
+        } else {
+            this.prepareNext();
+            this.changed();
+        }
+    }
 
-        // 2. The Accretion Disk (Colorful Swirl)
-        const particleCount = 10000;
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(particleCount * 3);
-        const randomness = new Float32Array(particleCount);
+    async playTrack(index) {
+        const track = this.tracks[index];
+        if (!track) return;
+        this.index = index;
+        this.finished = false;
+        this.changed();
+
+        let buffer;
+        try {
+            buffer = await this.decode(track);
+        } catch (err) {
+            console.error("Error decoding " + track.name + ":", err);
+            if (this.index !== index) return;
+            // Move on as if it had ended; nextIndex() skips failed tracks,
+            // so this stops once nothing playable is left
+            const nextIndex = this.nextIndex(this.repeat !== 'one');
+            if (nextIndex >= 0) return this.playTrack(nextIndex);
+            this.player.stop();
+            this.finished = true;
+            this.trackChanged();
+            return;
+        }
+        if (this.index !== index) return; // Another track was picked while decoding
 
-        for (let i = 0; i < particleCount; i++) {
-            const r = 5 + Math.random() * 15;
-            const theta = Math.random() * Math.PI * 2;
-            const y = (Math.random() - 0.5) * (r * 0.1);
+        this.player.load(buffer, track.name);
+        this.player.play();
+        this.trackChanged();
+        this.prepareNext();
+    }
 
-            positions[i * 3] = r * Math.cos(theta);
-            positions[i * 3 + 1] = y;
-            positions[i * 3 + 2] = r * Math.sin(theta);
+    next() {
+        const index = this.nextIndex(false);
+        if (index >= 0) return this.playTrack(index);
+    }
 
-            randomness[i] = Math.random();
+    previous() {
+        if (this.player.currentTime > 3) {
+            this.player.seek(0);
+            return;
         }
+        const pos = this.order.indexOf(this.index);
+        const index = this.order[(pos - 1 + this.order.length) % this.order.length];
+        if (index !== undefined) return this.playTrack(index);
+    }
 
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('aRandomness', new THREE.BufferAttribute(randomness, 1));
+    stop() {
+        this.player.stop();
+    }
 
-        const material = new THREE.ShaderMaterial({
-            uniforms: this.uniforms,
-            transparent: true,
-            depthWrite: false,
-            blending: THREE.AdditiveBlending,
-            vertexShader: `
-                uniform float uTime;
-                uniform float uAudioLow;
-                uniform float uAudioMid;
-                uniform float uAudioHigh;
-                attribute float aRandomness;
-                varying vec3 vColor;
-                varying float vAlpha;
+    // Continue after stop() - the current track restarts and the next is re-queued
+    async resume() {
+        if (!this.player.buffer) return this.playTrack(this.index);
+        this.player.play();
+        this.prepareNext();
+    }
 
-                vec3 hsv2rgb(vec3 c) {
-                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-                }
+    setShuffle(enabled) {
+        this.shuffle = enabled;
+        this.rebuildOrder();
+        this.prepareNext();
+        this.changed();
+    }
 
-                void main() {
-                    vec3 pos = position;
-                    float r = length(pos.xz);
-                    
-                    float speed = (20.0 / r) * (1.0 + uAudioLow * 0.5);
-                    float angle = uTime * 0.5 * speed + aRandomness;
-                    
-                    float c = cos(angle); float s = sin(angle);
-                    pos = vec3(pos.x * c - pos.z * s, pos.y, pos.x * s + pos.z * c);
+    cycleRepeat() {
+        const modes = ['off', 'all', 'one'];
+        this.repeat = modes[(modes.indexOf(this.repeat) + 1) % modes.length];
+        this.prepareNext();
+        this.changed();
+    }
 
-                    vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
-                    gl_Position = projectionMatrix * mvPosition;
-                    
-                    gl_PointSize = (3.0 + aRandomness * 3.0) * (100.0 / -mvPosition.z);
-                    
-                    // Rainbow Color Logic - DARKER / DEEPER (No Glare)
-                    float hue = (atan(pos.z, pos.x) / 6.28) - (uTime * 0.2) + (10.0/r);
-                    float sat = 0.9 + uAudioMid * 0.1;
-                    float val = 0.6 + uAudioHigh * 0.4; // Reduced brightness
-                    
-                    vColor = hsv2rgb(vec3(hue, sat, val));
-                    
-                    float alpha = smoothstep(4.0, 5.0, r) * (1.0 - smoothstep(15.0, 20.0, r));
-                    vAlpha = alpha * 0.6; 
-                }
-            `,
-            fragmentShader: `
-                varying vec3 vColor;
-                varying float vAlpha;
-                void main() {
-                    vec2 uv = gl_PointCoord - 0.5;
-                    float dist = length(uv);
-                    float glow = exp(-dist * 4.0);
-                    if (glow < 0.01) discard;
-                    gl_FragColor = vec4(vColor, vAlpha * glow);
-                }
-            `
-        });
+    setTrackMode(index, mode) {
+        this.tracks[index].mode = mode;
+        this.changed();
+    }
 
-        this.diskMesh = new THREE.Points(geometry, material);
-        this.group.add(this.diskMesh);
+    // --- Internals ---
+    rebuildOrder() {
+        this.order = this.tracks.map((t, i) => i);
+        if (!this.shuffle) return;
+
+        // Fisher-Yates, then keep the current track first so it isn't replayed
+        for (let i = this.order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [this.order[i], this.order[j]] = [this.order[j], this.order[i]];
+        }
+        const pos = this.order.indexOf(this.index);
+        if (pos > 0) {
+            this.order.splice(pos, 1);
+            this.order.unshift(this.index);
+        }
     }
 
-    initAuroraHalo() {
-        const geometry = new THREE.CylinderGeometry(60, 60, 40, 128, 1, true);
-        const material = new THREE.ShaderMaterial({
-            uniforms: this.uniforms,
-            side: THREE.DoubleSide,
-            transparent: true,
-            depthWrite: false,
-            blending: THREE.AdditiveBlending,
-            vertexShader: `
-                varying vec2 vUv;
-                varying vec3 vPos;
-                void main() {
-                    vUv = uv;
-                    vPos = position;
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform float uTime;
-                uniform float uAudioLow;
-                uniform float uAudioHigh;
-                varying vec2 vUv;
-                varying vec3 vPos;
+    // auto = natural end of track (respects repeat), otherwise a "Next" press
+    nextIndex(auto) {
+        if (this.index < 0 || this.order.length === 0) return -1;
+        if (auto && this.repeat === 'one') return this.index;
+
+        let pos = this.order.indexOf(this.index);
+        for (let n = 0; n < this.order.length; n++) {
+            pos++;
+            if (pos >= this.order.length) {
+                if (auto && this.repeat === 'off') return -1;
+                pos = 0;
+            }
+            if (!this.tracks[this.order[pos]].failed) return this.order[pos];
+        }
+        return -1;
+    }
 
-                // Simplex 3D Noise 
-                vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-                vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-                vec4 permute(vec4 x) { return mod289(((x*34.0)+1.0)*x); }
-                vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+    async prepareNext() {
+        const token = ++this.prepareToken;
+        const index = this.nextIndex(true);
+        if (index < 0) {
+            this.queuedIndex = -1;
+            this.player.clearQueue();
+            this.releaseBuffers();
+            return;
+        }
+        if (index === this.queuedIndex && this.player.queued) return;
+
+        const track = this.tracks[index];
+        try {
+            const buffer = await this.decode(track);
+            if (token !== this.prepareToken) return;
+            this.queuedIndex = index;
+            this.player.queue(buffer, track.name);
+            this.releaseBuffers();
+        } catch (err) {
+            console.error("Error decoding " + track.name + ":", err);
+            if (token === this.prepareToken) this.prepareNext();
+        }
+    }
 
-                float snoise(vec3 v) { 
-                    const vec2  C = vec2(1.0/6.0, 1.0/3.0) ;
-                    const vec4  D = vec4(0.0, 0.5, 1.0, 2.0);
-                    vec3 i  = floor(v + dot(v, C.yyy) );
-                    vec3 x0 = v - i + dot(i, C.xxx) ;
-                    vec3 g = step(x0.yzx, x0.xyz);
-                    vec3 l = 1.0 - g;
-                    vec3 i1 = min( g.xyz, l.zxy );
-                    vec3 i2 = max( g.xyz, l.zxy );
-                    vec3 x1 = x0 - i1 + C.xxx;
-                    vec3 x2 = x0 - i2 + C.yyy;
-                    vec3 x3 = x0 - D.yyy;
-                    i = mod289(i); 
-                    vec4 p = permute( permute( permute( 
-                                i.z + vec4(0.0, i1.z, i2.z, 1.0 ))
-                            + i.y + vec4(0.0, i1.y, i2.y, 1.0 )) 
-                            + i.x + vec4(0.0, i1.x, i2.x, 1.0 ));
-                    float n_ = 0.142857142857;
-                    vec3  ns = n_ * D.wyz - D.xzx;
-                    vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
-                    vec4 x_ = floor(j * ns.z);
-                    vec4 y_ = floor(j - 7.0 * x_ );
-                    vec4 x = x_ *ns.x + ns.yyyy;
-                    vec4 y = y_ *ns.x + ns.yyyy;
-                    vec4 h = 1.0 - abs(x) - abs(y);
-                    vec4 b0 = vec4( x.xy, y.xy );
-                    vec4 b1 = vec4( x.zw, y.zw );
-                    vec4 s0 = floor(b0)*2.0 + 1.0;
-                    vec4 s1 = floor(b1)*2.0 + 1.0;
-                    vec4 sh = -step(h, vec4(0.0));
-                    vec4 a0 = b0.xzyw + s0.xzyw*sh.xxyy ;
-                    vec4 a1 = b1.xzyw + s1.xzyw*sh.zzww ;
-                    vec3 p0 = vec3(a0.xy,h.x);
-                    vec3 p1 = vec3(a0.zw,h.y);
-                    vec3 p2 = vec3(a1.xy,h.z);
-                    vec3 p3 = vec3(a1.zw,h.w);
-                    vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2, p2), dot(p3,p3)));
-                    p0 *= norm.x;
-                    p1 *= norm.y;
-                    p2 *= norm.z;
-                    p3 *= norm.w;
-                    vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0);
-                    m = m * m;
-                    return 42.0 * dot( m*m, vec4( dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3) ) );
-                }
+    decode(track) {
+        if (!track.decoding) {
+            track.decoding = track.file.arrayBuffer()
+                .then(data => this.context.decodeAudioData(data))
+                .then(buffer => {
+                    track.buffer = buffer;
+                    return buffer;
+                })
+                .catch(err => {
+                    track.failed = true;
+                    track.decoding = null;
+                    this.changed();
+                    throw err;
+                });
+        }
+        return track.decoding;
+    }
 
-                void main() {
-                    float theta = vUv.x * 6.2831853;
-                    // Slower, smoother noise
-                    vec3 noisePos = vec3(cos(theta), sin(theta), vUv.y * 1.5 - uTime * 0.1);
-                    float noise = snoise(noisePos * 1.5);
-                    
-                    float alpha = smoothstep(0.0, 1.0, noise * 0.5 + 0.5);
-                    float edgeFade = 1.0 - abs(vUv.y - 0.5) * 2.0;
-                    alpha *= edgeFade;
-                    
-                    // Soft, ethereal colors
-                    vec3 colorA = vec3(0.0, 0.2, 0.4); // Deep Blue
-                    vec3 colorB = vec3(0.2, 0.0, 0.3); // Deep Purple
-                    
-                    vec3 color = mix(colorA, colorB, vUv.y + sin(uTime * 0.5) * 0.5);
-                    
-                    // Subtle highlight
-                    color += vec3(uAudioHigh * 0.2);
-                    
-                    // Very low opacity for "ghostly" look
-                    gl_FragColor = vec4(color, alpha * 0.2 * (1.0 + uAudioLow * 0.5));
-                }
-            `
+    // Drop decoded audio we won't need soon - a long queue would otherwise eat memory
+    releaseBuffers() {
+        this.tracks.forEach((track, i) => {
+            if (i === this.index || i === this.queuedIndex || !track.buffer) return;
+            track.buffer = null;
+            track.decoding = null;
         });
-        this.auroraMesh = new THREE.Mesh(geometry, material);
-        this.group.add(this.auroraMesh);
     }
 
-    initStarfield() {
-        const count = 3000;
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(count * 3);
-        const sizes = new Float32Array(count);
-        const speeds = new Float32Array(count);
+    handleAdvance() {
+        this.index = this.queuedIndex;
+        this.trackChanged();
+        this.prepareNext();
+    }
 
-        for (let i = 0; i < count; i++) {
-            const r = 300 + Math.random() * 300;
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
-            positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
-            positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
-            positions[i * 3 + 2] = r * Math.cos(phi);
-            sizes[i] = Math.random();
-            speeds[i] = Math.random();
+    handleEnded() {
+        // Only reached when the next track wasn't decoded in time (or repeat is off)
+        const index = this.nextIndex(true);
+        if (index >= 0) {
+            this.playTrack(index).catch(err => console.error("Error playing track:", err));
+        } else {
+            this.finished = true;
+            this.changed();
         }
+    }
 
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('aScale', new THREE.BufferAttribute(sizes, 1));
-        geometry.setAttribute('aSpeed', new THREE.BufferAttribute(speeds, 1));
+    trackChanged() {
+        if (this.onTrackChange) this.onTrackChange(this.current);
+        this.changed();
+    }
 
-        const material = new THREE.ShaderMaterial({
-            uniforms: this.uniforms,
-            transparent: true,
-            vertexShader: `
-                uniform float uTime;
-                attribute float aScale;
-                attribute float aSpeed;
-                void main() {
-                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-                    gl_Position = projectionMatrix * mvPosition;
-                    float twinkle = 1.0 + sin(uTime * (0.5 + aSpeed) + position.x) * 0.3; // Slower twinkle
-                    gl_PointSize = aScale * (200.0 / -mvPosition.z) * twinkle; // Smaller stars
-                }
-            `,
-            fragmentShader: `
-                void main() {
-                    vec2 uv = gl_PointCoord - 0.5;
-                    float dist = length(uv);
-                    if(dist > 0.5) discard;
-                    float alpha = 1.0 - smoothstep(0.3, 0.5, dist);
-                    gl_FragColor = vec4(1.0, 1.0, 1.0, alpha * 0.8); // Slightly reduced opacity
-                }
-            `
-        });
-        this.starMesh = new THREE.Points(geometry, material);
-        this.group.add(this.starMesh);
+    changed() {
+        if (this.onChange) this.onChange();
     }
+}
 
-    initShootingStars() {
-        this.shootingStars = [];
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(6);
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+function formatTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = Math.floor(seconds % 60);
+    return m + ':' + String(s).padStart(2, '0');
+}
 
-        this.shootingStarMaterial = new THREE.LineBasicMaterial({
-            color: 0xaaddff,
-            transparent: true,
-            opacity: 0.8,
-            blending: THREE.AdditiveBlending
-        });
+// --- Recording ---
+// Captures the canvas plus whatever is playing into inputBus (the same signal
+// the analysers see) and encodes it to WebM with MediaRecorder.
+const RECORDING_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+class Recorder {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.recorder = null;
+        this.chunks = [];
+        this.audioDestination = null;
+        this.startTime = 0;
+    }
 
-        for (let i = 0; i < 8; i++) {
-            const star = new THREE.Line(geometry.clone(), this.shootingStarMaterial);
-            star.visible = false;
-            this.group.add(star);
-            this.shootingStars.push({
-                mesh: star,
-                active: false,
-                progress: 0,
-                speed: 0,
-                startPos: new THREE.Vector3(),
-                endPos: new THREE.Vector3()
+    get recording() {
+        return this.recorder !== null && this.recorder.state === 'recording';
+    }
+
+    get elapsed() {
+        return this.recording ? (performance.now() - this.startTime) / 1000 : 0;
+    }
+
+    start() {
+        if (!this.canvas.captureStream || typeof MediaRecorder === 'undefined') {
+            throw new Error("Recording is not supported in this browser");
+        }
+
+        const stream = this.canvas.captureStream(60);
+
+        // MediaRecorder ignores tracks added after it starts, so the audio
+        // track goes in now even if nothing is playing yet. A source picked
+        // later plays into the same inputBus and is recorded from then on.
+        ensureAudioContext();
+        this.audioDestination = audioContext.createMediaStreamDestination();
+        inputBus.connect(this.audioDestination);
+        this.audioDestination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+
+        const mimeType = RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+        this.chunks = [];
+        try {
+            this.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+            this.recorder.addEventListener('dataavailable', (e) => {
+                if (e.data.size > 0) this.chunks.push(e.data);
             });
+            this.recorder.start(1000); // Flush every second so a crash doesn't lose everything
+        } catch (err) {
+            // Either step can refuse the codec or tracks
+            this.recorder = null;
+            stream.getTracks().forEach(track => track.stop());
+            this.disconnectAudio();
+            throw err;
         }
+        this.startTime = performance.now();
     }
 
-    spawnShootingStar() {
-        const star = this.shootingStars.find(s => !s.active);
-        if (!star) return;
+    // Resolves with the finished WebM
+    stop() {
+        return new Promise(resolve => {
+            const recorder = this.recorder;
+            recorder.addEventListener('stop', () => {
+                recorder.stream.getTracks().forEach(track => track.stop());
+                this.disconnectAudio();
+                resolve(new Blob(this.chunks, { type: recorder.mimeType || 'video/webm' }));
+                this.chunks = [];
+            }, { once: true });
+
+            recorder.stop();
+            this.recorder = null;
+        });
+    }
 
-        star.active = true;
-        star.mesh.visible = true;
-        star.progress = 0;
-        star.speed = 0.005 + Math.random() * 0.01;
+    disconnectAudio() {
+        if (!this.audioDestination) return;
+        inputBus.disconnect(this.audioDestination);
+        this.audioDestination = null;
+    }
+}
 
-        const r = 150;
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
-        star.startPos.set(
-            r * Math.sin(phi) * Math.cos(theta),
-            r * Math.sin(phi) * Math.sin(theta),
-            r * Math.cos(phi)
-        );
+// --- Offline Render ---
+// Real-time recording drops frames whenever one takes too long. An offline
+// render analyses the file in an OfflineAudioContext, a chunk ahead of the
+// frames, and steps the manager through it at a fixed rate, handing each frame
+// the analysis captured at its timestamp. Frames go into a zip of PNGs or a WebM encoded
+// with WebCodecs; fflate and webm-muxer are only fetched when needed.
+const RENDER_SAMPLE_RATE = 48000; // Opus only takes 48 kHz, so decode straight to it
+
+// Analysis runs a chunk at a time, so memory stays flat however long the track
+const RENDER_CHUNK = 10; // s
+const RENDER_PREROLL = 0.5; // s of audio fed in ahead of each chunk
+const RENDER_QUANTUM = 128; // Samples per Web Audio render block
+
+// Stands in for an AnalyserNode: capture() stores what a real node reports
+// at a frame, and the get*Data() calls replay whichever frame is selected.
+// Holds one chunk of frames, starting at frame `first`. Waveforms are kept
+// as bytes to match the spectra.
+class RecordedAnalyser {
+    constructor(sampleRate, fftSize, frames) {
+        this.context = { sampleRate };
+        this.fftSize = fftSize;
+        this.frequencyBinCount = fftSize / 2;
+        this.first = 0;
+        this.frame = 0;
+        this.spectra = new Uint8Array(frames * this.frequencyBinCount);
+        this.waveforms = new Uint8Array(frames * fftSize);
+        this.scratch = new Uint8Array(this.frequencyBinCount);
+    }
 
-        star.endPos.copy(star.startPos).add(new THREE.Vector3(
-            (Math.random() - 0.5) * 200,
-            (Math.random() - 0.5) * 200,
-            (Math.random() - 0.5) * 200
-        ));
+    // Frames that never get captured read as silence
+    clear(first) {
+        this.first = first;
+        this.spectra.fill(0);
+        this.waveforms.fill(128);
     }
 
-    updateShootingStars() {
-        if (Math.random() < 0.02) this.spawnShootingStar();
+    // AnalyserNode smoothing advances per read, not per second, so pre-roll
+    // frames are read and thrown away to settle it
+    warm(analyser) {
+        analyser.getByteFrequencyData(this.scratch);
+    }
 
-        this.shootingStars.forEach(star => {
-            if (!star.active) return;
+    capture(analyser, frame) {
+        const bins = this.frequencyBinCount, size = this.fftSize, i = frame - this.first;
+        analyser.getByteFrequencyData(this.spectra.subarray(i * bins, (i + 1) * bins));
+        analyser.getByteTimeDomainData(this.waveforms.subarray(i * size, (i + 1) * size));
+    }
 
-            star.progress += star.speed;
-            if (star.progress >= 1) {
-                star.active = false;
-                star.mesh.visible = false;
-                return;
-            }
+    getByteFrequencyData(array) {
+        const bins = this.frequencyBinCount, i = this.frame - this.first;
+        array.set(this.spectra.subarray(i * bins, (i + 1) * bins));
+    }
 
-            const currentPos = new THREE.Vector3().lerpVectors(star.startPos, star.endPos, star.progress);
-            const tailPos = new THREE.Vector3().lerpVectors(star.startPos, star.endPos, Math.max(0, star.progress - 0.1));
+    getFloatTimeDomainData(array) {
+        const offset = (this.frame - this.first) * this.fftSize;
+        for (let i = 0; i < array.length; i++) array[i] = (this.waveforms[offset + i] - 128) / 128;
+    }
+}
 
-            const positions = star.mesh.geometry.attributes.position.array;
-            positions[0] = currentPos.x; positions[1] = currentPos.y; positions[2] = currentPos.z;
-            positions[3] = tailPos.x; positions[4] = tailPos.y; positions[5] = tailPos.z;
-            star.mesh.geometry.attributes.position.needsUpdate = true;
+// Runs frames [first, first + count) of the buffer through the live analysis
+// graph in an OfflineAudioContext, pausing at every frame's timestamp to
+// capture the mix, left and right analysers into `recorded`. The context
+// starts RENDER_PREROLL early so the analysers have history at the first frame.
+async function analyseChunk(buffer, fps, recorded, first, count) {
+    const start = Math.max(first / fps - RENDER_PREROLL, 0);
+    const end = Math.min((first + count) / fps, buffer.duration);
+    // suspend() rounds up to the next render block and rejects at or past the
+    // end, so one spare block keeps the last frame's suspend inside the render
+    const length = Math.ceil((end - start) * buffer.sampleRate) + RENDER_QUANTUM;
+    const context = new OfflineAudioContext(2, length, buffer.sampleRate);
+    const graph = createAnalysisGraph(context);
+    const nodes = [graph.analyser, graph.analyserLeft, graph.analyserRight];
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(graph.input);
+    source.start(0, start);
+    recorded.forEach(node => node.clear(first));
+
+    // suspend() has to land inside the render, so frame 0 (t = 0) stays silent
+    for (let i = Math.ceil(start * fps); i < first + count; i++) {
+        const time = i / fps - start;
+        if (time <= 0) continue;
+        context.suspend(time).then(() => {
+            recorded.forEach((node, n) => (i < first ? node.warm(nodes[n]) : node.capture(nodes[n], i)));
+            context.resume();
+        }).catch(err => console.warn(`Frame ${i} could not be analysed:`, err));
+    }
 
-            star.mesh.material.opacity = 1.0 - star.progress;
+    await context.startRendering();
+}
+
+// Streams each PNG into the zip as soon as it is encoded
+class PngSequenceOutput {
+    async open() {
+        const { Zip, ZipPassThrough } = await import('fflate');
+        this.ZipPassThrough = ZipPassThrough;
+        this.parts = [];
+        this.done = new Promise((resolve, reject) => {
+            this.zip = new Zip((err, chunk, final) => {
+                if (err) return reject(err);
+                this.parts.push(chunk);
+                if (final) resolve(new Blob(this.parts, { type: 'application/zip' }));
+            });
         });
     }
 
-    update(time, audioData, mouse, isDragging) {
-        this.uniforms.uTime.value = time;
-        this.uniforms.uAudioLow.value = THREE.MathUtils.lerp(this.uniforms.uAudioLow.value, audioData.low, 0.1);
-        this.uniforms.uAudioMid.value = THREE.MathUtils.lerp(this.uniforms.uAudioMid.value, audioData.mid, 0.1);
-        this.uniforms.uAudioHigh.value = THREE.MathUtils.lerp(this.uniforms.uAudioHigh.value, audioData.high, 0.1);
+    // toBlob() snapshots the canvas synchronously, before the frame is cleared
+    async addFrame(canvas, index) {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error(`Frame ${index} could not be encoded`);
 
-        // Dynamic Rotation
-        const rotationSpeed = 0.05 + (this.uniforms.uAudioLow.value * 0.2);
-        this.group.rotation.y += rotationSpeed * 0.016;
+        const file = new this.ZipPassThrough(`frame-${String(index).padStart(6, '0')}.png`);
+        this.zip.add(file);
+        file.push(new Uint8Array(await blob.arrayBuffer()), true);
+    }
 
-        // Mouse Interaction
-        if (isDragging) {
-            this.group.rotation.y += mouse.x * 0.05;
-            this.group.rotation.x += mouse.y * 0.05;
-        }
+    finish() {
+        this.zip.end();
+        return this.done;
+    }
 
-        // Cinematic Camera Motion (Lissajous Curve)
-        this.group.position.x = Math.sin(time * 0.2) * 5;
-        this.group.position.y = Math.cos(time * 0.15) * 5;
-        this.group.rotation.z = Math.sin(time * 0.1) * 0.1;
+    cancel() {
+        this.zip.terminate();
+    }
+}
 
-        // Update Shooting Stars
-        this.updateShootingStars();
+// WebCodecs into webm-muxer. The whole soundtrack is encoded up front; the
+// muxer holds audio back until the video catches up, so the file interleaves.
+class WebmOutput {
+    constructor(width, height, fps, buffer) {
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.buffer = buffer;
+        this.error = null;
     }
 
-    dispose() {
-        this.scene.remove(this.group);
-        if (this.galaxyMesh) { this.galaxyMesh.geometry.dispose(); this.galaxyMesh.material.dispose(); }
-        if (this.eventHorizon) { this.eventHorizon.geometry.dispose(); this.eventHorizon.material.dispose(); }
-        if (this.diskMesh) { this.diskMesh.geometry.dispose(); this.diskMesh.material.dispose(); }
-        if (this.auroraMesh) { this.auroraMesh.geometry.dispose(); this.auroraMesh.material.dispose(); }
-        if (this.starMesh) { this.starMesh.geometry.dispose(); this.starMesh.material.dispose(); }
-        if (this.shootingStars) {
-            this.shootingStars.forEach(s => {
-                s.mesh.geometry.dispose();
-                s.mesh.material.dispose();
-            });
-            // Dispose of the shared material only once if it's not unique per star
-            if (this.shootingStarMaterial) {
-                this.shootingStarMaterial.dispose();
+    async open() {
+        if (typeof VideoEncoder === 'undefined') {
+            throw new Error("Video rendering needs WebCodecs, which this browser lacks");
+        }
+        const { Muxer, ArrayBufferTarget } = await import('webm-muxer');
+
+        // VP9 at a level that covers 4K, VP8 where VP9 encoding is missing
+        const codecs = [['vp09.00.51.08', 'V_VP9'], ['vp8', 'V_VP8']];
+        let videoConfig = null, videoCodec = null;
+        for (const [codec, muxCodec] of codecs) {
+            const config = { codec, width: this.width, height: this.height, bitrate: 16000000, framerate: this.fps };
+            if ((await VideoEncoder.isConfigSupported(config)).supported) {
+                videoConfig = config;
+                videoCodec = muxCodec;
+                break;
             }
         }
-    }
-}
-
-class WaveEffect {
-    constructor(scene) {
-        this.scene = scene;
-        this.group = new THREE.Group();
-        this.scene.add(this.group);
-        this.init();
-    }
-
-    init() {
-        // --- Retro-Futuristic Terrain ---
-        // High segment count for smooth waves
-        const geometry = new THREE.PlaneGeometry(150, 150, 64, 64);
-        geometry.rotateX(-Math.PI / 2);
-
-        // Initialize colors attribute
-        const count = geometry.attributes.position.count;
-        const colors = new Float32Array(count * 3);
-        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        if (!videoConfig) throw new Error(`No video encoder for ${this.width}x${this.height}`);
+
+        const buffer = this.buffer;
+        let audioConfig = {
+            codec: 'opus',
+            sampleRate: buffer.sampleRate,
+            numberOfChannels: buffer.numberOfChannels,
+            bitrate: 192000
+        };
+        if (typeof AudioEncoder === 'undefined' || !(await AudioEncoder.isConfigSupported(audioConfig)).supported) {
+            console.warn("Opus encoding unavailable, rendering without sound");
+            audioConfig = null;
+        }
 
-        const material = new THREE.MeshBasicMaterial({
-            vertexColors: true,
-            wireframe: true,
-            transparent: true,
-            opacity: 0.8,
-            side: THREE.DoubleSide
+        this.muxer = new Muxer({
+            target: new ArrayBufferTarget(),
+            video: { codec: videoCodec, width: this.width, height: this.height, frameRate: this.fps },
+            audio: audioConfig ? { codec: 'A_OPUS', sampleRate: audioConfig.sampleRate, numberOfChannels: audioConfig.numberOfChannels } : undefined
         });
 
-        this.terrain = new THREE.Mesh(geometry, material);
-        this.group.add(this.terrain);
+        this.videoEncoder = new VideoEncoder({
+            output: (chunk, meta) => this.muxer.addVideoChunk(chunk, meta),
+            error: (err) => { this.error = err; }
+        });
+        this.videoEncoder.configure(videoConfig);
 
-        // --- Synthwave Sun ---
-        const sunGeo = new THREE.CircleGeometry(25, 64);
-        // Create a gradient texture for the sun
-        const canvas = document.createElement('canvas');
-        canvas.width = 128; canvas.height = 128;
-        const ctx = canvas.getContext('2d');
-        const grad = ctx.createLinearGradient(0, 0, 0, 128);
-        grad.addColorStop(0, '#ffcc00');
-        grad.addColorStop(0.5, '#ff0055');
-        grad.addColorStop(1, '#aa00cc');
-        ctx.fillStyle = grad;
-        ctx.fillRect(0, 0, 128, 128);
+        if (audioConfig) await this.encodeAudio(audioConfig);
+    }
 
-        // Add "scanlines" to sun
-        ctx.fillStyle = 'rgba(0,0,0,0.3)';
-        for (let i = 0; i < 128; i += 4) {
-            ctx.fillRect(0, i, 128, 1);
+    async encodeAudio(config) {
+        const encoder = new AudioEncoder({
+            output: (chunk, meta) => this.muxer.addAudioChunk(chunk, meta),
+            error: (err) => { this.error = err; }
+        });
+        encoder.configure(config);
+
+        // One second per AudioData, planar like the AudioBuffer itself
+        const buffer = this.buffer;
+        const channels = buffer.numberOfChannels;
+        for (let offset = 0; offset < buffer.length; offset += buffer.sampleRate) {
+            const length = Math.min(buffer.sampleRate, buffer.length - offset);
+            const data = new Float32Array(length * channels);
+            for (let c = 0; c < channels; c++) {
+                data.set(buffer.getChannelData(c).subarray(offset, offset + length), c * length);
+            }
+            const audio = new AudioData({
+                format: 'f32-planar',
+                sampleRate: buffer.sampleRate,
+                numberOfFrames: length,
+                numberOfChannels: channels,
+                timestamp: Math.round(offset * 1e6 / buffer.sampleRate),
+                data
+            });
+            encoder.encode(audio);
+            audio.close();
         }
 
-        const sunTex = new THREE.CanvasTexture(canvas);
+        await encoder.flush();
+        encoder.close();
+        if (this.error) throw this.error;
+    }
 
-        const sunMat = new THREE.MeshBasicMaterial({
-            map: sunTex,
-            transparent: true,
-            color: 0xffffff
-        });
+    // VideoFrame snapshots the canvas synchronously, before the frame is cleared
+    async addFrame(canvas, index) {
+        if (this.error) throw this.error;
 
-        this.sun = new THREE.Mesh(sunGeo, sunMat);
-        this.sun.position.set(0, 20, -60);
-        this.group.add(this.sun);
+        const frame = new VideoFrame(canvas, {
+            timestamp: Math.round(index * 1e6 / this.fps), // µs
+            duration: Math.round(1e6 / this.fps)
+        });
+        this.videoEncoder.encode(frame, { keyFrame: index % (this.fps * 2) === 0 });
+        frame.close();
 
-        // --- Floating Particles ---
-        const pGeo = new THREE.BufferGeometry();
-        const pCount = 500;
-        const pPos = new Float32Array(pCount * 3);
-        for (let i = 0; i < pCount * 3; i++) {
-            pPos[i] = (Math.random() - 0.5) * 150;
+        // Let the encoder drain instead of queueing up the whole track
+        while (this.videoEncoder.encodeQueueSize > 4) {
+            await new Promise(resolve => this.videoEncoder.addEventListener('dequeue', resolve, { once: true }));
         }
-        pGeo.setAttribute('position', new THREE.BufferAttribute(pPos, 3));
-        this.particles = new THREE.Points(pGeo, new THREE.PointsMaterial({
-            color: 0x00ffff,
-            size: 0.3,
-            transparent: true,
-            opacity: 0.6
-        }));
-        this.group.add(this.particles);
     }
 
-    update(time, audioData) {
-        // 1. Animate Terrain Waves
-        const positions = this.terrain.geometry.attributes.position;
-        const colors = this.terrain.geometry.attributes.color;
-        const count = positions.count;
+    async finish() {
+        await this.videoEncoder.flush();
+        this.videoEncoder.close();
+        if (this.error) throw this.error;
 
-        // We'll use a scrolling offset to simulate forward movement
-        const scrollSpeed = time * 2.0;
+        this.muxer.finalize();
+        return new Blob([this.muxer.target.buffer], { type: 'video/webm' });
+    }
 
-        for (let i = 0; i < count; i++) {
-            const x = positions.getX(i);
-            // We use the original Z (depth) to calculate waves
-            // Since we can't easily store original Z in a simple loop without extra memory,
-            // we can derive it if we assume the grid is regular.
-            // But for simplicity, let's just use the current X and Z (which doesn't change in X/Z plane, only Y changes).
-            // Wait, getZ(i) returns the Z coordinate.
-            const z = positions.getZ(i);
+    cancel() {
+        if (this.videoEncoder && this.videoEncoder.state !== 'closed') this.videoEncoder.close();
+    }
+}
 
-            // Calculate Wave Height (Y)
-            let y = 0;
+// Takes over the manager's canvas and clock for the length of a render. The
+// live analyzer is left alone, so sources can change meanwhile.
+class OfflineRenderer {
+    constructor(manager) {
+        this.manager = manager;
+        this.rendering = false;
+        this.cancelled = false;
+    }
 
-            // Base rolling terrain (perlin-like using sines)
-            y += Math.sin(x * 0.15 + z * 0.1 + time) * 2.0;
-            y += Math.cos(x * 0.1 - z * 0.1 + time * 0.5) * 2.0;
+    cancel() {
+        this.cancelled = true;
+    }
 
-            // Audio Reaction:
-            // Bass creates a large central pulse
-            const dist = Math.sqrt(x * x + z * z);
-            const ripple = Math.sin(dist * 0.5 - time * 5.0);
-            y += ripple * audioData.low * 5.0;
+    // options: { width, height, fps, format: 'webm' | 'png' }
+    // onProgress(stage, fraction). Resolves with the file, or null if cancelled.
+    async render(file, options, onProgress) {
+        const { width, height, fps, format } = options;
+        const manager = this.manager;
+        this.rendering = true;
+        this.cancelled = false;
+
+        const liveTime = manager.time;
+        let output = null;
+        try {
+            onProgress('Decoding', 0);
+            const decoder = new OfflineAudioContext(2, 1, RENDER_SAMPLE_RATE);
+            const buffer = await decoder.decodeAudioData(await file.arrayBuffer());
+
+            const frames = Math.ceil(buffer.duration * fps);
+            const chunk = Math.max(Math.min(Math.ceil(RENDER_CHUNK * fps), frames), 1);
+            const recorded = [0, 1, 2].map(() => new RecordedAnalyser(buffer.sampleRate, CONFIG.fftSize, chunk));
+            const analyzer = new AudioAnalyzer();
+            analyzer.setSource(...recorded);
+
+            output = format === 'png' ? new PngSequenceOutput() : new WebmOutput(width, height, fps, buffer);
+            onProgress('Preparing', 0);
+            await output.open();
+
+            // Drawing buffer at the exact output size; the page keeps its layout
+            manager.offline = true;
+            manager.renderer.setPixelRatio(1);
+            manager.composer.setPixelRatio(1);
+            manager.setRenderSize(width, height, false);
+            if (manager.transition) manager.finishTransition();
+            manager.time = 0;
+            manager.accumulator = 0;
+            manager.autoPilot.noteSwitch(0);
+
+            const canvas = manager.renderer.domElement;
+            for (let i = 0; i < frames; i++) {
+                if (this.cancelled) {
+                    output.cancel();
+                    return null;
+                }
+                if (i % chunk === 0) await analyseChunk(buffer, fps, recorded, i, Math.min(chunk, frames - i));
+                recorded.forEach(node => { node.frame = i; });
+                manager.renderFrame(i === 0 ? 0 : 1 / fps, analyzer);
+                await output.addFrame(canvas, i);
+                onProgress('Rendering', (i + 1) / frames);
+            }
 
-            // Mids create jagged noise
-            if (audioData.mid > 0.1) {
-                y += Math.sin(x * 2.0 + time * 10.0) * Math.cos(z * 2.0) * audioData.mid * 2.0;
+            onProgress('Finishing', 1);
+            return await output.finish();
+        } catch (err) {
+            if (output) output.cancel();
+            throw err;
+        } finally {
+            this.rendering = false;
+            if (manager.offline) {
+                manager.offline = false;
+                if (manager.transition) manager.finishTransition(); // Started on the render's clock
+                manager.time = liveTime;
+                manager.lastFrame = null;
+                manager.autoPilot.noteSwitch(liveTime);
+                manager.onResize();
+                manager.applyQuality(); // Puts the tier's pixel ratio back
             }
+        }
+    }
+}
 
-            // Highs create fine detail
-            y += Math.sin(x * 5.0) * Math.sin(z * 5.0) * audioData.high * 1.0;
+// --- Demo Synth ---
+// A small drum machine + bass + pad built from oscillators and filtered noise.
+// It plays through inputBus like any other source, so Demo Mode exercises the
+// real analysis path (beats, bands, stereo) with a signal that is identical on
+// every run. Drum rows are 16 sixteenth-note steps; bass steps are semitones
+// above the bar's root (null = rest, notes hold until the next one).
+const DEMO_PATTERNS = {
+    house: {
+        label: 'House 124',
+        bpm: 124,
+        kick: 'x---x---x---x---',
+        snare: '----x-------x---',
+        hat: '--x---x---x---x-',
+        bass: [null, null, 0, null, null, null, 0, null, null, null, 0, null, null, null, 12, null],
+        roots: [45, 41, 43, 40], // A F G E
+        chord: [0, 3, 7, 10]
+    },
+    breaks: {
+        label: 'Breakbeat 100',
+        bpm: 100,
+        kick: 'x-----x-x-------',
+        snare: '----x-------x--x',
+        hat: 'x-x-x-x-x-x-x-x-',
+        bass: [0, null, null, 0, null, null, 7, null, 0, null, null, null, 5, null, 3, null],
+        roots: [38, 38, 41, 36], // D D F C
+        chord: [0, 3, 7]
+    },
+    dnb: {
+        label: 'Drum & Bass 172',
+        bpm: 172,
+        kick: 'x---------x-----',
+        snare: '----x-------x---',
+        hat: 'x-xxx-x-x-xxx-x-',
+        bass: [0, null, null, null, null, null, null, null, null, null, 0, null, null, null, -2, null],
+        roots: [40, 40, 43, 38], // E E G D
+        chord: [0, 3, 7, 14]
+    },
+    hiphop: {
+        label: 'Hip-Hop 90',
+        bpm: 90,
+        kick: 'x------x-x------',
+        snare: '----x-------x---',
+        hat: 'x-x-x-x-x-x-x-x-',
+        bass: [0, null, null, null, null, null, null, 0, 0, null, null, null, null, null, -2, null],
+        roots: [43, 43, 39, 41], // G G Eb F
+        chord: [0, 4, 7, 11]
+    }
+};
 
-            positions.setY(i, y);
+class DemoSynth {
+    constructor(context, destination) {
+        this.context = context;
+        this.output = context.createGain();
+        this.output.gain.value = 0.8;
+        this.output.connect(destination);
+
+        // Separate path to the speakers so muting doesn't starve the analyser
+        this.monitor = context.createGain();
+        this.output.connect(this.monitor);
+        this.monitor.connect(context.destination);
+        this.setMuted(CONFIG.demoMuted);
+
+        this.noise = this.createNoiseBuffer();
+        this.pattern = DEMO_PATTERNS[CONFIG.demoPattern] || DEMO_PATTERNS.house;
+        this.pendingPattern = null;
+
+        this.voices = null; // Bus for one start()-stop() run of notes
+        this.timer = null;
+        this.lookahead = 0.1; // s of audio scheduled ahead of the clock
+        this.step = 0;
+        this.bar = 0;
+        this.nextStepTime = 0;
+    }
 
-            // continuous Color Logic
-            // Map height and time to color
-            // We want a continuous flow of colors
+    get playing() {
+        return this.timer !== null;
+    }
 
-            // Base Hue rotates with time
-            const baseHue = (time * 0.1) % 1.0;
+    start() {
+        if (this.playing) return;
+        this.step = 0;
+        this.bar = 0;
+        this.nextStepTime = this.context.currentTime + 0.05;
+        this.voices = this.context.createGain();
+        this.voices.connect(this.output);
+        this.timer = setInterval(() => this.schedule(), 25);
+        this.schedule();
+    }
 
-            // Local hue variation based on height
-            const localHue = (baseHue + y * 0.02) % 1.0;
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (!this.voices) return;
+
+        // Notes the lookahead already scheduled (the pad holds for a bar) are
+        // faded out with their bus rather than left to ring
+        const voices = this.voices;
+        const now = this.context.currentTime;
+        voices.gain.setValueAtTime(1, now);
+        voices.gain.linearRampToValueAtTime(0, now + 0.05);
+        setTimeout(() => voices.disconnect(), 100);
+        this.voices = null;
+    }
 
-            // Intensity based on audio
-            const lightness = 0.3 + audioData.mid * 0.4 + (y > 2 ? 0.3 : 0);
+    setPattern(id) {
+        const pattern = DEMO_PATTERNS[id];
+        if (!pattern) return;
+        // Change on the next bar line so the groove doesn't stumble
+        if (this.playing) this.pendingPattern = pattern;
+        else this.pattern = pattern;
+    }
 
-            const color = new THREE.Color().setHSL(localHue, 1.0, lightness);
-            colors.setXYZ(i, color.r, color.g, color.b);
+    setMuted(muted) {
+        this.monitor.gain.value = muted ? 0 : 1;
+    }
+
+    schedule() {
+        // Timers are throttled in background tabs - skip ahead instead of
+        // firing a burst of stale notes when we come back
+        if (this.nextStepTime < this.context.currentTime - 0.2) {
+            this.nextStepTime = this.context.currentTime + 0.05;
         }
 
-        positions.needsUpdate = true;
-        colors.needsUpdate = true;
+        while (this.nextStepTime < this.context.currentTime + this.lookahead) {
+            this.playStep(this.step, this.nextStepTime);
+            this.nextStepTime += 60 / this.pattern.bpm / 4;
+
+            this.step++;
+            if (this.step === 16) {
+                this.step = 0;
+                this.bar = (this.bar + 1) % this.pattern.roots.length;
+                if (this.pendingPattern) {
+                    this.pattern = this.pendingPattern;
+                    this.pendingPattern = null;
+                    this.bar = 0;
+                }
+            }
+        }
+    }
 
-        // 2. Animate Sun
-        // Pulse with bass
-        const scale = 1.0 + audioData.low * 0.3;
-        this.sun.scale.set(scale, scale, 1);
+    playStep(step, time) {
+        const p = this.pattern;
+        const stepLength = 60 / p.bpm / 4;
+        const root = p.roots[this.bar];
 
-        // Rotate sun color slightly
-        this.sun.material.color.setHSL((time * 0.02) % 1.0, 1.0, 0.8);
+        if (p.kick[step] === 'x') this.playKick(time);
+        if (p.snare[step] === 'x') this.playSnare(time);
+        if (p.hat[step] === 'x') this.playHat(time, step % 4 === 2 ? 0.3 : 0.15, step % 2 === 0 ? -0.4 : 0.4);
 
-        // 3. Animate Particles
-        this.particles.rotation.y = time * 0.1;
-        this.particles.position.y = Math.sin(time) * 2.0;
+        if (p.bass[step] !== null) {
+            let length = 1;
+            while (step + length < 16 && p.bass[step + length] === null) length++;
+            this.playBass(root + p.bass[step], time, length * stepLength * 0.9);
+        }
+
+        if (step === 0) this.playPad(root + 24, p.chord, time, stepLength * 16);
     }
 
-    dispose() {
-        this.scene.remove(this.group);
-        this.terrain.geometry.dispose();
-        this.terrain.material.dispose();
-        this.sun.geometry.dispose();
-        this.sun.material.dispose();
-        this.particles.geometry.dispose();
-        this.particles.material.dispose();
+    // --- Voices ---
+    playKick(time) {
+        const osc = this.context.createOscillator();
+        const gain = this.context.createGain();
+        osc.frequency.setValueAtTime(150, time);
+        osc.frequency.exponentialRampToValueAtTime(45, time + 0.12);
+        gain.gain.setValueAtTime(1.0, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.4);
+        osc.connect(gain).connect(this.voices);
+        osc.start(time);
+        osc.stop(time + 0.4);
     }
-}
 
-class LightShowEffect {
-    constructor(scene) {
-        this.scene = scene;
-        this.group = new THREE.Group();
-        this.scene.add(this.group);
-        this.init();
+    playSnare(time) {
+        this.playNoise(time, 'highpass', 1200, 0.5, 0.18, 0);
+
+        const osc = this.context.createOscillator();
+        const gain = this.context.createGain();
+        osc.type = 'triangle';
+        osc.frequency.value = 190;
+        gain.gain.setValueAtTime(0.4, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.1);
+        osc.connect(gain).connect(this.voices);
+        osc.start(time);
+        osc.stop(time + 0.1);
     }
 
-    init() {
-        // Abstract flowing shapes
-        const geometry = new THREE.IcosahedronGeometry(1, 6);
-        this.uniforms = {
-            uTime: { value: 0 },
-            uAudio: { value: 0 }
-        };
+    playHat(time, level, pan) {
+        this.playNoise(time, 'highpass', 7000, level, 0.05, pan);
+    }
 
-        const material = new THREE.ShaderMaterial({
-            vertexShader: `
-                uniform float uTime;
-                uniform float uAudio;
-                varying vec3 vNormal;
-                varying vec3 vPos;
-                
-                // Simplex noise (omitted for brevity, using sine approximation)
-                float noise(vec3 p) {
-                    return sin(p.x*5.0+uTime) * sin(p.y*3.0+uTime) * sin(p.z*4.0);
-                }
+    playNoise(time, filterType, frequency, level, decay, pan) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.noise;
+        const filter = this.context.createBiquadFilter();
+        filter.type = filterType;
+        filter.frequency.value = frequency;
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(level, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + decay);
+        const panner = this.context.createStereoPanner();
+        panner.pan.value = pan;
+
+        source.connect(filter).connect(gain).connect(panner).connect(this.voices);
+        source.start(time);
+        source.stop(time + decay);
+    }
 
-                void main() {
-                    vNormal = normal;
-                    vec3 pos = position;
-                    float d = noise(pos + uTime * 0.5);
-                    pos += normal * d * (0.5 + uAudio);
-                    vPos = pos;
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform float uTime;
-                varying vec3 vNormal;
-                varying vec3 vPos;
-                
-                void main() {
-                    vec3 color = 0.5 + 0.5 * cos(uTime + vPos.xyx + vec3(0,2,4));
-                    float glow = dot(vNormal, vec3(0,0,1));
-                    gl_FragColor = vec4(color * glow * 2.0, 1.0);
-                }
-            `,
-            uniforms: this.uniforms,
-            wireframe: true
+    playBass(note, time, length) {
+        const osc = this.context.createOscillator();
+        osc.type = 'sawtooth';
+        osc.frequency.value = this.noteToFrequency(note);
+
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.Q.value = 4;
+        filter.frequency.setValueAtTime(900, time);
+        filter.frequency.exponentialRampToValueAtTime(200, time + length);
+
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0.35, time);
+        gain.gain.setTargetAtTime(0, time + length, 0.02);
+
+        osc.connect(filter).connect(gain).connect(this.voices);
+        osc.start(time);
+        osc.stop(time + length + 0.2);
+    }
+
+    playPad(root, chord, time, length) {
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 1500;
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(0.04, time + 0.5);
+        gain.gain.setValueAtTime(0.04, time + length - 0.3);
+        gain.gain.linearRampToValueAtTime(0, time + length);
+        filter.connect(gain).connect(this.voices);
+
+        // Two slightly detuned saws per chord note, spread across the stereo field
+        chord.forEach((interval, i) => {
+            [-7, 7].forEach(detune => {
+                const osc = this.context.createOscillator();
+                osc.type = 'sawtooth';
+                osc.frequency.value = this.noteToFrequency(root + interval);
+                osc.detune.value = detune;
+                const panner = this.context.createStereoPanner();
+                panner.pan.value = (detune > 0 ? 0.6 : -0.6) * (i % 2 === 0 ? 1 : 0.5);
+                osc.connect(panner).connect(filter);
+                osc.start(time);
+                osc.stop(time + length);
+            });
         });
+    }
 
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.group.add(this.mesh);
+    noteToFrequency(note) {
+        return 440 * Math.pow(2, (note - 69) / 12);
+    }
 
-        // Background particles
-        const pGeo = new THREE.BufferGeometry();
-        const pCount = 1000;
-        const pPos = new Float32Array(pCount * 3);
-        for (let i = 0; i < pCount * 3; i++) pPos[i] = (Math.random() - 0.5) * 50;
-        pGeo.setAttribute('position', new THREE.BufferAttribute(pPos, 3));
-        this.particles = new THREE.Points(pGeo, new THREE.PointsMaterial({ color: 0xffffff, size: 0.1 }));
-        this.group.add(this.particles);
+    createNoiseBuffer() {
+        const length = this.context.sampleRate;
+        const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+        const data = buffer.getChannelData(0);
+
+        // Fixed-seed LCG so every run sounds (and analyses) the same
+        let seed = 1;
+        for (let i = 0; i < length; i++) {
+            seed = (seed * 1664525 + 1013904223) >>> 0;
+            data[i] = seed / 4294967296 * 2 - 1;
+        }
+        return buffer;
     }
+}
 
-    update(time, audioData, mouse, isDragging) {
-        this.uniforms.uTime.value = time;
-        this.uniforms.uAudio.value = audioData.mid;
+// --- Beat Detection ---
+// Onsets come from spectral flux (how much the spectrum grew since last frame)
+// compared against an adaptive threshold built from the recent flux history.
+// A tempo tracker turns onset intervals into a BPM estimate and runs a beat
+// clock that onsets keep nudging into phase, so beats keep firing through
+// fills and breakdowns instead of following every loud transient.
+class BeatDetector {
+    constructor() {
+        this.previousSpectrum = null;
+        this.fluxHistory = [];
+        this.historySize = 45; // ~0.75s of frames at 60fps
+        this.minOnsetInterval = 0.12; // s, refractory period between onsets
+        this.lastOnsetTime = -Infinity;
+        this.onsetTimes = [];
+
+        // Tempo tracking
+        this.minBpm = 80;
+        this.maxBpm = 160;
+        this.bpm = 0; // 0 = no tempo locked yet
+        this.candidateBpm = 0;
+        this.candidateCount = 0;
+        this.confidence = 0;
+
+        // Beat clock
+        this.beatTime = 0; // Time of the most recent beat on the clock
+        this.beatCount = 0;
+    }
 
-        this.mesh.rotation.x = time * 0.2;
-        this.mesh.rotation.y = time * 0.3;
+    process(spectrum, time) {
+        const flux = this.computeFlux(spectrum);
+        const onset = this.detectOnset(flux, time);
 
-        // Mouse Interaction
-        if (isDragging) {
-            this.mesh.rotation.y += mouse.x * 0.1;
-            this.mesh.rotation.x += mouse.y * 0.1;
+        if (onset) {
+            this.onsetTimes.push(time);
+            while (this.onsetTimes.length > 0 && time - this.onsetTimes[0] > 8) this.onsetTimes.shift();
+            this.estimateTempo();
         }
 
-        // Scale with bass
-        const s = 2 + audioData.low * 3;
-        this.mesh.scale.set(s, s, s);
+        // Forget the tempo when the music stops
+        if (time - this.lastOnsetTime > 4) {
+            this.bpm = 0;
+            this.confidence = 0;
+        }
 
-        this.particles.rotation.y = time * 0.05;
+        let beat = false;
+        let beatPhase = 0;
+
+        if (this.bpm > 0) {
+            const period = 60 / this.bpm;
+            // Clock fell far behind (e.g. tab was hidden) - restart it
+            // instead of counting out every missed beat
+            if (time - this.beatTime > 4 * period) this.beatTime = time;
+            while (time - this.beatTime >= period) {
+                this.beatTime += period;
+                this.beatCount++;
+                beat = true;
+            }
+
+            if (onset) {
+                // Pull the clock towards the onset, only if it is near a beat
+                let error = time - this.beatTime;
+                if (error > period / 2) error -= period;
+                if (Math.abs(error) < period * 0.25) this.beatTime += error * 0.2;
+            }
+            beatPhase = THREE.MathUtils.clamp((time - this.beatTime) / period, 0, 1);
+        } else if (onset) {
+            // No tempo yet: every onset is a beat
+            beat = true;
+            this.beatTime = time;
+            this.beatCount++;
+        }
+
+        return {
+            beat,
+            onset,
+            bpm: this.bpm,
+            beatPhase,
+            barPhase: ((this.beatCount % 4) + beatPhase) / 4,
+            beatConfidence: this.confidence
+        };
     }
 
-    dispose() {
-        this.scene.remove(this.group);
-        this.mesh.geometry.dispose();
-        this.mesh.material.dispose();
-        this.particles.geometry.dispose();
-        this.particles.material.dispose();
+    computeFlux(spectrum) {
+        // Lower half of the spectrum only; the top is mostly noise and hiss
+        const bins = Math.floor(spectrum.length / 2);
+        if (!this.previousSpectrum || this.previousSpectrum.length !== spectrum.length) {
+            this.previousSpectrum = new Uint8Array(spectrum.length);
+            this.previousSpectrum.set(spectrum);
+            return 0;
+        }
+
+        let flux = 0;
+        for (let i = 0; i < bins; i++) {
+            const diff = spectrum[i] - this.previousSpectrum[i];
+            if (diff > 0) flux += diff;
+        }
+        this.previousSpectrum.set(spectrum);
+        return flux / (bins * 255);
     }
-}
 
-// DancerEffect - A dancing humanoid character that reacts to music
-class DancerEffect {
-    constructor(scene) {
-        this.scene = scene;
-        this.group = new THREE.Group();
-        this.scene.add(this.group);
-        this.init();
-    }
+    detectOnset(flux, time) {
+        const history = this.fluxHistory;
+        let onset = false;
 
-    init() {
-        // Create character parts with feminine curves
-        this.character = new THREE.Group();
+        if (history.length >= 10) {
+            const sorted = history.slice().sort((a, b) => a - b);
+            const median = sorted[Math.floor(sorted.length / 2)];
+            const mean = history.reduce((sum, v) => sum + v, 0) / history.length;
+            const threshold = (median + mean) * 0.5 * CONFIG.beatSensitivity + 0.005;
 
-        // Beautiful gradient materials
-        const bodyMat = new THREE.MeshStandardMaterial({
-            color: 0xff69b4, // Hot pink
-            emissive: 0xff1493,
-            emissiveIntensity: 0.5,
-            metalness: 0.4,
-            roughness: 0.5
-        });
+            onset = flux > threshold && time - this.lastOnsetTime > this.minOnsetInterval;
+            if (onset) this.lastOnsetTime = time;
+        }
 
-        const limbMat = new THREE.MeshStandardMaterial({
-            color: 0xffa07a, // Light salmon
-            emissive: 0xff6347,
-            emissiveIntensity: 0.3,
-            metalness: 0.3,
-            roughness: 0.6
-        });
+        history.push(flux);
+        if (history.length > this.historySize) history.shift();
+        return onset;
+    }
 
-        const accentMat = new THREE.MeshStandardMaterial({
-            color: 0x9370db, // Medium purple
-            emissive: 0x8a2be2,
-            emissiveIntensity: 0.4,
-            metalness: 0.5,
-            roughness: 0.4
-        });
+    // Histogram of onset intervals (and their multiples) folded into the BPM range
+    estimateTempo() {
+        const times = this.onsetTimes;
+        if (times.length < 4) return;
+
+        const range = this.maxBpm - this.minBpm;
+        const histogram = new Float32Array(range + 1);
+        let total = 0;
+
+        for (let i = 0; i < times.length; i++) {
+            for (let j = i + 1; j < times.length && j <= i + 4; j++) {
+                const interval = times[j] - times[i];
+                if (interval < 0.25 || interval > 2.0) continue;
+
+                const bpm = foldTempo(60 / interval, this.minBpm, this.maxBpm);
+
+                // Closer neighbours are more reliable than skipped ones
+                const weight = 1 / (j - i);
+                const bin = Math.round(bpm - this.minBpm);
+                histogram[bin] += weight;
+                if (bin > 0) histogram[bin - 1] += weight * 0.5;
+                if (bin < range) histogram[bin + 1] += weight * 0.5;
+                total += weight * 2;
+            }
+        }
+        if (total === 0) return;
 
-        // Head - more elegant
-        const headGeo = new THREE.SphereGeometry(0.8, 32, 32);
-        this.head = new THREE.Mesh(headGeo, bodyMat);
-        this.head.position.y = 7.5;
-        this.head.scale.set(1, 1.1, 1); // Slightly elongated
-        this.character.add(this.head);
+        let best = 0;
+        for (let i = 1; i <= range; i++) {
+            if (histogram[i] > histogram[best]) best = i;
+        }
+        const estimate = best + this.minBpm;
+        this.confidence = histogram[best] / total;
+
+        if (this.bpm === 0) {
+            this.bpm = estimate;
+            this.beatTime = this.lastOnsetTime;
+        } else if (Math.abs(estimate - this.bpm) <= 3) {
+            this.bpm = THREE.MathUtils.lerp(this.bpm, estimate, 0.1);
+            this.candidateCount = 0;
+        } else {
+            // Only jump to a different tempo once it has been seen repeatedly
+            if (Math.abs(estimate - this.candidateBpm) <= 3) this.candidateCount++;
+            else this.candidateCount = 1;
+            this.candidateBpm = estimate;
+            if (this.candidateCount >= 4) {
+                this.bpm = estimate;
+                this.candidateCount = 0;
+            }
+        }
+    }
+}
 
-        // Hair/Crown decoration
-        const hairGeo = new THREE.SphereGeometry(0.9, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2);
-        this.hair = new THREE.Mesh(hairGeo, accentMat);
-        this.hair.position.y = 7.8;
-        this.character.add(this.hair);
+// --- Band Analysis ---
+// Splits the FFT into CONFIG.bandCount bands spaced on a perceptual scale, so
+// each band covers a similar musical range instead of a fixed number of bins.
+const NAMED_RANGES = {
+    sub: [20, 60],
+    bass: [60, 250],
+    lowMid: [250, 500],
+    mid: [500, 2000],
+    presence: [2000, 6000],
+    brilliance: [6000, 20000]
+};
 
-        // Neck
-        const neckGeo = new THREE.CylinderGeometry(0.3, 0.35, 0.8, 16);
-        this.neck = new THREE.Mesh(neckGeo, limbMat);
-        this.neck.position.y = 6.8;
-        this.character.add(this.neck);
+const FREQUENCY_SCALES = {
+    log: {
+        label: 'Logarithmic',
+        toScale: (f) => Math.log(f),
+        toFrequency: (v) => Math.exp(v)
+    },
+    mel: {
+        label: 'Mel',
+        toScale: (f) => 2595 * Math.log10(1 + f / 700),
+        toFrequency: (v) => 700 * (Math.pow(10, v / 2595) - 1)
+    },
+    bark: {
+        label: 'Bark',
+        // Traunmüller's approximation
+        toScale: (f) => 26.81 * f / (1960 + f) - 0.53,
+        toFrequency: (v) => 1960 * (v + 0.53) / (26.28 - v)
+    }
+};
 
-        // Torso - hourglass shape
-        const torsoGeo = new THREE.CylinderGeometry(0.6, 0.9, 2.5, 32);
-        this.torso = new THREE.Mesh(torsoGeo, bodyMat);
-        this.torso.position.y = 5;
-        this.torso.scale.set(1.2, 1, 0.8); // Wider at shoulders, narrower front-to-back
-        this.character.add(this.torso);
+// [low, high] Hz for each of CONFIG.bandCount bands
+function bandFrequencies(sampleRate) {
+    const scale = FREQUENCY_SCALES[CONFIG.bandScale] || FREQUENCY_SCALES.log;
+    const min = scale.toScale(CONFIG.minFrequency);
+    const max = scale.toScale(Math.min(CONFIG.maxFrequency, sampleRate / 2));
+    const count = CONFIG.bandCount;
+
+    const bands = [];
+    for (let i = 0; i < count; i++) {
+        bands.push([
+            scale.toFrequency(min + (max - min) * (i / count)),
+            scale.toFrequency(min + (max - min) * ((i + 1) / count))
+        ]);
+    }
+    return bands;
+}
 
-        // Waist accent
-        const waistGeo = new THREE.TorusGeometry(0.5, 0.15, 16, 32);
-        this.waist = new THREE.Mesh(waistGeo, accentMat);
-        this.waist.position.y = 4.2;
-        this.waist.rotation.x = Math.PI / 2;
-        this.character.add(this.waist);
+class BandAnalyzer {
+    constructor() {
+        this.layoutKey = '';
+        this.bandRanges = []; // [startBin, endBin) per band
+        this.namedRanges = {};
+        this.bands = new Float32Array(0);
+    }
 
-        // Hips - curved
-        const hipsGeo = new THREE.SphereGeometry(1, 32, 32, 0, Math.PI * 2, 0, Math.PI / 2);
-        this.hips = new THREE.Mesh(hipsGeo, bodyMat);
-        this.hips.position.y = 3.5;
-        this.hips.scale.set(1.3, 0.8, 1); // Wide hips
-        this.hips.rotation.x = Math.PI;
-        this.character.add(this.hips);
+    configure(binCount, sampleRate) {
+        const key = [binCount, sampleRate, CONFIG.bandCount, CONFIG.bandScale, CONFIG.minFrequency, CONFIG.maxFrequency].join();
+        if (key === this.layoutKey) return;
+        this.layoutKey = key;
 
-        // Arms - graceful
-        this.leftArm = new THREE.Group();
-        this.leftArm.position.set(-1.3, 5.8, 0);
+        const binWidth = sampleRate / 2 / binCount;
+        const toBins = (low, high) => {
+            const start = Math.min(Math.floor(low / binWidth), binCount - 1);
+            const end = Math.min(Math.max(start + 1, Math.floor(high / binWidth)), binCount);
+            return [start, end];
+        };
 
-        const leftShoulderGeo = new THREE.SphereGeometry(0.35, 16, 16);
-        this.leftShoulder = new THREE.Mesh(leftShoulderGeo, limbMat);
-        this.leftArm.add(this.leftShoulder);
+        this.bandRanges = bandFrequencies(sampleRate).map(([low, high]) => toBins(low, high));
+        this.bands = new Float32Array(CONFIG.bandCount);
 
-        const leftUpperArmGeo = new THREE.CylinderGeometry(0.25, 0.22, 1.8, 16);
-        this.leftUpperArm = new THREE.Mesh(leftUpperArmGeo, limbMat);
-        this.leftUpperArm.position.y = -1;
-        this.leftArm.add(this.leftUpperArm);
+        this.namedRanges = {};
+        for (const [name, [low, high]] of Object.entries(NAMED_RANGES)) {
+            this.namedRanges[name] = toBins(low, high);
+        }
+    }
 
-        this.leftForearm = new THREE.Group();
-        this.leftForearm.position.y = -1.9;
-        const leftForearmGeo = new THREE.CylinderGeometry(0.2, 0.15, 1.5, 16);
-        this.leftForearmMesh = new THREE.Mesh(leftForearmGeo, limbMat);
-        this.leftForearmMesh.position.y = -0.75;
-        this.leftForearm.add(this.leftForearmMesh);
+    analyze(spectrum, sampleRate) {
+        this.configure(spectrum.length, sampleRate);
 
-        // Hand
-        const leftHandGeo = new THREE.SphereGeometry(0.2, 16, 16);
-        this.leftHand = new THREE.Mesh(leftHandGeo, accentMat);
-        this.leftHand.position.y = -1.5;
-        this.leftHand.scale.set(0.8, 1.2, 0.7);
-        this.leftForearm.add(this.leftHand);
+        const average = ([start, end]) => {
+            let sum = 0;
+            for (let i = start; i < end; i++) sum += spectrum[i];
+            return sum / ((end - start) * 255);
+        };
 
-        this.leftArm.add(this.leftForearm);
-        this.character.add(this.leftArm);
+        this.bandRanges.forEach((range, i) => { this.bands[i] = average(range); });
 
-        this.rightArm = new THREE.Group();
-        this.rightArm.position.set(1.3, 5.8, 0);
+        const ranges = {};
+        for (const [name, range] of Object.entries(this.namedRanges)) ranges[name] = average(range);
 
-        const rightShoulderGeo = new THREE.SphereGeometry(0.35, 16, 16);
-        this.rightShoulder = new THREE.Mesh(rightShoulderGeo, limbMat);
-        this.rightArm.add(this.rightShoulder);
+        return { bands: this.bands, ranges };
+    }
 
-        const rightUpperArmGeo = new THREE.CylinderGeometry(0.25, 0.22, 1.8, 16);
-        this.rightUpperArm = new THREE.Mesh(rightUpperArmGeo, limbMat);
-        this.rightUpperArm.position.y = -1;
-        this.rightArm.add(this.rightUpperArm);
+    // Demo Mode has no spectrum - fake a plausible one from the three levels
+    synthesize(low, mid, high) {
+        const count = CONFIG.bandCount;
+        if (this.bands.length !== count) this.bands = new Float32Array(count);
 
-        this.rightForearm = new THREE.Group();
-        this.rightForearm.position.y = -1.9;
-        const rightForearmGeo = new THREE.CylinderGeometry(0.2, 0.15, 1.5, 16);
-        this.rightForearmMesh = new THREE.Mesh(rightForearmGeo, limbMat);
-        this.rightForearmMesh.position.y = -0.75;
-        this.rightForearm.add(this.rightForearmMesh);
+        for (let i = 0; i < count; i++) {
+            const t = i / Math.max(1, count - 1);
+            this.bands[i] = t < 0.5
+                ? THREE.MathUtils.lerp(low, mid, t * 2)
+                : THREE.MathUtils.lerp(mid, high, (t - 0.5) * 2);
+        }
 
-        const rightHandGeo = new THREE.SphereGeometry(0.2, 16, 16);
-        this.rightHand = new THREE.Mesh(rightHandGeo, accentMat);
-        this.rightHand.position.y = -1.5;
-        this.rightHand.scale.set(0.8, 1.2, 0.7);
-        this.rightForearm.add(this.rightHand);
+        return {
+            bands: this.bands,
+            ranges: {
+                sub: low,
+                bass: low,
+                lowMid: (low + mid) * 0.5,
+                mid: mid,
+                presence: (mid + high) * 0.5,
+                brilliance: high
+            }
+        };
+    }
+}
 
-        this.rightArm.add(this.rightForearm);
-        this.character.add(this.rightArm);
+// --- Automatic Gain Control ---
+// Follows the loudest of low/mid/high with separate attack and release times
+// and scales all band energies so that envelope sits at CONFIG.agcTarget. Quiet
+// sources get boosted, hot masters get pulled back, and effect thresholds mean
+// roughly the same thing whatever is playing.
+class AutoGainControl {
+    constructor() {
+        this.envelope = CONFIG.agcTarget;
+        this.gain = 1;
+        this.noiseFloor = 0.05; // Envelope below this is hiss or silence, left at unity gain
+    }
 
-        // Legs - elegant and curved
-        this.leftLeg = new THREE.Group();
-        this.leftLeg.position.set(-0.5, 3, 0);
+    update(frame, dt) {
+        const level = Math.max(frame.low, frame.mid, frame.high);
+        const time = level > this.envelope ? CONFIG.agcAttack : CONFIG.agcRelease;
+        this.envelope += (level - this.envelope) * (1 - Math.exp(-dt / time));
+
+        // Gated: any boost fades out between twice the noise floor and the
+        // floor itself, so silence isn't amplified into noise. Cutting hot
+        // signals is never gated.
+        const gain = THREE.MathUtils.clamp(CONFIG.agcTarget / Math.max(this.envelope, 1e-4), 0.25, CONFIG.agcMaxGain);
+        const open = THREE.MathUtils.smoothstep(this.envelope, this.noiseFloor, this.noiseFloor * 2);
+        this.gain = gain > 1 ? 1 + (gain - 1) * open : gain;
+    }
 
-        const leftThighGeo = new THREE.CylinderGeometry(0.35, 0.3, 2, 16);
-        this.leftThigh = new THREE.Mesh(leftThighGeo, limbMat);
-        this.leftThigh.position.y = -1;
-        this.leftThigh.scale.set(1.2, 1, 1); // Slightly wider
-        this.leftLeg.add(this.leftThigh);
+    // Scales one set of levels (the mix or a single channel) by the current gain
+    apply(levels) {
+        const scale = (v) => Math.min(1, v * this.gain);
+        levels.low = scale(levels.low);
+        levels.mid = scale(levels.mid);
+        levels.high = scale(levels.high);
+        for (let i = 0; i < levels.bands.length; i++) levels.bands[i] = scale(levels.bands[i]);
+        for (const name in levels.ranges) levels.ranges[name] = scale(levels.ranges[name]);
+    }
+}
 
-        this.leftShin = new THREE.Group();
-        this.leftShin.position.y = -2;
-        const leftShinGeo = new THREE.CylinderGeometry(0.28, 0.22, 2, 16);
-        this.leftShinMesh = new THREE.Mesh(leftShinGeo, limbMat);
-        this.leftShinMesh.position.y = -1;
-        this.leftShin.add(this.leftShinMesh);
+// --- Analysis Frame ---
+// Everything the effects know about the audio, computed once per frame. Effects
+// only read the frame they are handed - never the AnalyserNode or module state -
+// so a frame can just as well come from recorded data.
+class AudioAnalyzer {
+    constructor() {
+        // Mono mix plus one reader per stereo channel
+        this.channels = {
+            mix: this.createChannel(null),
+            left: this.createChannel(null),
+            right: this.createChannel(null)
+        };
+        this.active = false;
+        this.smoothedBands = new Float32Array(0);
+        this.peaks = new Float32Array(0);
+        this.lastTime = 0;
+
+        this.beatDetector = new BeatDetector();
+        this.tapTempo = new TapTempo(this.beatDetector, CONFIG);
+        this.agc = new AutoGainControl();
+        this.demoBeatCount = 0;
+    }
 
-        // Foot
-        const leftFootGeo = new THREE.BoxGeometry(0.3, 0.2, 0.6);
-        this.leftFoot = new THREE.Mesh(leftFootGeo, accentMat);
-        this.leftFoot.position.set(0, -2.1, 0.15);
-        this.leftShin.add(this.leftFoot);
+    createChannel(analyser) {
+        return {
+            analyser,
+            spectrum: new Uint8Array(analyser ? analyser.frequencyBinCount : 0),
+            waveform: new Float32Array(analyser ? analyser.fftSize : 1024),
+            bandAnalyzer: new BandAnalyzer()
+        };
+    }
 
-        this.leftLeg.add(this.leftShin);
-        this.character.add(this.leftLeg);
+    setSource(analyser, analyserLeft, analyserRight) {
+        this.active = !!analyser;
+        this.channels.mix = this.createChannel(analyser);
+        this.channels.left = this.createChannel(analyserLeft);
+        this.channels.right = this.createChannel(analyserRight);
+    }
 
-        this.rightLeg = new THREE.Group();
-        this.rightLeg.position.set(0.5, 3, 0);
+    analyze(time) {
+        const frame = this.active ? this.readAnalysers(time) : this.synthesize(time);
+        this.tapTempo.apply(frame, time);
 
-        const rightThighGeo = new THREE.CylinderGeometry(0.35, 0.3, 2, 16);
-        this.rightThigh = new THREE.Mesh(rightThighGeo, limbMat);
-        this.rightThigh.position.y = -1;
-        this.rightThigh.scale.set(1.2, 1, 1);
-        this.rightLeg.add(this.rightThigh);
+        const dt = THREE.MathUtils.clamp(time - this.lastTime, 0, 0.1);
+        this.lastTime = time;
 
-        this.rightShin = new THREE.Group();
-        this.rightShin.position.y = -2;
-        const rightShinGeo = new THREE.CylinderGeometry(0.28, 0.22, 2, 16);
-        this.rightShinMesh = new THREE.Mesh(rightShinGeo, limbMat);
-        this.rightShinMesh.position.y = -1;
-        this.rightShin.add(this.rightShinMesh);
+        // Same normalization for every real input (system, mic, file)
+        frame.gain = 1;
+        if (frame.active && CONFIG.agcEnabled) {
+            this.agc.update(frame, dt);
+            [frame, frame.left, frame.right].forEach(levels => this.agc.apply(levels));
+            frame.gain = this.agc.gain;
+        }
 
-        const rightFootGeo = new THREE.BoxGeometry(0.3, 0.2, 0.6);
-        this.rightFoot = new THREE.Mesh(rightFootGeo, accentMat);
-        this.rightFoot.position.set(0, -2.1, 0.15);
-        this.rightShin.add(this.rightFoot);
+        this.updateEnvelopes(frame.bands, dt);
+        frame.smoothedBands = this.smoothedBands;
+        frame.peaks = this.peaks;
 
-        this.rightLeg.add(this.rightShin);
-        this.character.add(this.rightLeg);
+        return frame;
+    }
 
-        this.group.add(this.character);
+    readAnalysers(time) {
+        const { mix, left, right } = this.channels;
+        const sampleRate = mix.analyser.context.sampleRate;
 
-        // Beautiful stage with gradient
-        const floorGeo = new THREE.CircleGeometry(20, 64);
-        const floorMat = new THREE.MeshStandardMaterial({
-            color: 0x2d1b4e,
-            metalness: 0.9,
-            roughness: 0.1,
-            emissive: 0x1a0033,
-            emissiveIntensity: 0.3
-        });
-        this.floor = new THREE.Mesh(floorGeo, floorMat);
-        this.floor.rotation.x = -Math.PI / 2;
-        this.floor.position.y = -1;
-        this.group.add(this.floor);
+        const frame = {
+            time,
+            active: true,
+            sampleRate,
+            ...this.readChannel(mix, sampleRate),
+            ...this.beatDetector.process(mix.spectrum, time)
+        };
+        frame.left = this.readChannel(left, sampleRate);
+        frame.right = this.readChannel(right, sampleRate);
+        Object.assign(frame, this.measureStereo(left.waveform, right.waveform));
+        return frame;
+    }
 
-        // Rim light effect on floor
-        const rimGeo = new THREE.RingGeometry(18, 20, 64);
-        const rimMat = new THREE.MeshBasicMaterial({
-            color: 0xff00ff,
-            transparent: true,
-            opacity: 0.3,
-            side: THREE.DoubleSide
-        });
-        this.rim = new THREE.Mesh(rimGeo, rimMat);
-        this.rim.rotation.x = -Math.PI / 2;
-        this.rim.position.y = -0.9;
-        this.group.add(this.rim);
+    readChannel(channel, sampleRate) {
+        const spectrum = channel.spectrum;
+        channel.analyser.getByteFrequencyData(spectrum);
+        channel.analyser.getFloatTimeDomainData(channel.waveform);
+
+        // Legacy three-way split (10% / 50% of the bins) that the effects were tuned on
+        const lowBound = Math.floor(spectrum.length * 0.1);
+        const midBound = Math.floor(spectrum.length * 0.5);
+        let lowSum = 0, midSum = 0, highSum = 0;
+        for (let i = 0; i < spectrum.length; i++) {
+            const val = spectrum[i] / 255.0;
+            if (i < lowBound) lowSum += val;
+            else if (i < midBound) midSum += val;
+            else highSum += val;
+        }
 
-        // Enhanced lighting
-        const keyLight = new THREE.SpotLight(0xff1493, 3);
-        keyLight.position.set(-8, 12, 8);
-        keyLight.angle = Math.PI / 5;
-        keyLight.penumbra = 0.6;
-        keyLight.target = this.character;
-        this.group.add(keyLight);
+        return {
+            spectrum,
+            waveform: channel.waveform,
+            low: lowSum / lowBound,
+            mid: midSum / (midBound - lowBound),
+            high: highSum / (spectrum.length - midBound),
+            ...this.measureWaveform(channel.waveform),
+            ...channel.bandAnalyzer.analyze(spectrum, sampleRate)
+        };
+    }
 
-        const fillLight = new THREE.SpotLight(0x00ffff, 2);
-        fillLight.position.set(8, 10, 6);
-        fillLight.angle = Math.PI / 5;
-        fillLight.penumbra = 0.6;
-        fillLight.target = this.character;
-        this.group.add(fillLight);
+    // Idle animation until a source is picked (or if one goes away)
+    synthesize(time) {
+        const low = (Math.sin(time * 2.0) * 0.5 + 0.5) * 0.8;
+        const mid = (Math.sin(time * 1.5 + 1.0) * 0.5 + 0.5) * 0.6;
+        const high = (Math.sin(time * 3.0 + 2.0) * 0.5 + 0.5) * 0.5;
+
+        // A wobbly mix of three tones so waveform consumers have something to draw
+        const waveform = this.channels.mix.waveform;
+        for (let i = 0; i < waveform.length; i++) {
+            const t = i / waveform.length;
+            waveform[i] = (Math.sin(t * 12.566 + time * 3.0) * low +
+                Math.sin(t * 75.4 + time * 7.0) * mid * 0.5 +
+                Math.sin(t * 402.1) * high * 0.25) * 0.5;
+        }
 
-        const backLight = new THREE.SpotLight(0x9370db, 2.5);
-        backLight.position.set(0, 8, -10);
-        backLight.angle = Math.PI / 4;
-        backLight.penumbra = 0.5;
-        backLight.target = this.character;
-        this.group.add(backLight);
+        const levels = this.measureWaveform(waveform);
+        const spectrum = this.channels.mix.bandAnalyzer.synthesize(low, mid, high);
+
+        // Slowly drifting pan
+        const balance = Math.sin(time * 0.4) * 0.5;
+        const channelLevels = (gain) => {
+            const ranges = {};
+            for (const name in spectrum.ranges) ranges[name] = spectrum.ranges[name] * gain;
+            return {
+                spectrum: this.channels.mix.spectrum,
+                waveform,
+                low: low * gain,
+                mid: mid * gain,
+                high: high * gain,
+                rms: levels.rms * gain,
+                peak: levels.peak * gain,
+                bands: spectrum.bands,
+                ranges
+            };
+        };
 
-        const ambientLight = new THREE.AmbientLight(0x404060, 0.6);
-        this.group.add(ambientLight);
+        // Steady 120 BPM clock
+        const beats = time * 2.0;
+        const beatCount = Math.floor(beats);
+        const beat = beatCount !== this.demoBeatCount;
+        this.demoBeatCount = beatCount;
+
+        return {
+            time,
+            active: false,
+            sampleRate: 44100,
+            spectrum: this.channels.mix.spectrum,
+            waveform,
+            low,
+            mid,
+            high,
+            ...levels,
+            ...spectrum,
+            left: channelLevels(1 - balance),
+            right: channelLevels(1 + balance),
+            balance,
+            stereoWidth: 0.2,
+            correlation: 0.8,
+            beat,
+            onset: false,
+            bpm: 120,
+            beatPhase: beats - beatCount,
+            barPhase: (beats % 4) / 4,
+            beatConfidence: 1
+        };
+    }
 
-        // Beautiful particle effects
-        this.initParticles();
+    measureWaveform(waveform) {
+        let sum = 0, peak = 0;
+        for (let i = 0; i < waveform.length; i++) {
+            const v = waveform[i];
+            sum += v * v;
+            if (Math.abs(v) > peak) peak = Math.abs(v);
+        }
+        return { rms: Math.sqrt(sum / waveform.length), peak };
     }
 
-    initParticles() {
-        const particleCount = 300;
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(particleCount * 3);
-        const colors = new Float32Array(particleCount * 3);
-
-        for (let i = 0; i < particleCount; i++) {
-            const theta = Math.random() * Math.PI * 2;
-            const r = 8 + Math.random() * 5;
-            positions[i * 3] = r * Math.cos(theta);
-            positions[i * 3 + 1] = Math.random() * 15;
-            positions[i * 3 + 2] = r * Math.sin(theta);
-
-            // Rainbow colors
-            const color = new THREE.Color().setHSL(Math.random(), 0.8, 0.6);
-            colors[i * 3] = color.r;
-            colors[i * 3 + 1] = color.g;
-            colors[i * 3 + 2] = color.b;
+    // balance: -1 (left) .. 1 (right), stereoWidth: 0 (mono) .. 1 (out of phase)
+    measureStereo(left, right) {
+        let leftEnergy = 0, rightEnergy = 0, cross = 0, midEnergy = 0, sideEnergy = 0;
+        for (let i = 0; i < left.length; i++) {
+            const l = left[i], r = right[i];
+            leftEnergy += l * l;
+            rightEnergy += r * r;
+            cross += l * r;
+            midEnergy += (l + r) * (l + r);
+            sideEnergy += (l - r) * (l - r);
         }
 
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-
-        const material = new THREE.PointsMaterial({
-            size: 0.4,
-            transparent: true,
-            opacity: 0.8,
-            vertexColors: true,
-            blending: THREE.AdditiveBlending
-        });
+        const leftRms = Math.sqrt(leftEnergy), rightRms = Math.sqrt(rightEnergy);
+        const total = leftRms + rightRms;
+        return {
+            balance: total > 1e-6 ? (rightRms - leftRms) / total : 0,
+            stereoWidth: midEnergy + sideEnergy > 1e-9 ? sideEnergy / (midEnergy + sideEnergy) : 0,
+            correlation: leftRms * rightRms > 1e-9 ? cross / (leftRms * rightRms) : 1
+        };
+    }
 
-        this.particles = new THREE.Points(geometry, material);
-        this.group.add(this.particles);
+    // Fast-attack/slow-release smoothing plus a falling peak marker per band
+    updateEnvelopes(bands, dt) {
+        if (this.smoothedBands.length !== bands.length) {
+            this.smoothedBands = new Float32Array(bands.length);
+            this.peaks = new Float32Array(bands.length);
+        }
+        const attack = 1 - Math.exp(-dt / 0.05);
+        const release = 1 - Math.exp(-dt / 0.3);
+
+        for (let i = 0; i < bands.length; i++) {
+            const value = bands[i];
+            const smoothed = this.smoothedBands[i];
+            this.smoothedBands[i] += (value - smoothed) * (value > smoothed ? attack : release);
+            this.peaks[i] = Math.max(value, this.peaks[i] - dt * 0.5);
+        }
     }
+}
 
-    update(time, audioData, mouse, isDragging) {
-        // Graceful body sway
-        const sway = Math.sin(time * 2) * 0.15;
-        this.torso.rotation.z = sway;
-        this.hips.rotation.z = -sway * 0.5;
+// --- Visual Effects ---
 
-        // Bass - Smooth bounce with hip movement
-        const bounce = Math.sin(time * 4 + audioData.low * 8) * audioData.low * 0.3;
-        this.character.position.y = bounce;
+class CosmicEffect {
+    static id = 'cosmic';
+    static label = 'Cosmic Nebula';
+    static camera = { position: [0, 5, 15], lookAt: [0, 0, 0] };
+    static fog = { color: 0x000000, density: 0.02 };
+    static params = {
+        rotationSpeed: { label: 'Rotation', min: 0, max: 0.5, step: 0.01, default: 0.05 },
+        drift: { label: 'Drift', min: 0, max: 15, step: 0.5, default: 5 }
+    };
+
+    constructor(scene, params, quality) {
+        this.scene = scene;
+        this.params = params;
+        this.quality = quality;
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+        this.init();
+    }
 
-        // Hip sway with bass
-        const hipSway = Math.sin(time * 3) * (0.2 + audioData.low * 0.3);
-        this.hips.rotation.y = hipSway;
+    init() {
+        // Shared Uniforms
+        this.uniforms = {
+            uTime: { value: 0 },
+            uAudioLow: { value: 0 },
+            uAudioMid: { value: 0 },
+            uAudioHigh: { value: 0 },
+            uMouse: { value: new THREE.Vector2(0, 0) },
+            uDragging: { value: 0.0 }
+        };
 
-        // Leg dance - more graceful
-        const legSwing = Math.sin(time * 6) * (0.2 + audioData.low * 0.4);
-        this.leftLeg.rotation.x = legSwing;
-        this.rightLeg.rotation.x = -legSwing;
+        // 1. Central Rainbow Galaxy
+        this.initGalaxy();
 
-        // Knee bend
-        const kneeAngle = Math.abs(Math.sin(time * 6)) * (0.15 + audioData.low * 0.25);
-        this.leftShin.rotation.x = -kneeAngle;
-        this.rightShin.rotation.x = -kneeAngle;
+        // 2. The Black Hole (Event Horizon + Accretion Disk)
+        this.initGalaxyCore();
 
-        // Mids - Flowing arm movements
-        const armWave = Math.sin(time * 4) * (0.4 + audioData.mid * 1.2);
-        const armPhase = Math.cos(time * 4) * 0.3;
+        // 3. Aurora Halo (Seamless)
+        this.initAuroraHalo();
 
-        // Left arm - graceful wave
-        this.leftArm.rotation.z = Math.PI / 6 + armWave;
-        this.leftArm.rotation.x = armPhase;
-        this.leftForearm.rotation.x = -Math.abs(Math.sin(time * 4)) * (0.4 + audioData.mid * 0.6);
-        this.leftForearm.rotation.z = Math.sin(time * 5) * 0.3;
+        // 4. Distant Starfield (Parallax)
+        this.initStarfield();
 
-        // Right arm - complementary movement
-        this.rightArm.rotation.z = -Math.PI / 6 - armWave * 0.8;
-        this.rightArm.rotation.x = -armPhase;
-        this.rightForearm.rotation.x = -Math.abs(Math.cos(time * 4 + 1)) * (0.4 + audioData.mid * 0.6);
-        this.rightForearm.rotation.z = -Math.sin(time * 5) * 0.3;
+        // 5. Shooting Stars
+        this.initShootingStars();
+    }
 
-        // Highs - Head movement and torso twist
-        this.head.rotation.y = Math.sin(time * 8) * (0.15 + audioData.high * 0.4);
-        this.head.rotation.z = Math.cos(time * 6) * 0.1;
-        this.head.position.y = 7.5 + Math.sin(time * 10) * audioData.high * 0.2;
+    initGalaxy() {
+        const particleCount = Math.floor(40000 * this.quality.particles);
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(particleCount * 3);
+        const scales = new Float32Array(particleCount);
+        const randomness = new Float32Array(particleCount * 3);
 
-        // Torso twist
-        this.torso.rotation.y = Math.sin(time * 3) * (0.15 + audioData.mid * 0.25);
+        const radius = 30.0;
+        const height = 120.0;
 
-        // Waist rotation
-        this.waist.rotation.z = time * 2 + audioData.mid * 2;
+        for (let i = 0; i < particleCount; i++) {
+            const i3 = i * 3;
+            const r = Math.random() * radius + 5;
+            const theta = Math.random() * Math.PI * 2;
+            const y = (Math.random() - 0.5) * height;
 
-        // Smooth character rotation
-        this.character.rotation.y = time * 0.2 + Math.sin(time * 0.5) * 0.3;
+            positions[i3] = Math.cos(theta) * r;
+            positions[i3 + 1] = y;
+            positions[i3 + 2] = Math.sin(theta) * r;
 
-        // Mouse interaction - character follows mouse gracefully
-        if (isDragging) {
-            this.character.rotation.y += mouse.x * 0.03;
-            this.torso.rotation.x = mouse.y * 0.1;
+            scales[i] = Math.random();
+            randomness[i3] = Math.random();
+            randomness[i3 + 1] = Math.random();
+            randomness[i3 + 2] = Math.random();
         }
 
-        // Particle animation with color shift
-        this.particles.rotation.y = time * 0.4;
-        const positions = this.particles.geometry.attributes.position.array;
-        const colors = this.particles.geometry.attributes.color.array;
-
-        for (let i = 0; i < positions.length; i += 3) {
-            // Spiral upward
-            const angle = time * 2 + i * 0.1;
-            const radius = 8 + Math.sin(time + i * 0.5) * 2;
-            positions[i] = radius * Math.cos(angle);
-            positions[i + 2] = radius * Math.sin(angle);
-            positions[i + 1] += 0.03;
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('aScale', new THREE.BufferAttribute(scales, 1));
+        geometry.setAttribute('aRandomness', new THREE.BufferAttribute(randomness, 3));
 
-            if (positions[i + 1] > 15) {
-                positions[i + 1] = 0;
-            }
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader: `
+                uniform float uTime;
+                uniform float uAudioLow;
+                uniform float uAudioMid;
+                uniform float uAudioHigh;
+                attribute float aScale;
+                attribute vec3 aRandomness;
+                varying vec3 vColor;
+                varying float vAlpha;
 
-            // Color cycling
-            const hue = (time * 0.1 + i * 0.01) % 1;
-            const color = new THREE.Color().setHSL(hue, 0.8, 0.6);
-            colors[i] = color.r;
-            colors[i + 1] = color.g;
-            colors[i + 2] = color.b;
-        }
-        this.particles.geometry.attributes.position.needsUpdate = true;
-        this.particles.geometry.attributes.color.needsUpdate = true;
+                vec3 hsv2rgb(vec3 c) {
+                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+                }
 
-        // Rim light pulse
-        this.rim.material.opacity = 0.3 + audioData.low * 0.4;
-    }
+                void main() {
+                    vec3 pos = position;
+                    
+                    float angle = uTime * 0.1 + aRandomness.x; 
+                    float c = cos(angle); float s = sin(angle);
+                    vec3 rotatedPos = vec3(pos.x * c - pos.z * s, pos.y, pos.x * s + pos.z * c);
+                    
+                    float beat = 1.0 + uAudioLow * 0.3;
+                    rotatedPos.x *= beat;
+                    rotatedPos.z *= beat;
 
-    dispose() {
-        this.scene.remove(this.group);
-        // Dispose geometries and materials
-        this.character.traverse((child) => {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) child.material.dispose();
+                    vec4 mvPosition = modelViewMatrix * vec4(rotatedPos, 1.0);
+                    gl_Position = projectionMatrix * mvPosition;
+                    
+                    gl_PointSize = aScale * (250.0 / -mvPosition.z);
+                    
+                    float hue = (atan(pos.z, pos.x) / 6.28) + (pos.y * 0.002) - (uTime * 0.1);
+                    float sat = 0.7 + uAudioMid * 0.3;
+                    float val = 0.8 + uAudioHigh * 0.5;
+                    
+                    vColor = hsv2rgb(vec3(hue, sat, val));
+                    vAlpha = 0.8 * (1.0 - smoothstep(50.0, 60.0, abs(pos.y)));
+                }
+            `,
+            fragmentShader: `
+                varying vec3 vColor;
+                varying float vAlpha;
+                void main() {
+                    vec2 uv = gl_PointCoord - 0.5;
+                    float dist = length(uv);
+                    float glow = exp(-dist * 4.0);
+                    if (glow < 0.01) discard;
+                    gl_FragColor = vec4(vColor, vAlpha * glow);
+                }
+            `,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
         });
-        this.floor.geometry.dispose();
-        this.floor.material.dispose();
-        this.particles.geometry.dispose();
-        this.particles.material.dispose();
+
+        this.galaxyMesh = new THREE.Points(geometry, material);
+        this.group.add(this.galaxyMesh);
     }
-}
 
-class FireworksEffect {
-    constructor(scene) {
-        this.scene = scene;
-        this.group = new THREE.Group();
-        this.scene.add(this.group);
+    initGalaxyCore() {
+        // 1. The Event Horizon (Pure Black Void)
+        const horizonGeo = new THREE.SphereGeometry(4, 64, 64);
+        const horizonMat = new THREE.MeshBasicMaterial({ color: 0x000000 });
+        this.eventHorizon = new THREE.Mesh(horizonGeo, horizonMat);
+        this.group.add(this.eventHorizon);
 
-        this.particles = [];
-        this.rockets = [];
-        this.shockwaves = [];
-        this.lastLaunchTime = 0;
+        // 2. The Accretion Disk (Colorful Swirl)
+        const particleCount = Math.floor(10000 * this.quality.particles);
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(particleCount * 3);
+        const randomness = new Float32Array(particleCount);
 
-        this.init();
-    }
+        for (let i = 0; i < particleCount; i++) {
+            const r = 5 + Math.random() * 15;
+            const theta = Math.random() * Math.PI * 2;
+            const y = (Math.random() - 0.5) * (r * 0.1);
 
-    init() {
-        // --- Enchanted River ---
-        const planeGeo = new THREE.PlaneGeometry(300, 300);
-        const planeMat = new THREE.MeshStandardMaterial({
-            color: 0x000000,
-            roughness: 0.0,
-            metalness: 1.0, // Perfect mirror
-            emissive: 0x000510,
-            emissiveIntensity: 0.2
-        });
-        this.floor = new THREE.Mesh(planeGeo, planeMat);
-        this.floor.rotation.x = -Math.PI / 2;
-        this.floor.position.y = -5;
-        this.group.add(this.floor);
+            positions[i * 3] = r * Math.cos(theta);
+            positions[i * 3 + 1] = y;
+            positions[i * 3 + 2] = r * Math.sin(theta);
+
+            randomness[i] = Math.random();
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('aRandomness', new THREE.BufferAttribute(randomness, 1));
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending,
+            vertexShader: `
+                uniform float uTime;
+                uniform float uAudioLow;
+                uniform float uAudioMid;
+                uniform float uAudioHigh;
+                attribute float aRandomness;
+                varying vec3 vColor;
+                varying float vAlpha;
+
+                vec3 hsv2rgb(vec3 c) {
+                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+                }
+
+                void main() {
+                    vec3 pos = position;
+                    float r = length(pos.xz);
+                    
+                    float speed = (20.0 / r) * (1.0 + uAudioLow * 0.5);
+                    float angle = uTime * 0.5 * speed + aRandomness;
+                    
+                    float c = cos(angle); float s = sin(angle);
+                    pos = vec3(pos.x * c - pos.z * s, pos.y, pos.x * s + pos.z * c);
+
+                    vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+                    gl_Position = projectionMatrix * mvPosition;
+                    
+                    gl_PointSize = (3.0 + aRandomness * 3.0) * (100.0 / -mvPosition.z);
+                    
+                    // Rainbow Color Logic - DARKER / DEEPER (No Glare)
+                    float hue = (atan(pos.z, pos.x) / 6.28) - (uTime * 0.2) + (10.0/r);
+                    float sat = 0.9 + uAudioMid * 0.1;
+                    float val = 0.6 + uAudioHigh * 0.4; // Reduced brightness
+                    
+                    vColor = hsv2rgb(vec3(hue, sat, val));
+                    
+                    float alpha = smoothstep(4.0, 5.0, r) * (1.0 - smoothstep(15.0, 20.0, r));
+                    vAlpha = alpha * 0.6; 
+                }
+            `,
+            fragmentShader: `
+                varying vec3 vColor;
+                varying float vAlpha;
+                void main() {
+                    vec2 uv = gl_PointCoord - 0.5;
+                    float dist = length(uv);
+                    float glow = exp(-dist * 4.0);
+                    if (glow < 0.01) discard;
+                    gl_FragColor = vec4(vColor, vAlpha * glow);
+                }
+            `
+        });
+
+        this.diskMesh = new THREE.Points(geometry, material);
+        this.group.add(this.diskMesh);
+    }
+
+    initAuroraHalo() {
+        const geometry = new THREE.CylinderGeometry(60, 60, 40, 128, 1, true);
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            side: THREE.DoubleSide,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending,
+            vertexShader: `
+                varying vec2 vUv;
+                varying vec3 vPos;
+                void main() {
+                    vUv = uv;
+                    vPos = position;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform float uTime;
+                uniform float uAudioLow;
+                uniform float uAudioHigh;
+                varying vec2 vUv;
+                varying vec3 vPos;
+
+                // Simplex 3D Noise 
+                vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+                vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+                vec4 permute(vec4 x) { return mod289(((x*34.0)+1.0)*x); }
+                vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+
+                float snoise(vec3 v) { 
+                    const vec2  C = vec2(1.0/6.0, 1.0/3.0) ;
+                    const vec4  D = vec4(0.0, 0.5, 1.0, 2.0);
+                    vec3 i  = floor(v + dot(v, C.yyy) );
+                    vec3 x0 = v - i + dot(i, C.xxx) ;
+                    vec3 g = step(x0.yzx, x0.xyz);
+                    vec3 l = 1.0 - g;
+                    vec3 i1 = min( g.xyz, l.zxy );
+                    vec3 i2 = max( g.xyz, l.zxy );
+                    vec3 x1 = x0 - i1 + C.xxx;
+                    vec3 x2 = x0 - i2 + C.yyy;
+                    vec3 x3 = x0 - D.yyy;
+                    i = mod289(i); 
+                    vec4 p = permute( permute( permute( 
+                                i.z + vec4(0.0, i1.z, i2.z, 1.0 ))
+                            + i.y + vec4(0.0, i1.y, i2.y, 1.0 )) 
+                            + i.x + vec4(0.0, i1.x, i2.x, 1.0 ));
+                    float n_ = 0.142857142857;
+                    vec3  ns = n_ * D.wyz - D.xzx;
+                    vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+                    vec4 x_ = floor(j * ns.z);
+                    vec4 y_ = floor(j - 7.0 * x_ );
+                    vec4 x = x_ *ns.x + ns.yyyy;
+                    vec4 y = y_ *ns.x + ns.yyyy;
+                    vec4 h = 1.0 - abs(x) - abs(y);
+                    vec4 b0 = vec4( x.xy, y.xy );
+                    vec4 b1 = vec4( x.zw, y.zw );
+                    vec4 s0 = floor(b0)*2.0 + 1.0;
+                    vec4 s1 = floor(b1)*2.0 + 1.0;
+                    vec4 sh = -step(h, vec4(0.0));
+                    vec4 a0 = b0.xzyw + s0.xzyw*sh.xxyy ;
+                    vec4 a1 = b1.xzyw + s1.xzyw*sh.zzww ;
+                    vec3 p0 = vec3(a0.xy,h.x);
+                    vec3 p1 = vec3(a0.zw,h.y);
+                    vec3 p2 = vec3(a1.xy,h.z);
+                    vec3 p3 = vec3(a1.zw,h.w);
+                    vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2, p2), dot(p3,p3)));
+                    p0 *= norm.x;
+                    p1 *= norm.y;
+                    p2 *= norm.z;
+                    p3 *= norm.w;
+                    vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0);
+                    m = m * m;
+                    return 42.0 * dot( m*m, vec4( dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3) ) );
+                }
+
+                void main() {
+                    float theta = vUv.x * 6.2831853;
+                    // Slower, smoother noise
+                    vec3 noisePos = vec3(cos(theta), sin(theta), vUv.y * 1.5 - uTime * 0.1);
+                    float noise = snoise(noisePos * 1.5);
+                    
+                    float alpha = smoothstep(0.0, 1.0, noise * 0.5 + 0.5);
+                    float edgeFade = 1.0 - abs(vUv.y - 0.5) * 2.0;
+                    alpha *= edgeFade;
+                    
+                    // Soft, ethereal colors
+                    vec3 colorA = vec3(0.0, 0.2, 0.4); // Deep Blue
+                    vec3 colorB = vec3(0.2, 0.0, 0.3); // Deep Purple
+                    
+                    vec3 color = mix(colorA, colorB, vUv.y + sin(uTime * 0.5) * 0.5);
+                    
+                    // Subtle highlight
+                    color += vec3(uAudioHigh * 0.2);
+                    
+                    // Very low opacity for "ghostly" look
+                    gl_FragColor = vec4(color, alpha * 0.2 * (1.0 + uAudioLow * 0.5));
+                }
+            `
+        });
+        this.auroraMesh = new THREE.Mesh(geometry, material);
+        this.group.add(this.auroraMesh);
+    }
+
+    initStarfield() {
+        const count = Math.floor(3000 * this.quality.particles);
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(count * 3);
+        const sizes = new Float32Array(count);
+        const speeds = new Float32Array(count);
+
+        for (let i = 0; i < count; i++) {
+            const r = 300 + Math.random() * 300;
+            const theta = Math.random() * Math.PI * 2;
+            const phi = Math.acos(2 * Math.random() - 1);
+            positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
+            positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
+            positions[i * 3 + 2] = r * Math.cos(phi);
+            sizes[i] = Math.random();
+            speeds[i] = Math.random();
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('aScale', new THREE.BufferAttribute(sizes, 1));
+        geometry.setAttribute('aSpeed', new THREE.BufferAttribute(speeds, 1));
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            transparent: true,
+            vertexShader: `
+                uniform float uTime;
+                attribute float aScale;
+                attribute float aSpeed;
+                void main() {
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    gl_Position = projectionMatrix * mvPosition;
+                    float twinkle = 1.0 + sin(uTime * (0.5 + aSpeed) + position.x) * 0.3; // Slower twinkle
+                    gl_PointSize = aScale * (200.0 / -mvPosition.z) * twinkle; // Smaller stars
+                }
+            `,
+            fragmentShader: `
+                void main() {
+                    vec2 uv = gl_PointCoord - 0.5;
+                    float dist = length(uv);
+                    if(dist > 0.5) discard;
+                    float alpha = 1.0 - smoothstep(0.3, 0.5, dist);
+                    gl_FragColor = vec4(1.0, 1.0, 1.0, alpha * 0.8); // Slightly reduced opacity
+                }
+            `
+        });
+        this.starMesh = new THREE.Points(geometry, material);
+        this.group.add(this.starMesh);
+    }
+
+    initShootingStars() {
+        this.shootingStars = [];
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(6);
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        this.shootingStarMaterial = new THREE.LineBasicMaterial({
+            color: 0xaaddff,
+            transparent: true,
+            opacity: 0.8,
+            blending: THREE.AdditiveBlending
+        });
+
+        for (let i = 0; i < 8; i++) {
+            const star = new THREE.Line(geometry.clone(), this.shootingStarMaterial);
+            star.visible = false;
+            this.group.add(star);
+            this.shootingStars.push({
+                mesh: star,
+                active: false,
+                progress: 0,
+                speed: 0,
+                startPos: new THREE.Vector3(),
+                endPos: new THREE.Vector3()
+            });
+        }
+    }
+
+    spawnShootingStar() {
+        const star = this.shootingStars.find(s => !s.active);
+        if (!star) return;
+
+        star.active = true;
+        star.mesh.visible = true;
+        star.progress = 0;
+        star.speed = 0.005 + Math.random() * 0.01;
+
+        const r = 150;
+        const theta = Math.random() * Math.PI * 2;
+        const phi = Math.acos(2 * Math.random() - 1);
+        star.startPos.set(
+            r * Math.sin(phi) * Math.cos(theta),
+            r * Math.sin(phi) * Math.sin(theta),
+            r * Math.cos(phi)
+        );
+
+        star.endPos.copy(star.startPos).add(new THREE.Vector3(
+            (Math.random() - 0.5) * 200,
+            (Math.random() - 0.5) * 200,
+            (Math.random() - 0.5) * 200
+        ));
+    }
+
+    // k = elapsed time in 60 Hz frames, the rate these numbers were tuned at
+    updateShootingStars(k) {
+        if (Math.random() < 0.02 * k) this.spawnShootingStar();
+
+        this.shootingStars.forEach(star => {
+            if (!star.active) return;
+
+            star.progress += star.speed * k;
+            if (star.progress >= 1) {
+                star.active = false;
+                star.mesh.visible = false;
+                return;
+            }
+
+            const currentPos = new THREE.Vector3().lerpVectors(star.startPos, star.endPos, star.progress);
+            const tailPos = new THREE.Vector3().lerpVectors(star.startPos, star.endPos, Math.max(0, star.progress - 0.1));
+
+            const positions = star.mesh.geometry.attributes.position.array;
+            positions[0] = currentPos.x; positions[1] = currentPos.y; positions[2] = currentPos.z;
+            positions[3] = tailPos.x; positions[4] = tailPos.y; positions[5] = tailPos.z;
+            star.mesh.geometry.attributes.position.needsUpdate = true;
+
+            star.mesh.material.opacity = 1.0 - star.progress;
+        });
+    }
+
+    update(time, audioData, mouse, isDragging, dt) {
+        this.uniforms.uTime.value = time;
+        const smoothing = 1 - Math.pow(0.9, dt * 60); // 0.1 per 60 Hz frame
+        this.uniforms.uAudioLow.value = THREE.MathUtils.lerp(this.uniforms.uAudioLow.value, audioData.low, smoothing);
+        this.uniforms.uAudioMid.value = THREE.MathUtils.lerp(this.uniforms.uAudioMid.value, audioData.mid, smoothing);
+        this.uniforms.uAudioHigh.value = THREE.MathUtils.lerp(this.uniforms.uAudioHigh.value, audioData.high, smoothing);
+
+        // Dynamic Rotation
+        const rotationSpeed = this.params.rotationSpeed + (this.uniforms.uAudioLow.value * 0.2);
+        this.group.rotation.y += rotationSpeed * dt;
+
+        // Mouse Interaction
+        if (isDragging) {
+            this.group.rotation.y += mouse.x * 3 * dt;
+            this.group.rotation.x += mouse.y * 3 * dt;
+        }
+
+        // Cinematic Camera Motion (Lissajous Curve)
+        this.group.position.x = Math.sin(time * 0.2) * this.params.drift;
+        this.group.position.y = Math.cos(time * 0.15) * this.params.drift;
+        this.group.rotation.z = Math.sin(time * 0.1) * 0.1;
+    }
+
+    fixedUpdate(step) {
+        this.updateShootingStars(step * 60);
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        if (this.galaxyMesh) { this.galaxyMesh.geometry.dispose(); this.galaxyMesh.material.dispose(); }
+        if (this.eventHorizon) { this.eventHorizon.geometry.dispose(); this.eventHorizon.material.dispose(); }
+        if (this.diskMesh) { this.diskMesh.geometry.dispose(); this.diskMesh.material.dispose(); }
+        if (this.auroraMesh) { this.auroraMesh.geometry.dispose(); this.auroraMesh.material.dispose(); }
+        if (this.starMesh) { this.starMesh.geometry.dispose(); this.starMesh.material.dispose(); }
+        if (this.shootingStars) {
+            this.shootingStars.forEach(s => {
+                s.mesh.geometry.dispose();
+                s.mesh.material.dispose();
+            });
+            // Dispose of the shared material only once if it's not unique per star
+            if (this.shootingStarMaterial) {
+                this.shootingStarMaterial.dispose();
+            }
+        }
+    }
+}
+
+class WaveEffect {
+    static id = 'wave';
+    static label = 'Neon Waves';
+    static camera = { position: [0, 5, 30], lookAt: [0, 5, -50] }; // Low and far back, looking at the sun
+    static params = {
+        waveHeight: { label: 'Bass Ripple', min: 0, max: 15, step: 0.5, default: 5 },
+        colorSpeed: { label: 'Color Cycle', min: 0, max: 0.5, step: 0.01, default: 0.1 }
+    };
+
+    constructor(scene, params, quality) {
+        this.scene = scene;
+        this.params = params;
+        this.quality = quality;
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+        this.init();
+    }
+
+    init() {
+        // --- Retro-Futuristic Terrain ---
+        // High segment count for smooth waves (every vertex is animated on the CPU)
+        const segments = this.quality.segments;
+        const geometry = new THREE.PlaneGeometry(150, 150, segments, segments);
+        geometry.rotateX(-Math.PI / 2);
+
+        // Initialize colors attribute
+        const count = geometry.attributes.position.count;
+        const colors = new Float32Array(count * 3);
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+        const material = new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            wireframe: true,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide
+        });
+
+        this.terrain = new THREE.Mesh(geometry, material);
+        this.group.add(this.terrain);
+
+        // --- Synthwave Sun ---
+        const sunGeo = new THREE.CircleGeometry(25, 64);
+        // Create a gradient texture for the sun
+        const canvas = document.createElement('canvas');
+        canvas.width = 128; canvas.height = 128;
+        const ctx = canvas.getContext('2d');
+        const grad = ctx.createLinearGradient(0, 0, 0, 128);
+        grad.addColorStop(0, '#ffcc00');
+        grad.addColorStop(0.5, '#ff0055');
+        grad.addColorStop(1, '#aa00cc');
+        ctx.fillStyle = grad;
+        ctx.fillRect(0, 0, 128, 128);
+
+        // Add "scanlines" to sun
+        ctx.fillStyle = 'rgba(0,0,0,0.3)';
+        for (let i = 0; i < 128; i += 4) {
+            ctx.fillRect(0, i, 128, 1);
+        }
+
+        const sunTex = new THREE.CanvasTexture(canvas);
+
+        const sunMat = new THREE.MeshBasicMaterial({
+            map: sunTex,
+            transparent: true,
+            color: 0xffffff
+        });
+
+        this.sun = new THREE.Mesh(sunGeo, sunMat);
+        this.sun.position.set(0, 20, -60);
+        this.group.add(this.sun);
+
+        // --- Floating Particles ---
+        const pGeo = new THREE.BufferGeometry();
+        const pCount = 500;
+        const pPos = new Float32Array(pCount * 3);
+        for (let i = 0; i < pCount * 3; i++) {
+            pPos[i] = (Math.random() - 0.5) * 150;
+        }
+        pGeo.setAttribute('position', new THREE.BufferAttribute(pPos, 3));
+        this.particles = new THREE.Points(pGeo, new THREE.PointsMaterial({
+            color: 0x00ffff,
+            size: 0.3,
+            transparent: true,
+            opacity: 0.6
+        }));
+        this.group.add(this.particles);
+    }
+
+    update(time, audioData) {
+        // 1. Animate Terrain Waves
+        const positions = this.terrain.geometry.attributes.position;
+        const colors = this.terrain.geometry.attributes.color;
+        const count = positions.count;
+
+        // We'll use a scrolling offset to simulate forward movement
+        const scrollSpeed = time * 2.0;
+
+        for (let i = 0; i < count; i++) {
+            const x = positions.getX(i);
+            // We use the original Z (depth) to calculate waves
+            // Since we can't easily store original Z in a simple loop without extra memory,
+            // we can derive it if we assume the grid is regular.
+            // But for simplicity, let's just use the current X and Z (which doesn't change in X/Z plane, only Y changes).
+            // Wait, getZ(i) returns the Z coordinate.
+            const z = positions.getZ(i);
+
+            // Calculate Wave Height (Y)
+            let y = 0;
+
+            // Base rolling terrain (perlin-like using sines)
+            y += Math.sin(x * 0.15 + z * 0.1 + time) * 2.0;
+            y += Math.cos(x * 0.1 - z * 0.1 + time * 0.5) * 2.0;
+
+            // Audio Reaction:
+            // Bass creates a large central pulse
+            const dist = Math.sqrt(x * x + z * z);
+            const ripple = Math.sin(dist * 0.5 - time * 5.0);
+            y += ripple * audioData.low * this.params.waveHeight;
+
+            // Mids create jagged noise
+            if (audioData.mid > 0.1) {
+                y += Math.sin(x * 2.0 + time * 10.0) * Math.cos(z * 2.0) * audioData.mid * 2.0;
+            }
+
+            // Highs create fine detail
+            y += Math.sin(x * 5.0) * Math.sin(z * 5.0) * audioData.high * 1.0;
+
+            positions.setY(i, y);
+
+            // continuous Color Logic
+            // Map height and time to color
+            // We want a continuous flow of colors
+
+            // Base Hue rotates with time
+            const baseHue = (time * this.params.colorSpeed) % 1.0;
+
+            // Local hue variation based on height
+            const localHue = (baseHue + y * 0.02) % 1.0;
+
+            // Intensity based on audio
+            const lightness = 0.3 + audioData.mid * 0.4 + (y > 2 ? 0.3 : 0);
+
+            const color = new THREE.Color().setHSL(localHue, 1.0, lightness);
+            colors.setXYZ(i, color.r, color.g, color.b);
+        }
+
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+
+        // 2. Animate Sun
+        // Pulse with bass
+        const scale = 1.0 + audioData.low * 0.3;
+        this.sun.scale.set(scale, scale, 1);
+
+        // Rotate sun color slightly
+        this.sun.material.color.setHSL((time * 0.02) % 1.0, 1.0, 0.8);
+
+        // 3. Animate Particles
+        this.particles.rotation.y = time * 0.1;
+        this.particles.position.y = Math.sin(time) * 2.0;
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.terrain.geometry.dispose();
+        this.terrain.material.dispose();
+        this.sun.geometry.dispose();
+        this.sun.material.dispose();
+        this.particles.geometry.dispose();
+        this.particles.material.dispose();
+    }
+}
+
+class LightShowEffect {
+    static id = 'light';
+    static label = 'Light Show';
+    static params = {
+        pulse: { label: 'Bass Pulse', min: 0, max: 8, step: 0.5, default: 3 },
+        spin: { label: 'Spin', min: 0, max: 3, step: 0.1, default: 1 }
+    };
+
+    constructor(scene, params) {
+        this.scene = scene;
+        this.params = params;
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+        this.init();
+    }
+
+    init() {
+        // Abstract flowing shapes
+        const geometry = new THREE.IcosahedronGeometry(1, 6);
+        this.uniforms = {
+            uTime: { value: 0 },
+            uAudio: { value: 0 }
+        };
+
+        const material = new THREE.ShaderMaterial({
+            vertexShader: `
+                uniform float uTime;
+                uniform float uAudio;
+                varying vec3 vNormal;
+                varying vec3 vPos;
+                
+                // Simplex noise (omitted for brevity, using sine approximation)
+                float noise(vec3 p) {
+                    return sin(p.x*5.0+uTime) * sin(p.y*3.0+uTime) * sin(p.z*4.0);
+                }
+
+                void main() {
+                    vNormal = normal;
+                    vec3 pos = position;
+                    float d = noise(pos + uTime * 0.5);
+                    pos += normal * d * (0.5 + uAudio);
+                    vPos = pos;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform float uTime;
+                varying vec3 vNormal;
+                varying vec3 vPos;
+                
+                void main() {
+                    vec3 color = 0.5 + 0.5 * cos(uTime + vPos.xyx + vec3(0,2,4));
+                    float glow = dot(vNormal, vec3(0,0,1));
+                    gl_FragColor = vec4(color * glow * 2.0, 1.0);
+                }
+            `,
+            uniforms: this.uniforms,
+            wireframe: true
+        });
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.group.add(this.mesh);
+
+        // Background particles
+        const pGeo = new THREE.BufferGeometry();
+        const pCount = 1000;
+        const pPos = new Float32Array(pCount * 3);
+        for (let i = 0; i < pCount * 3; i++) pPos[i] = (Math.random() - 0.5) * 50;
+        pGeo.setAttribute('position', new THREE.BufferAttribute(pPos, 3));
+        this.particles = new THREE.Points(pGeo, new THREE.PointsMaterial({ color: 0xffffff, size: 0.1 }));
+        this.group.add(this.particles);
+    }
+
+    update(time, audioData, mouse, isDragging) {
+        this.uniforms.uTime.value = time;
+        this.uniforms.uAudio.value = audioData.mid;
+
+        this.mesh.rotation.x = time * 0.2 * this.params.spin;
+        this.mesh.rotation.y = time * 0.3 * this.params.spin;
+
+        // Mouse Interaction
+        if (isDragging) {
+            this.mesh.rotation.y += mouse.x * 0.1;
+            this.mesh.rotation.x += mouse.y * 0.1;
+        }
+
+        // Scale with bass
+        const s = 2 + audioData.low * this.params.pulse;
+        this.mesh.scale.set(s, s, s);
+
+        this.particles.rotation.y = time * 0.05;
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.particles.geometry.dispose();
+        this.particles.material.dispose();
+    }
+}
+
+// DancerEffect - A dancing humanoid character that reacts to music
+class DancerEffect {
+    static id = 'dancer';
+    static label = 'Dancer';
+    static camera = { position: [0, 5, 20], lookAt: [0, 3, 0] };
+    static params = {
+        turnSpeed: { label: 'Turn Speed', min: 0, max: 1, step: 0.05, default: 0.2 },
+        lean: { label: 'Stereo Lean', min: 0, max: 1, step: 0.05, default: 0.35 },
+        bodyColor: { label: 'Body Color', type: 'color', default: 0xff69b4 },
+        accentColor: { label: 'Accent Color', type: 'color', default: 0x9370db }
+    };
+
+    constructor(scene, params) {
+        this.scene = scene;
+        this.params = params;
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+        this.init();
+    }
+
+    init() {
+        // Create character parts with feminine curves
+        this.character = new THREE.Group();
+        this.lean = 0;
+
+        // Beautiful gradient materials
+        const bodyMat = new THREE.MeshStandardMaterial({
+            color: 0xff69b4, // Hot pink
+            emissive: 0xff1493,
+            emissiveIntensity: 0.5,
+            metalness: 0.4,
+            roughness: 0.5
+        });
+
+        const limbMat = new THREE.MeshStandardMaterial({
+            color: 0xffa07a, // Light salmon
+            emissive: 0xff6347,
+            emissiveIntensity: 0.3,
+            metalness: 0.3,
+            roughness: 0.6
+        });
+
+        const accentMat = new THREE.MeshStandardMaterial({
+            color: 0x9370db, // Medium purple
+            emissive: 0x8a2be2,
+            emissiveIntensity: 0.4,
+            metalness: 0.5,
+            roughness: 0.4
+        });
+        this.bodyMat = bodyMat;
+        this.accentMat = accentMat;
+
+        // Head - more elegant
+        const headGeo = new THREE.SphereGeometry(0.8, 32, 32);
+        this.head = new THREE.Mesh(headGeo, bodyMat);
+        this.head.position.y = 7.5;
+        this.head.scale.set(1, 1.1, 1); // Slightly elongated
+        this.character.add(this.head);
+
+        // Hair/Crown decoration
+        const hairGeo = new THREE.SphereGeometry(0.9, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2);
+        this.hair = new THREE.Mesh(hairGeo, accentMat);
+        this.hair.position.y = 7.8;
+        this.character.add(this.hair);
+
+        // Neck
+        const neckGeo = new THREE.CylinderGeometry(0.3, 0.35, 0.8, 16);
+        this.neck = new THREE.Mesh(neckGeo, limbMat);
+        this.neck.position.y = 6.8;
+        this.character.add(this.neck);
+
+        // Torso - hourglass shape
+        const torsoGeo = new THREE.CylinderGeometry(0.6, 0.9, 2.5, 32);
+        this.torso = new THREE.Mesh(torsoGeo, bodyMat);
+        this.torso.position.y = 5;
+        this.torso.scale.set(1.2, 1, 0.8); // Wider at shoulders, narrower front-to-back
+        this.character.add(this.torso);
+
+        // Waist accent
+        const waistGeo = new THREE.TorusGeometry(0.5, 0.15, 16, 32);
+        this.waist = new THREE.Mesh(waistGeo, accentMat);
+        this.waist.position.y = 4.2;
+        this.waist.rotation.x = Math.PI / 2;
+        this.character.add(this.waist);
+
+        // Hips - curved
+        const hipsGeo = new THREE.SphereGeometry(1, 32, 32, 0, Math.PI * 2, 0, Math.PI / 2);
+        this.hips = new THREE.Mesh(hipsGeo, bodyMat);
+        this.hips.position.y = 3.5;
+        this.hips.scale.set(1.3, 0.8, 1); // Wide hips
+        this.hips.rotation.x = Math.PI;
+        this.character.add(this.hips);
+
+        // Arms - graceful
+        this.leftArm = new THREE.Group();
+        this.leftArm.position.set(-1.3, 5.8, 0);
+
+        const leftShoulderGeo = new THREE.SphereGeometry(0.35, 16, 16);
+        this.leftShoulder = new THREE.Mesh(leftShoulderGeo, limbMat);
+        this.leftArm.add(this.leftShoulder);
+
+        const leftUpperArmGeo = new THREE.CylinderGeometry(0.25, 0.22, 1.8, 16);
+        this.leftUpperArm = new THREE.Mesh(leftUpperArmGeo, limbMat);
+        this.leftUpperArm.position.y = -1;
+        this.leftArm.add(this.leftUpperArm);
+
+        this.leftForearm = new THREE.Group();
+        this.leftForearm.position.y = -1.9;
+        const leftForearmGeo = new THREE.CylinderGeometry(0.2, 0.15, 1.5, 16);
+        this.leftForearmMesh = new THREE.Mesh(leftForearmGeo, limbMat);
+        this.leftForearmMesh.position.y = -0.75;
+        this.leftForearm.add(this.leftForearmMesh);
+
+        // Hand
+        const leftHandGeo = new THREE.SphereGeometry(0.2, 16, 16);
+        this.leftHand = new THREE.Mesh(leftHandGeo, accentMat);
+        this.leftHand.position.y = -1.5;
+        this.leftHand.scale.set(0.8, 1.2, 0.7);
+        this.leftForearm.add(this.leftHand);
+
+        this.leftArm.add(this.leftForearm);
+        this.character.add(this.leftArm);
+
+        this.rightArm = new THREE.Group();
+        this.rightArm.position.set(1.3, 5.8, 0);
+
+        const rightShoulderGeo = new THREE.SphereGeometry(0.35, 16, 16);
+        this.rightShoulder = new THREE.Mesh(rightShoulderGeo, limbMat);
+        this.rightArm.add(this.rightShoulder);
+
+        const rightUpperArmGeo = new THREE.CylinderGeometry(0.25, 0.22, 1.8, 16);
+        this.rightUpperArm = new THREE.Mesh(rightUpperArmGeo, limbMat);
+        this.rightUpperArm.position.y = -1;
+        this.rightArm.add(this.rightUpperArm);
+
+        this.rightForearm = new THREE.Group();
+        this.rightForearm.position.y = -1.9;
+        const rightForearmGeo = new THREE.CylinderGeometry(0.2, 0.15, 1.5, 16);
+        this.rightForearmMesh = new THREE.Mesh(rightForearmGeo, limbMat);
+        this.rightForearmMesh.position.y = -0.75;
+        this.rightForearm.add(this.rightForearmMesh);
+
+        const rightHandGeo = new THREE.SphereGeometry(0.2, 16, 16);
+        this.rightHand = new THREE.Mesh(rightHandGeo, accentMat);
+        this.rightHand.position.y = -1.5;
+        this.rightHand.scale.set(0.8, 1.2, 0.7);
+        this.rightForearm.add(this.rightHand);
+
+        this.rightArm.add(this.rightForearm);
+        this.character.add(this.rightArm);
+
+        // Legs - elegant and curved
+        this.leftLeg = new THREE.Group();
+        this.leftLeg.position.set(-0.5, 3, 0);
+
+        const leftThighGeo = new THREE.CylinderGeometry(0.35, 0.3, 2, 16);
+        this.leftThigh = new THREE.Mesh(leftThighGeo, limbMat);
+        this.leftThigh.position.y = -1;
+        this.leftThigh.scale.set(1.2, 1, 1); // Slightly wider
+        this.leftLeg.add(this.leftThigh);
+
+        this.leftShin = new THREE.Group();
+        this.leftShin.position.y = -2;
+        const leftShinGeo = new THREE.CylinderGeometry(0.28, 0.22, 2, 16);
+        this.leftShinMesh = new THREE.Mesh(leftShinGeo, limbMat);
+        this.leftShinMesh.position.y = -1;
+        this.leftShin.add(this.leftShinMesh);
+
+        // Foot
+        const leftFootGeo = new THREE.BoxGeometry(0.3, 0.2, 0.6);
+        this.leftFoot = new THREE.Mesh(leftFootGeo, accentMat);
+        this.leftFoot.position.set(0, -2.1, 0.15);
+        this.leftShin.add(this.leftFoot);
+
+        this.leftLeg.add(this.leftShin);
+        this.character.add(this.leftLeg);
+
+        this.rightLeg = new THREE.Group();
+        this.rightLeg.position.set(0.5, 3, 0);
+
+        const rightThighGeo = new THREE.CylinderGeometry(0.35, 0.3, 2, 16);
+        this.rightThigh = new THREE.Mesh(rightThighGeo, limbMat);
+        this.rightThigh.position.y = -1;
+        this.rightThigh.scale.set(1.2, 1, 1);
+        this.rightLeg.add(this.rightThigh);
+
+        this.rightShin = new THREE.Group();
+        this.rightShin.position.y = -2;
+        const rightShinGeo = new THREE.CylinderGeometry(0.28, 0.22, 2, 16);
+        this.rightShinMesh = new THREE.Mesh(rightShinGeo, limbMat);
+        this.rightShinMesh.position.y = -1;
+        this.rightShin.add(this.rightShinMesh);
+
+        const rightFootGeo = new THREE.BoxGeometry(0.3, 0.2, 0.6);
+        this.rightFoot = new THREE.Mesh(rightFootGeo, accentMat);
+        this.rightFoot.position.set(0, -2.1, 0.15);
+        this.rightShin.add(this.rightFoot);
+
+        this.rightLeg.add(this.rightShin);
+        this.character.add(this.rightLeg);
+
+        this.group.add(this.character);
+
+        // Beautiful stage with gradient
+        const floorGeo = new THREE.CircleGeometry(20, 64);
+        const floorMat = new THREE.MeshStandardMaterial({
+            color: 0x2d1b4e,
+            metalness: 0.9,
+            roughness: 0.1,
+            emissive: 0x1a0033,
+            emissiveIntensity: 0.3
+        });
+        this.floor = new THREE.Mesh(floorGeo, floorMat);
+        this.floor.rotation.x = -Math.PI / 2;
+        this.floor.position.y = -1;
+        this.group.add(this.floor);
+
+        // Rim light effect on floor
+        const rimGeo = new THREE.RingGeometry(18, 20, 64);
+        const rimMat = new THREE.MeshBasicMaterial({
+            color: 0xff00ff,
+            transparent: true,
+            opacity: 0.3,
+            side: THREE.DoubleSide
+        });
+        this.rim = new THREE.Mesh(rimGeo, rimMat);
+        this.rim.rotation.x = -Math.PI / 2;
+        this.rim.position.y = -0.9;
+        this.group.add(this.rim);
+
+        // Enhanced lighting
+        const keyLight = new THREE.SpotLight(0xff1493, 3);
+        keyLight.position.set(-8, 12, 8);
+        keyLight.angle = Math.PI / 5;
+        keyLight.penumbra = 0.6;
+        keyLight.target = this.character;
+        this.group.add(keyLight);
+
+        const fillLight = new THREE.SpotLight(0x00ffff, 2);
+        fillLight.position.set(8, 10, 6);
+        fillLight.angle = Math.PI / 5;
+        fillLight.penumbra = 0.6;
+        fillLight.target = this.character;
+        this.group.add(fillLight);
+
+        const backLight = new THREE.SpotLight(0x9370db, 2.5);
+        backLight.position.set(0, 8, -10);
+        backLight.angle = Math.PI / 4;
+        backLight.penumbra = 0.5;
+        backLight.target = this.character;
+        this.group.add(backLight);
+
+        const ambientLight = new THREE.AmbientLight(0x404060, 0.6);
+        this.group.add(ambientLight);
+
+        // Beautiful particle effects
+        this.initParticles();
+    }
+
+    initParticles() {
+        const particleCount = 300;
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(particleCount * 3);
+        const colors = new Float32Array(particleCount * 3);
+
+        for (let i = 0; i < particleCount; i++) {
+            const theta = Math.random() * Math.PI * 2;
+            const r = 8 + Math.random() * 5;
+            positions[i * 3] = r * Math.cos(theta);
+            positions[i * 3 + 1] = Math.random() * 15;
+            positions[i * 3 + 2] = r * Math.sin(theta);
+
+            // Rainbow colors
+            const color = new THREE.Color().setHSL(Math.random(), 0.8, 0.6);
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+        const material = new THREE.PointsMaterial({
+            size: 0.4,
+            transparent: true,
+            opacity: 0.8,
+            vertexColors: true,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.particles = new THREE.Points(geometry, material);
+        this.group.add(this.particles);
+    }
+
+    update(time, audioData, mouse, isDragging, dt) {
+        // Graceful body sway
+        const sway = Math.sin(time * 2) * 0.15;
+        this.torso.rotation.z = sway;
+        this.hips.rotation.z = -sway * 0.5;
+
+        // Bass - Smooth bounce with hip movement
+        const bounce = Math.sin(time * 4 + audioData.low * 8) * audioData.low * 0.3;
+        this.character.position.y = bounce;
+
+        // Hip sway with bass
+        const hipSway = Math.sin(time * 3) * (0.2 + audioData.low * 0.3);
+        this.hips.rotation.y = hipSway;
+
+        // Leg dance - more graceful
+        const legSwing = Math.sin(time * 6) * (0.2 + audioData.low * 0.4);
+        this.leftLeg.rotation.x = legSwing;
+        this.rightLeg.rotation.x = -legSwing;
+
+        // Knee bend
+        const kneeAngle = Math.abs(Math.sin(time * 6)) * (0.15 + audioData.low * 0.25);
+        this.leftShin.rotation.x = -kneeAngle;
+        this.rightShin.rotation.x = -kneeAngle;
+
+        // Mids - Flowing arm movements
+        const armWave = Math.sin(time * 4) * (0.4 + audioData.mid * 1.2);
+        const armPhase = Math.cos(time * 4) * 0.3;
+
+        // Left arm - graceful wave
+        this.leftArm.rotation.z = Math.PI / 6 + armWave;
+        this.leftArm.rotation.x = armPhase;
+        this.leftForearm.rotation.x = -Math.abs(Math.sin(time * 4)) * (0.4 + audioData.mid * 0.6);
+        this.leftForearm.rotation.z = Math.sin(time * 5) * 0.3;
+
+        // Right arm - complementary movement
+        this.rightArm.rotation.z = -Math.PI / 6 - armWave * 0.8;
+        this.rightArm.rotation.x = -armPhase;
+        this.rightForearm.rotation.x = -Math.abs(Math.cos(time * 4 + 1)) * (0.4 + audioData.mid * 0.6);
+        this.rightForearm.rotation.z = -Math.sin(time * 5) * 0.3;
+
+        // Highs - Head movement and torso twist
+        this.head.rotation.y = Math.sin(time * 8) * (0.15 + audioData.high * 0.4);
+        this.head.rotation.z = Math.cos(time * 6) * 0.1;
+        this.head.position.y = 7.5 + Math.sin(time * 10) * audioData.high * 0.2;
+
+        // Torso twist
+        this.torso.rotation.y = Math.sin(time * 3) * (0.15 + audioData.mid * 0.25);
+
+        // Waist rotation
+        this.waist.rotation.z = time * 2 + audioData.mid * 2;
+
+        this.bodyMat.color.setHex(this.params.bodyColor);
+        this.accentMat.color.setHex(this.params.accentColor);
+
+        // Smooth character rotation
+        this.character.rotation.y = time * this.params.turnSpeed + Math.sin(time * 0.5) * 0.3;
+
+        // Lean towards the louder stereo channel
+        this.lean = THREE.MathUtils.lerp(this.lean, audioData.balance, 1 - Math.pow(0.95, dt * 60));
+        this.character.rotation.z = -this.lean * this.params.lean;
+        this.character.position.x = this.lean * 2;
+
+        // Mouse interaction - character follows mouse gracefully
+        if (isDragging) {
+            this.character.rotation.y += mouse.x * 0.03;
+            this.torso.rotation.x = mouse.y * 0.1;
+        }
+
+        // Particle animation with color shift
+        this.particles.rotation.y = time * 0.4;
+        const positions = this.particles.geometry.attributes.position.array;
+        const colors = this.particles.geometry.attributes.color.array;
+
+        for (let i = 0; i < positions.length; i += 3) {
+            // Spiral upward
+            const angle = time * 2 + i * 0.1;
+            const radius = 8 + Math.sin(time + i * 0.5) * 2;
+            positions[i] = radius * Math.cos(angle);
+            positions[i + 2] = radius * Math.sin(angle);
+            positions[i + 1] += 1.8 * dt;
+
+            if (positions[i + 1] > 15) {
+                positions[i + 1] = 0;
+            }
+
+            // Color cycling
+            const hue = (time * 0.1 + i * 0.01) % 1;
+            const color = new THREE.Color().setHSL(hue, 0.8, 0.6);
+            colors[i] = color.r;
+            colors[i + 1] = color.g;
+            colors[i + 2] = color.b;
+        }
+        this.particles.geometry.attributes.position.needsUpdate = true;
+        this.particles.geometry.attributes.color.needsUpdate = true;
+
+        // Rim light pulse
+        this.rim.material.opacity = 0.3 + audioData.low * 0.4;
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        // Dispose geometries and materials
+        this.character.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.floor.geometry.dispose();
+        this.floor.material.dispose();
+        this.particles.geometry.dispose();
+        this.particles.material.dispose();
+    }
+}
+
+class FireworksEffect {
+    static id = 'fireworks';
+    static label = 'Fireworks';
+    static camera = { position: [0, 5, 40], lookAt: [0, 10, 0] };
+    static params = {
+        idleInterval: { label: 'Idle Launch (ms)', min: 250, max: 5000, step: 250, default: 1500 },
+        gravity: { label: 'Gravity', min: 0, max: 0.05, step: 0.001, default: 0.01 },
+        midThreshold: { label: 'Star Launch Level', min: 0, max: 1, step: 0.05, default: 0.4 },
+        highThreshold: { label: 'Leaf Launch Level', min: 0, max: 1, step: 0.05, default: 0.5 }
+    };
+
+    constructor(scene, params, quality) {
+        this.scene = scene;
+        this.params = params;
+        this.quality = quality;
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+
+        this.particles = [];
+        this.rockets = [];
+        this.shockwaves = [];
+        this.lastLaunchTime = 0;
+        this.simTime = 0;
+
+        this.init();
+    }
+
+    init() {
+        // --- Enchanted River ---
+        const planeGeo = new THREE.PlaneGeometry(300, 300);
+        const planeMat = new THREE.MeshStandardMaterial({
+            color: 0x000000,
+            roughness: 0.0,
+            metalness: 1.0, // Perfect mirror
+            emissive: 0x000510,
+            emissiveIntensity: 0.2
+        });
+        this.floor = new THREE.Mesh(planeGeo, planeMat);
+        this.floor.rotation.x = -Math.PI / 2;
+        this.floor.position.y = -5;
+        this.group.add(this.floor);
 
         // --- Galaxy Background ---
         const starGeo = new THREE.BufferGeometry();
@@ -1339,8 +3191,10 @@ class FireworksEffect {
         return new THREE.CanvasTexture(canvas);
     }
 
-    launchRocket(type, intensity) {
-        const x = (Math.random() - 0.5) * 60;
+    // pan: stereo balance (-1 left .. 1 right) pulls the launch point to that side
+    launchRocket(type, intensity, pan = 0) {
+        const spread = 60 * (1 - Math.abs(pan) * 0.5);
+        const x = THREE.MathUtils.clamp(pan * 30 + (Math.random() - 0.5) * spread, -40, 40);
         const z = (Math.random() - 0.5) * 30 - 20;
         const targetY = 25 + Math.random() * 15;
 
@@ -1359,7 +3213,7 @@ class FireworksEffect {
     }
 
     explode(pos, color, type, intensity) {
-        const particleCount = 150 + Math.floor(intensity * 200);
+        const particleCount = Math.floor((150 + intensity * 200) * this.quality.particles);
         const geometry = new THREE.BufferGeometry();
         const positions = new Float32Array(particleCount * 3);
         const colors = new Float32Array(particleCount * 3);
@@ -1444,39 +3298,48 @@ class FireworksEffect {
     }
 
     update(time, audioData) {
-        const now = performance.now();
+        const now = time * 1000;
 
         // --- Music Reactive Launch ---
-        if (now - this.lastLaunchTime > 100) { // Fast check
-            // Bass -> Heart (Big, Center)
-            if (audioData.low > 0.45) {
-                this.launchRocket('heart', audioData.low);
-                this.lastLaunchTime = now;
-            }
+        // Beat -> Heart (Big, Center)
+        if (audioData.beat) {
+            this.launchRocket('heart', Math.max(audioData.low, 0.45), audioData.balance);
+            this.lastLaunchTime = now;
+        } else if (now - this.lastLaunchTime > 100) { // Fast check
             // Mids -> Star (Medium, Spread)
-            else if (audioData.mid > 0.4 && Math.random() < 0.5) {
-                this.launchRocket('star', audioData.mid);
+            if (audioData.mid > this.params.midThreshold && Math.random() < 0.5) {
+                this.launchRocket('star', audioData.mid, audioData.balance);
                 this.lastLaunchTime = now;
             }
             // Highs -> Leaf (Small, Frequent)
-            else if (audioData.high > 0.5 && Math.random() < 0.4) {
-                this.launchRocket('leaf', audioData.high);
+            else if (audioData.high > this.params.highThreshold && Math.random() < 0.4) {
+                this.launchRocket('leaf', audioData.high, audioData.balance);
                 this.lastLaunchTime = now;
             }
             // Idle firework
-            else if (now - this.lastLaunchTime > 1500) {
+            else if (now - this.lastLaunchTime > this.params.idleInterval) {
                 this.launchRocket('dot', 0.3);
                 this.lastLaunchTime = now;
             }
         }
 
+        // Camera Sway
+        this.scene.rotation.y = Math.sin(time * 0.2) * 0.05;
+    }
+
+    fixedUpdate(step, audioData) {
+        // Velocities are in units per 60 Hz frame; k scales them to this step
+        const k = step * 60;
+        const drag = Math.pow(0.98, k);
+        this.simTime += step;
+
         // --- Update Rockets ---
         for (let i = this.rockets.length - 1; i >= 0; i--) {
             const r = this.rockets[i];
-            r.pos.add(r.vel);
+            r.pos.addScaledVector(r.vel, k);
 
             // Wiggle effect for "magical" flight
-            r.pos.x += Math.sin(time * 10 + i) * 0.05;
+            r.pos.x += Math.sin(this.simTime * 10 + i) * 0.05 * k;
 
             // Trail particles
             if (Math.random() < 0.3) {
@@ -1492,7 +3355,7 @@ class FireworksEffect {
         // --- Update Particles ---
         for (let i = this.particles.length - 1; i >= 0; i--) {
             const p = this.particles[i];
-            p.age += 0.016;
+            p.age += step;
 
             const positions = p.mesh.geometry.attributes.position.array;
             let alive = false;
@@ -1501,19 +3364,19 @@ class FireworksEffect {
                 const v = p.velocities[j];
 
                 // Physics
-                positions[j * 3] += v.x;
-                positions[j * 3 + 1] += v.y;
-                positions[j * 3 + 2] += v.z;
+                positions[j * 3] += v.x * k;
+                positions[j * 3 + 1] += v.y * k;
+                positions[j * 3 + 2] += v.z * k;
 
                 // Gravity & Drag
-                v.y -= 0.01; // Gravity
-                v.x *= 0.98; v.y *= 0.98; v.z *= 0.98; // Drag
+                v.y -= this.params.gravity * k;
+                v.x *= drag; v.y *= drag; v.z *= drag;
 
                 // Audio Turbulence (Magical floating)
                 if (audioData.high > 0.3) {
-                    v.x += (Math.random() - 0.5) * 0.02;
-                    v.y += (Math.random() - 0.5) * 0.02;
-                    v.z += (Math.random() - 0.5) * 0.02;
+                    v.x += (Math.random() - 0.5) * 0.02 * k;
+                    v.y += (Math.random() - 0.5) * 0.02 * k;
+                    v.z += (Math.random() - 0.5) * 0.02 * k;
                 }
             }
             p.mesh.geometry.attributes.position.needsUpdate = true;
@@ -1532,7 +3395,7 @@ class FireworksEffect {
         // --- Update Shockwaves ---
         for (let i = this.shockwaves.length - 1; i >= 0; i--) {
             const s = this.shockwaves[i];
-            s.age += 0.02;
+            s.age += 0.02 * k;
             const scale = 1 + s.age * 20;
             s.mesh.scale.set(scale, scale, 1);
             s.mesh.material.opacity = 0.8 - s.age;
@@ -1544,29 +3407,900 @@ class FireworksEffect {
                 this.shockwaves.splice(i, 1);
             }
         }
+    }
 
-        // Camera Sway
-        this.scene.rotation.y = Math.sin(time * 0.2) * 0.05;
+    dispose() {
+        this.scene.remove(this.group);
+        // Dispose all resources
+        this.floor.geometry.dispose();
+        this.floor.material.dispose();
+        this.stars.geometry.dispose();
+        this.stars.material.dispose();
+
+        Object.values(this.textures).forEach(t => t.dispose());
+        Object.values(this.materials).forEach(m => m.dispose());
+    }
+}
+
+// --- Transitions ---
+// Blends the outgoing and incoming effect while switching modes. Each effect
+// lives in its own slot (scene + camera), so both can render side by side
+// for the length of the transition.
+const TRANSITIONS = {
+    'crossfade': 'Crossfade',
+    'dissolve-noise': 'Noise Dissolve',
+    'zoom-blur': 'Zoom Blur',
+    'wipe': 'Wipe'
+};
+
+const TransitionShader = {
+    uniforms: {
+        tFrom: { value: null },
+        tTo: { value: null },
+        uProgress: { value: 0 },
+        uType: { value: 0 },
+        uAspect: { value: 1 }
+    },
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D tFrom;
+        uniform sampler2D tTo;
+        uniform float uProgress;
+        uniform int uType;
+        uniform float uAspect;
+        varying vec2 vUv;
+
+        float hash(vec2 p) {
+            return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+        }
+
+        float noise(vec2 p) {
+            vec2 i = floor(p);
+            vec2 f = fract(p);
+            f = f * f * (3.0 - 2.0 * f);
+            return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), f.x),
+                       mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), f.x), f.y);
+        }
+
+        vec4 zoomBlur(sampler2D tex, vec2 uv, float strength) {
+            vec2 dir = uv - 0.5;
+            vec4 sum = vec4(0.0);
+            for (int i = 0; i < 16; i++) {
+                float scale = 1.0 - strength * float(i) / 15.0;
+                sum += texture2D(tex, 0.5 + dir * scale);
+            }
+            return sum / 16.0;
+        }
+
+        void main() {
+            float p = uProgress;
+            vec4 from = texture2D(tFrom, vUv);
+            vec4 to = texture2D(tTo, vUv);
+
+            if (uType == 1) {
+                // Dissolve through cloudy noise with a hot rim on the edge
+                vec2 q = vUv * vec2(uAspect, 1.0) * 6.0;
+                float n = noise(q) * 0.7 + noise(q * 4.0) * 0.3;
+                float edge = p * 1.2 - 0.1;
+                float m = smoothstep(n - 0.05, n + 0.05, edge);
+                vec4 color = mix(from, to, m);
+                color.rgb += vec3(1.0, 0.5, 0.2) * (1.0 - abs(m * 2.0 - 1.0)) * 0.8;
+                gl_FragColor = color;
+            } else if (uType == 2) {
+                // Rush into the outgoing scene, settle out of the incoming one
+                vec4 a = zoomBlur(tFrom, vUv, p * 0.6);
+                vec4 b = zoomBlur(tTo, vUv, (1.0 - p) * 0.6);
+                gl_FragColor = mix(a, b, smoothstep(0.3, 0.7, p));
+            } else if (uType == 3) {
+                // Soft-edged diagonal wipe
+                float d = (vUv.x * uAspect + vUv.y) / (uAspect + 1.0);
+                float m = smoothstep(d - 0.05, d + 0.05, p * 1.1 - 0.05);
+                gl_FragColor = mix(from, to, m);
+            } else {
+                gl_FragColor = mix(from, to, p);
+            }
+        }
+    `
+};
+
+// Replaces RenderPass at the head of the composer. Outside a transition it
+// renders the current slot straight into the read buffer; during one it
+// renders both slots off-screen and blends them.
+class TransitionPass extends Pass {
+    constructor() {
+        super();
+        this.needsSwap = false;
+
+        this.from = null; // Outgoing slot while a transition runs
+        this.to = null;
+        this.progress = 0;
+        this.type = 'crossfade';
+
+        const options = { type: THREE.HalfFloatType };
+        this.fromTarget = new THREE.WebGLRenderTarget(1, 1, options);
+        this.toTarget = new THREE.WebGLRenderTarget(1, 1, options);
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(TransitionShader.uniforms),
+            vertexShader: TransitionShader.vertexShader,
+            fragmentShader: TransitionShader.fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.quad = new FullScreenQuad(this.material);
+    }
+
+    setSize(width, height) {
+        this.fromTarget.setSize(width, height);
+        this.toTarget.setSize(width, height);
+        this.material.uniforms.uAspect.value = width / Math.max(height, 1);
+    }
+
+    render(renderer, writeBuffer, readBuffer) {
+        const output = this.renderToScreen ? null : readBuffer;
+        if (!this.to) return;
+
+        if (!this.from) {
+            this.renderSlot(renderer, this.to, output);
+            return;
+        }
+
+        this.renderSlot(renderer, this.from, this.fromTarget);
+        this.renderSlot(renderer, this.to, this.toTarget);
+
+        const uniforms = this.material.uniforms;
+        uniforms.tFrom.value = this.fromTarget.texture;
+        uniforms.tTo.value = this.toTarget.texture;
+        uniforms.uProgress.value = this.progress;
+        uniforms.uType.value = Math.max(0, Object.keys(TRANSITIONS).indexOf(this.type));
+
+        renderer.setRenderTarget(output);
+        this.quad.render(renderer);
+    }
+
+    renderSlot(renderer, slot, target) {
+        renderer.setRenderTarget(target);
+        renderer.clear();
+        renderer.render(slot.scene, slot.camera);
+    }
+
+    dispose() {
+        this.fromTarget.dispose();
+        this.toTarget.dispose();
+        this.material.dispose();
+        this.quad.dispose();
+    }
+}
+
+// --- Layers ---
+// Extra effects stacked over the main one, each with its own slot, opacity,
+// blend mode and audio routing (so e.g. a starfield can breathe with the
+// highs while the dancer below follows the full mix).
+const LAYER_BLENDS = {
+    'add': 'Add',
+    'screen': 'Screen',
+    'normal': 'Normal',
+    'multiply': 'Multiply'
+};
+
+// Which part of the spectrum a layer hears: level drives its low/mid/high,
+// and span (Hz) is what survives of its bands and named ranges. Lows, mids
+// and highs split the spectrum where the analysis frame does (10% and 50% of
+// Nyquist).
+const nyquistSpan = (from, to) => frame => [from * frame.sampleRate / 2, to * frame.sampleRate / 2];
+const namedSpan = name => () => NAMED_RANGES[name];
+const LAYER_ROUTES = {
+    all: { label: 'Full Mix', level: null },
+    low: { label: 'Lows', level: frame => frame.low, span: nyquistSpan(0, 0.1) },
+    mid: { label: 'Mids', level: frame => frame.mid, span: nyquistSpan(0.1, 0.5) },
+    high: { label: 'Highs', level: frame => frame.high, span: nyquistSpan(0.5, 1) },
+    sub: { label: 'Sub', level: frame => frame.ranges.sub, span: namedSpan('sub') },
+    bass: { label: 'Bass', level: frame => frame.ranges.bass, span: namedSpan('bass') },
+    presence: { label: 'Presence', level: frame => frame.ranges.presence, span: namedSpan('presence') },
+    brilliance: { label: 'Brilliance', level: frame => frame.ranges.brilliance, span: namedSpan('brilliance') }
+};
+const ROUTE_BEAT_LEVEL = 0.25; // Routed layers only see beats while their span is this loud
+
+function routeAudio(frame, route) {
+    const spec = LAYER_ROUTES[route];
+    if (!spec || !spec.level) return frame;
+    const level = spec.level(frame) || 0;
+    const [from, to] = spec.span(frame);
+    const inSpan = ([low, high]) => {
+        const centre = Math.sqrt(low * high); // Geometric: bands are log-ish
+        return centre >= from && centre < to;
+    };
+
+    // Bands and ranges outside the span read as silence
+    const keep = bandFrequencies(frame.sampleRate).map(inSpan);
+    const filter = values => values.map((value, i) => keep[i] ? value : 0);
+    const ranges = {};
+    for (const [name, value] of Object.entries(frame.ranges)) {
+        ranges[name] = inSpan(NAMED_RANGES[name]) ? value : 0;
+    }
+
+    return Object.assign({}, frame, {
+        low: level,
+        mid: level,
+        high: level,
+        bands: filter(frame.bands),
+        smoothedBands: filter(frame.smoothedBands),
+        peaks: filter(frame.peaks),
+        ranges,
+        // The detector hears the full mix, so its beats may not be this span's
+        beat: frame.beat && level >= ROUTE_BEAT_LEVEL
+    });
+}
+
+const LayerBlendShader = {
+    uniforms: {
+        tBase: { value: null },
+        tLayer: { value: null },
+        uOpacity: { value: 1 },
+        uMode: { value: 0 }
+    },
+    vertexShader: TransitionShader.vertexShader,
+    fragmentShader: `
+        uniform sampler2D tBase;
+        uniform sampler2D tLayer;
+        uniform float uOpacity;
+        uniform int uMode;
+        varying vec2 vUv;
+
+        void main() {
+            vec4 base = texture2D(tBase, vUv);
+            vec4 layer = texture2D(tLayer, vUv);
+            vec3 color;
+
+            if (uMode == 1) {
+                color = 1.0 - (1.0 - clamp(base.rgb, 0.0, 1.0)) * (1.0 - clamp(layer.rgb, 0.0, 1.0) * uOpacity);
+            } else if (uMode == 2) {
+                color = mix(base.rgb, layer.rgb, clamp(layer.a, 0.0, 1.0) * uOpacity);
+            } else if (uMode == 3) {
+                color = base.rgb * mix(vec3(1.0), layer.rgb, clamp(layer.a, 0.0, 1.0) * uOpacity);
+            } else {
+                color = base.rgb + layer.rgb * uOpacity;
+            }
+            gl_FragColor = vec4(color, max(base.a, layer.a * uOpacity));
+        }
+    `
+};
+
+// Sits between the TransitionPass and bloom. Renders each layer off-screen and
+// blends it over the frame so far, ping-ponging between the composer buffers.
+class LayerPass extends Pass {
+    constructor() {
+        super();
+        this.layers = []; // Shared with the manager: [{ slot, opacity, blend, route }]
+
+        this.layerTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+        this.material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(LayerBlendShader.uniforms),
+            vertexShader: LayerBlendShader.vertexShader,
+            fragmentShader: LayerBlendShader.fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.quad = new FullScreenQuad(this.material);
+    }
+
+    setSize(width, height) {
+        this.layerTarget.setSize(width, height);
+    }
+
+    render(renderer, writeBuffer, readBuffer) {
+        const visible = this.layers.filter(layer => layer.opacity > 0);
+        let input = readBuffer;
+        let output = writeBuffer;
+
+        visible.forEach(layer => {
+            renderer.setRenderTarget(this.layerTarget);
+            renderer.clear();
+            renderer.render(layer.slot.scene, layer.slot.camera);
+
+            const uniforms = this.material.uniforms;
+            uniforms.tBase.value = input.texture;
+            uniforms.tLayer.value = this.layerTarget.texture;
+            uniforms.uOpacity.value = layer.opacity;
+            uniforms.uMode.value = Math.max(0, Object.keys(LAYER_BLENDS).indexOf(layer.blend));
+
+            renderer.setRenderTarget(output);
+            this.quad.render(renderer);
+            [input, output] = [output, input];
+        });
+
+        // Tell the composer where the result ended up
+        this.needsSwap = visible.length % 2 === 1;
+    }
+
+    dispose() {
+        this.layerTarget.dispose();
+        this.material.dispose();
+        this.quad.dispose();
+    }
+}
+
+// --- Auto Pilot ---
+// Moves through the registered effects on musical boundaries rather than a
+// timer: on the downbeat after every CONFIG.autoPilotBars bars, or straight
+// away when the music slams back in after a breakdown. Never switches sooner
+// than CONFIG.autoPilotMinDwell seconds after the last change, manual or not.
+class AutoPilot {
+    constructor() {
+        this.enabled = false;
+        this.excluded = new Set(); // Effect ids left out of the rotation
+        this.bars = 0; // Downbeats since the last switch
+        this.lastSwitch = 0;
+        this.lastTime = null;
+
+        // Drop detection
+        this.fastEnergy = 0;
+        this.slowEnergy = 0;
+        this.quietStart = null; // Breakdown currently being tracked
+        this.quietEnd = 0;
+    }
+
+    // Returns the effect id to switch to, or null to stay put
+    update(frame, time, currentMode) {
+        const dt = this.lastTime === null ? 0 : THREE.MathUtils.clamp(time - this.lastTime, 0, 0.1);
+        this.lastTime = time;
+
+        const drop = this.detectDrop(frame, time, dt);
+        const downbeat = frame.beat && frame.barPhase < 0.125;
+        if (downbeat) this.bars++;
+
+        if (!this.enabled || !frame.active) return null;
+        if (time - this.lastSwitch < CONFIG.autoPilotMinDwell) return null;
+
+        const barsDone = downbeat && this.bars >= CONFIG.autoPilotBars;
+        if (!barsDone && !(drop && CONFIG.autoPilotDrops)) return null;
+
+        return this.pickNext(currentMode);
+    }
+
+    // Called by the manager after every switch
+    noteSwitch(time) {
+        this.lastSwitch = time;
+        this.bars = 0;
+    }
+
+    allowedModes() {
+        return listEffects().map(EffectClass => EffectClass.id).filter(id => !this.excluded.has(id));
+    }
+
+    pickNext(currentMode) {
+        const candidates = this.allowedModes().filter(id => id !== currentMode);
+        if (candidates.length === 0) return null;
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    detectDrop(frame, time, dt) {
+        // Measure before auto gain, which would flatten the breakdown
+        const energy = (frame.low * 0.6 + frame.rms * 0.4) / frame.gain;
+        this.fastEnergy += (energy - this.fastEnergy) * Math.min(dt / 0.3, 1);
+        this.slowEnergy += (energy - this.slowEnergy) * Math.min(dt / 8, 1);
+
+        // Breakdown: energy well under the recent average
+        if (this.fastEnergy < this.slowEnergy * 0.5) {
+            if (this.quietStart === null) this.quietStart = time;
+            this.quietEnd = time;
+            return false;
+        }
+        if (this.quietStart === null) return false;
+
+        // Drop: energy back above the average after a breakdown of 2s or more
+        if (this.fastEnergy > this.slowEnergy * 1.3) {
+            const drop = this.quietEnd - this.quietStart >= 2;
+            this.quietStart = null;
+            return drop;
+        }
+        // The build-up went on too long to count as one event
+        if (time - this.quietEnd > 8) this.quietStart = null;
+        return false;
+    }
+}
+
+// --- Quality ---
+// Tiers, lowest first. Pixel ratio and bloom resolution apply to the whole
+// renderer; particles and segments are hints effects read at construction.
+const QUALITY_TIERS = {
+    low: { label: 'Low', pixelRatio: 0.75, bloomScale: 0.25, particles: 0.25, segments: 32 },
+    medium: { label: 'Medium', pixelRatio: 1, bloomScale: 0.5, particles: 0.5, segments: 48 },
+    high: { label: 'High', pixelRatio: 2, bloomScale: 1, particles: 1, segments: 64 },
+    ultra: { label: 'Ultra', pixelRatio: 2, bloomScale: 1, particles: 1.5, segments: 96 }
+};
+
+// Watches frame times and, in auto mode, steps each effect down a tier when
+// it can't hold CONFIG.qualityMinFps. It steps back up after a long smooth
+// stretch, but never to a tier that already failed for that effect.
+class QualityGovernor {
+    constructor() {
+        this.tiers = {}; // Auto tier per effect id
+        this.ceilings = {}; // Lowest tier that failed per effect id
+        this.frameTime = 1 / 60; // Smoothed, s
+        this.slowFor = 0;
+        this.smoothFor = 0;
+    }
+
+    get fps() {
+        return 1 / this.frameTime;
+    }
+
+    tierFor(mode) {
+        if (CONFIG.quality !== 'auto') return CONFIG.quality;
+        return this.tiers[mode] || 'high';
+    }
+
+    // Feed one frame; returns true when the tier for `mode` changed
+    update(mode, dt) {
+        // Hitches (effect rebuilds, hidden tabs) say nothing about steady load
+        if (dt <= 0 || dt >= 0.1) return false;
+        this.frameTime += (dt - this.frameTime) * 0.05;
+        if (CONFIG.quality !== 'auto') return false;
+
+        if (this.fps < CONFIG.qualityMinFps) {
+            this.slowFor += dt;
+            this.smoothFor = 0;
+        } else {
+            this.smoothFor += this.fps > CONFIG.qualityMinFps + 10 ? dt : 0;
+            this.slowFor = 0;
+        }
+
+        const names = Object.keys(QUALITY_TIERS);
+        const index = names.indexOf(this.tierFor(mode));
+
+        if (this.slowFor > 3 && index > 0) {
+            this.ceilings[mode] = Math.min(this.ceilings[mode] ?? index, index);
+            return this.setTier(mode, names[index - 1]);
+        }
+        // Auto never goes past high on its own
+        const ceiling = Math.min(this.ceilings[mode] ?? Infinity, names.indexOf('high') + 1);
+        if (this.smoothFor > 20 && index + 1 < ceiling) {
+            return this.setTier(mode, names[index + 1]);
+        }
+        return false;
+    }
+
+    setTier(mode, tier) {
+        this.tiers[mode] = tier;
+        this.slowFor = 0;
+        this.smoothFor = 0;
+        return true;
+    }
+}
+
+// --- Keyboard ---
+// Shortcuts for live operation. Every shortcut is a named action bound to a
+// KeyboardEvent.key (letters lower-cased), so bindings can be remapped and
+// saved with presets. mode1..mode10 pick effects in registration order.
+const KEY_ACTIONS = {
+    previousMode: 'Previous effect',
+    nextMode: 'Next effect',
+    pause: 'Pause / resume',
+    beat: 'Beat accent',
+    tap: 'Tap tempo',
+    nudgeEarlier: 'Nudge beat earlier',
+    nudgeLater: 'Nudge beat later',
+    fullscreen: 'Fullscreen',
+    hideUi: 'Hide interface',
+    help: 'Shortcuts'
+};
+for (let i = 1; i <= 10; i++) KEY_ACTIONS['mode' + i] = 'Effect ' + i;
+
+const DEFAULT_KEY_BINDINGS = {
+    previousMode: 'ArrowLeft',
+    nextMode: 'ArrowRight',
+    pause: ' ',
+    beat: 'b',
+    tap: 't',
+    nudgeEarlier: ',',
+    nudgeLater: '.',
+    fullscreen: 'f',
+    hideUi: 'h',
+    help: '?'
+};
+for (let i = 1; i <= 10; i++) DEFAULT_KEY_BINDINGS['mode' + i] = String(i % 10);
+
+const keyBindings = { ...DEFAULT_KEY_BINDINGS }; // Live bindings, action -> key
+
+function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+class KeyboardController {
+    constructor(onAction) {
+        this.onAction = onAction;
+        this.capture = null; // Set by captureKey() while remapping
+        window.addEventListener('keydown', (e) => this.onKeyDown(e));
+    }
+
+    // The next key press goes to callback instead of running a shortcut;
+    // Escape hands it null
+    captureKey(callback) {
+        this.capture = callback;
+    }
+
+    actionFor(key) {
+        return Object.keys(keyBindings).find(action => keyBindings[action] === key) || null;
+    }
+
+    // Binds key to action, taking it off whichever action had it
+    bind(action, key) {
+        const previous = this.actionFor(key);
+        if (previous && previous !== action) keyBindings[previous] = '';
+        keyBindings[action] = key;
+    }
+
+    onKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        if (this.capture) {
+            e.preventDefault();
+            const callback = this.capture;
+            this.capture = null;
+            callback(e.key === 'Escape' ? null : normalizeKey(e.key));
+            return;
+        }
+
+        // Typing into a field or nudging a slider isn't a shortcut
+        if (e.target.closest && e.target.closest('input, select, textarea')) return;
+
+        const action = this.actionFor(normalizeKey(e.key));
+        if (!action) return;
+        e.preventDefault(); // Space would scroll or press the focused button
+        this.onAction(action);
+    }
+}
+
+// --- Remote Control ---
+// OSC from lighting desks and show-control software. Browsers can't open UDP
+// sockets, so the local bridge in bridge/ relays each OSC message over a
+// WebSocket as JSON: { address, args }. As with MIDI, this part only delivers
+// messages; what an address does is up to the onMessage callback.
+const REMOTE_RETRY_DELAY = 2000; // ms before reconnecting to the bridge
+
+// The bridge is meant to run on this machine
+function isLoopbackUrl(url) {
+    try {
+        const host = new URL(url).hostname;
+        return host === 'localhost' || host === '[::1]' || /^127\.\d+\.\d+\.\d+$/.test(host);
+    } catch (err) {
+        return false;
+    }
+}
+
+class RemoteControlClient {
+    // onMessage(address, args)
+    constructor(onMessage) {
+        this.onMessage = onMessage;
+        this.url = null;
+        this.socket = null;
+        this.retryTimer = null;
+        this.state = 'off'; // 'off' | 'connecting' | 'connected' | 'error'
+        this.error = null;
+    }
+
+    // Keeps retrying until disconnect(), so the bridge can start after the page.
+    // Anything but localhost is refused unless allowRemote is set, which only
+    // an address the user typed in should do.
+    connect(url, allowRemote = false) {
+        this.disconnect();
+        this.url = url;
+        if (!allowRemote && !isLoopbackUrl(url)) {
+            this.state = 'error';
+            this.error = `Not a localhost address: ${url}`;
+            return;
+        }
+        this.open();
+    }
+
+    open() {
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (err) {
+            // Malformed URL: retrying won't help
+            this.state = 'error';
+            this.error = err.message;
+            return;
+        }
+        this.socket = socket;
+        this.state = 'connecting';
+
+        socket.addEventListener('open', () => { this.state = 'connected'; });
+        socket.addEventListener('message', (e) => this.handle(e.data));
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return; // Closed by disconnect()
+            this.socket = null;
+            this.state = 'connecting';
+            this.retryTimer = setTimeout(() => this.open(), REMOTE_RETRY_DELAY);
+        });
+    }
+
+    disconnect() {
+        clearTimeout(this.retryTimer);
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.close();
+        this.state = 'off';
+        this.error = null;
+    }
+
+    handle(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (err) {
+            console.warn("Ignoring unreadable remote message:", text);
+            return;
+        }
+        if (!message || typeof message.address !== 'string' || !Array.isArray(message.args)) return;
+        this.onMessage(message.address, message.args);
+    }
+}
+
+// --- Presets ---
+// A preset is plain JSON, so it can be exported and shared:
+//   { version, name, mode, config: { CONFIG values }, params: { effectId: { name: value } },
+//     keys: { action: key }, midi: { control: target } }
+// Loading keeps only keys this build knows, with a value it accepts (see
+// CONFIG_LIMITS), so an older or hand-edited file can't put junk into CONFIG.
+const PRESET_VERSION = 1;
+const PRESET_STORAGE_KEY = 'audioCloud.presets';
+
+// Allowed values per CONFIG key: a list, or a { min, max, step } range (a
+// whole-number step means whole numbers only). Unlisted keys just need the
+// default's type.
+const CONFIG_LIMITS = {
+    ...ANALYSIS_SETTINGS,
+    ...BLOOM_SETTINGS,
+    fftSize: FFT_SIZES,
+    transitionType: ['cut', ...Object.keys(TRANSITIONS)],
+    transitionDuration: { min: 0, max: 10, step: 0.1 },
+    autoPilotBars: [4, 8, 16, 32],
+    autoPilotMinDwell: { min: 2, max: 60, step: 1 },
+    quality: ['auto', ...Object.keys(QUALITY_TIERS)],
+    qualityMinFps: { min: 15, max: 120, step: 1 },
+    tapTempoMode: Object.keys(TAP_MODES),
+    bandScale: Object.keys(FREQUENCY_SCALES),
+    minFrequency: { min: 20, max: 1000, step: 1 },
+    maxFrequency: { min: 2000, max: 22050, step: 1 },
+    agcTarget: { min: 0.1, max: 1, step: 0.05 },
+    agcAttack: { min: 0.05, max: 2, step: 0.05 },
+    agcRelease: { min: 0.5, max: 20, step: 0.5 },
+    agcMaxGain: { min: 1, max: 32, step: 1 },
+    demoPattern: Object.keys(DEMO_PATTERNS)
+};
+
+function isValidConfigValue(key, value) {
+    if (!(key in CONFIG_DEFAULTS) || typeof value !== typeof CONFIG_DEFAULTS[key]) return false;
+    const limit = CONFIG_LIMITS[key];
+    if (Array.isArray(limit)) return limit.includes(value);
+    if (typeof value !== 'number') return true;
+    if (!Number.isFinite(value)) return false;
+    if (!limit) return true;
+    if (Number.isInteger(limit.step) && !Number.isInteger(value)) return false;
+    return value >= limit.min && value <= limit.max;
+}
+
+// Settings that belong to this machine rather than to the look. Presets and
+// links neither carry nor change them.
+const LOCAL_CONFIG_KEYS = ['demoMuted', 'remoteControl', 'remoteUrl'];
+
+function sharedConfig() {
+    const config = { ...CONFIG };
+    LOCAL_CONFIG_KEYS.forEach(key => delete config[key]);
+    return config;
+}
+
+// A saved effect parameter, or null if it doesn't fit the schema entry
+function validParamValue(spec, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    if (spec.type === 'color') return Math.min(Math.max(Math.round(value), 0), 0xffffff);
+    return Math.min(Math.max(value, spec.min), spec.max);
+}
+
+function createPreset(manager, name) {
+    const params = {};
+    listEffects().forEach(EffectClass => {
+        params[EffectClass.id] = { ...manager.getParams(EffectClass.id) };
+    });
+    return {
+        version: PRESET_VERSION,
+        name,
+        mode: manager.currentMode,
+        config: sharedConfig(),
+        params,
+        keys: { ...keyBindings },
+        midi: saveMidiMappings()
+    };
+}
+
+// Effects missing from the preset go back to their defaults, so a preset
+// always looks the same however the session was tweaked before
+function applyPreset(manager, preset) {
+    Object.entries(preset.config || {}).forEach(([key, value]) => {
+        if (!LOCAL_CONFIG_KEYS.includes(key) && isValidConfigValue(key, value)) CONFIG[key] = value;
+    });
+
+    listEffects().forEach(EffectClass => {
+        const saved = (preset.params || {})[EffectClass.id] || {};
+        const params = manager.getParams(EffectClass.id); // Same object the effects hold
+        Object.entries(EffectClass.params || {}).forEach(([name, spec]) => {
+            const value = validParamValue(spec, saved[name]);
+            params[name] = value === null ? spec.default : value;
+        });
+    });
+
+    // Presets from before shortcuts and MIDI leave those as they are
+    if (preset.keys) {
+        Object.entries(DEFAULT_KEY_BINDINGS).forEach(([action, key]) => {
+            keyBindings[action] = typeof preset.keys[action] === 'string' ? preset.keys[action] : key;
+        });
+    }
+
+    if (preset.midi) loadMidiMappings(preset.midi);
+
+    manager.applyBloom();
+    if (preset.mode && getEffect(preset.mode) && preset.mode !== manager.currentMode) {
+        manager.switchMode(preset.mode);
+    }
+}
+
+// For imported files; throws with a message fit for the user
+function parsePreset(text) {
+    let preset;
+    try {
+        preset = JSON.parse(text);
+    } catch (err) {
+        throw new Error("Not a JSON file");
+    }
+    if (!preset || typeof preset !== 'object' || typeof preset.version !== 'number') {
+        throw new Error("Not a preset file");
+    }
+    if (preset.version > PRESET_VERSION) {
+        throw new Error(`Preset version ${preset.version} is newer than this visualizer`);
+    }
+    if (typeof preset.name !== 'string' || !preset.name.trim()) preset.name = 'Imported';
+    return preset;
+}
+
+// Named presets in localStorage, all under one key
+class PresetStore {
+    constructor(storage) {
+        this.storage = storage;
+        this.presets = {};
+        try {
+            this.presets = JSON.parse(storage.getItem(PRESET_STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn("Ignoring unreadable presets:", err);
+        }
+    }
+
+    names() {
+        return Object.keys(this.presets).sort((a, b) => a.localeCompare(b));
+    }
+
+    get(name) {
+        return this.presets[name] || null;
+    }
+
+    save(preset) {
+        this.presets[preset.name] = preset;
+        this.persist();
+    }
+
+    remove(name) {
+        delete this.presets[name];
+        this.persist();
+    }
+
+    // Throws if storage is full or disabled
+    persist() {
+        this.storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(this.presets));
+    }
+}
+
+// --- URL State ---
+// Links straight into a look, e.g.
+//   #mode=lightning&preset=Opener&source=demo&bloomStrength=3&lightning.strikeInterval=800
+// CONFIG keys go in bare (bar LOCAL_CONFIG_KEYS), the shown effect's
+// parameters as effectId.name, and booleans as 1/0. Only values that differ from the base - the named preset,
+// or the defaults - are written. A preset only exists in the localStorage it
+// was saved to, so on other machines the link falls back to the defaults.
+
+// null when the text holds no state at all
+function readUrlState(text) {
+    const query = new URLSearchParams(text);
+    const state = { mode: null, preset: null, source: null, config: {}, params: {} };
+    let found = false;
+
+    for (const [key, value] of query) {
+        found = true;
+        const dot = key.indexOf('.');
+        if (key === 'mode' || key === 'preset' || key === 'source') {
+            state[key] = value;
+        } else if (dot > 0) {
+            // Checked against the effect's schema when applied
+            const id = key.slice(0, dot);
+            if (value === '' || isNaN(Number(value))) continue;
+            if (!state.params[id]) state.params[id] = {};
+            state.params[id][key.slice(dot + 1)] = Number(value);
+        } else if (key in CONFIG_DEFAULTS && !LOCAL_CONFIG_KEYS.includes(key)) {
+            const fallback = CONFIG_DEFAULTS[key];
+            if (typeof fallback === 'boolean') state.config[key] = value === '1' || value === 'true';
+            else if (typeof fallback === 'string') state.config[key] = value;
+            else if (value !== '' && !isNaN(Number(value))) state.config[key] = Number(value);
+        }
     }
+    return found ? state : null;
+}
 
-    dispose() {
-        this.scene.remove(this.group);
-        // Dispose all resources
-        this.floor.geometry.dispose();
-        this.floor.material.dispose();
-        this.stars.geometry.dispose();
-        this.stars.material.dispose();
+// Base plus the link's overrides, as a preset applyPreset() can load
+function presetFromUrlState(state, base) {
+    const params = {};
+    const ids = new Set([...Object.keys((base && base.params) || {}), ...Object.keys(state.params)]);
+    ids.forEach(id => {
+        params[id] = { ...(base && base.params ? base.params[id] : {}), ...state.params[id] };
+    });
+    return {
+        version: PRESET_VERSION,
+        name: base ? base.name : '',
+        mode: state.mode || (base ? base.mode : null),
+        config: { ...CONFIG_DEFAULTS, ...(base ? base.config : {}), ...state.config },
+        params,
+        // Links don't carry shortcuts or MIDI mappings
+        keys: base ? base.keys : undefined,
+        midi: base ? base.midi : undefined
+    };
+}
 
-        Object.values(this.textures).forEach(t => t.dispose());
-        Object.values(this.materials).forEach(m => m.dispose());
-    }
+// sourceType is only written for sources a link can restart (demo, file)
+function writeUrlState(manager, base, sourceType) {
+    const current = createPreset(manager, base ? base.name : '');
+    const query = new URLSearchParams();
+    query.set('mode', current.mode);
+    if (base) query.set('preset', base.name);
+    if (sourceType === 'demo' || sourceType === 'file') query.set('source', sourceType);
+
+    const baseConfig = { ...CONFIG_DEFAULTS, ...(base ? base.config : {}) };
+    Object.entries(current.config).forEach(([key, value]) => {
+        if (value === baseConfig[key]) return;
+        query.set(key, typeof value === 'boolean' ? (value ? '1' : '0') : value);
+    });
+
+    const baseParams = {
+        ...defaultParams(getEffect(current.mode)),
+        ...(base && base.params ? base.params[current.mode] : {})
+    };
+    Object.entries(current.params[current.mode] || {}).forEach(([name, value]) => {
+        if (value !== baseParams[name]) query.set(current.mode + '.' + name, value);
+    });
+    return query.toString();
 }
 
 // --- Manager ---
 
 class LightningStormEffect {
-    constructor(scene) {
+    static id = 'lightning';
+    static label = 'Lightning Storm';
+    static camera = { position: [0, 5, 30], lookAt: [0, 10, 0] };
+    static fog = { color: 0x020008, density: 0.015 }; // Deep space atmosphere
+    static params = {
+        strikeInterval: { label: 'Strike Gap (ms)', min: 50, max: 1000, step: 10, default: 150 },
+        boltThreshold: { label: 'Spectrum Bolts', min: 0.2, max: 1, step: 0.05, default: 0.6 }
+    };
+
+    constructor(scene, params, quality) {
         this.scene = scene;
+        this.params = params;
+        this.quality = quality;
         this.group = new THREE.Group();
         this.scene.add(this.group);
 
@@ -1579,9 +4313,6 @@ class LightningStormEffect {
     }
 
     init() {
-        // --- Deep Space Atmosphere ---
-        this.scene.fog = new THREE.FogExp2(0x020008, 0.015);
-
         // --- Aurora Borealis (Cực Quang) ---
         this.initAurora();
 
@@ -1698,7 +4429,7 @@ class LightningStormEffect {
     initClouds() {
         // We use a custom shader to simulate light scattering from the lightning
         const cloudGeo = new THREE.BufferGeometry();
-        const cloudCount = 400; // More particles for density
+        const cloudCount = Math.floor(400 * this.quality.particles); // More particles for density
         const cloudPos = new Float32Array(cloudCount * 3);
         const cloudSizes = new Float32Array(cloudCount);
         const cloudRotation = new Float32Array(cloudCount);
@@ -1798,7 +4529,7 @@ class LightningStormEffect {
     initParticles() {
         // --- Heavy Pollen (Bass) ---
         const pollenGeo = new THREE.BufferGeometry();
-        const pollenCount = 500;
+        const pollenCount = Math.floor(500 * this.quality.particles);
         const pollenPos = new Float32Array(pollenCount * 3);
         for (let i = 0; i < pollenCount * 3; i++) pollenPos[i] = (Math.random() - 0.5) * 150;
         pollenGeo.setAttribute('position', new THREE.BufferAttribute(pollenPos, 3));
@@ -1814,7 +4545,7 @@ class LightningStormEffect {
 
         // --- Sparkles (Highs) ---
         const sparkleGeo = new THREE.BufferGeometry();
-        const sparkleCount = 800;
+        const sparkleCount = Math.floor(800 * this.quality.particles);
         const sparklePos = new Float32Array(sparkleCount * 3);
         for (let i = 0; i < sparkleCount * 3; i++) sparklePos[i] = (Math.random() - 0.5) * 150;
         sparkleGeo.setAttribute('position', new THREE.BufferAttribute(sparklePos, 3));
@@ -1882,36 +4613,21 @@ class LightningStormEffect {
         return points[Math.floor(points.length / 2)];
     }
 
-    update(time, audioData) {
-        const now = performance.now();
-
-        // --- Audio Analysis for Aurora ---
-        // We need more specific bands than just low/mid/high
-        let bass = 0, mid = 0, high = 0;
-        if (isAudioActive && dataArray) {
-            const bufferLength = dataArray.length;
-            // Bass: 0 - 10%
-            for (let i = 0; i < bufferLength * 0.1; i++) bass += dataArray[i];
-            bass /= (bufferLength * 0.1 * 255);
-
-            // Mid: 10% - 50%
-            for (let i = Math.floor(bufferLength * 0.1); i < bufferLength * 0.5; i++) mid += dataArray[i];
-            mid /= (bufferLength * 0.4 * 255);
+    update(time, audioData, mouse, isDragging, dt) {
+        const now = time * 1000;
 
-            // High: 50% - 100%
-            for (let i = Math.floor(bufferLength * 0.5); i < bufferLength; i++) high += dataArray[i];
-            high /= (bufferLength * 0.5 * 255);
-        }
+        const bass = audioData.low, mid = audioData.mid, high = audioData.high;
 
         // Update Aurora
         this.auroraUniforms.uTime.value = time;
-        this.auroraUniforms.uBass.value = THREE.MathUtils.lerp(this.auroraUniforms.uBass.value, bass, 0.1);
-        this.auroraUniforms.uMid.value = THREE.MathUtils.lerp(this.auroraUniforms.uMid.value, mid, 0.1);
-        this.auroraUniforms.uHigh.value = THREE.MathUtils.lerp(this.auroraUniforms.uHigh.value, high, 0.1);
+        const smoothing = 1 - Math.pow(0.9, dt * 60); // 0.1 per 60 Hz frame
+        this.auroraUniforms.uBass.value = THREE.MathUtils.lerp(this.auroraUniforms.uBass.value, bass, smoothing);
+        this.auroraUniforms.uMid.value = THREE.MathUtils.lerp(this.auroraUniforms.uMid.value, mid, smoothing);
+        this.auroraUniforms.uHigh.value = THREE.MathUtils.lerp(this.auroraUniforms.uHigh.value, high, smoothing);
 
         // Update Particles
         this.pollen.rotation.y = time * 0.05;
-        this.pollen.position.y += Math.sin(time) * 0.02;
+        this.pollen.position.y += Math.sin(time) * 1.2 * dt;
         this.sparkles.rotation.y = time * 0.1;
         // Sparkles jitter on highs
         if (high > 0.3) {
@@ -1922,19 +4638,59 @@ class LightningStormEffect {
 
         // Update Clouds
         this.cloudUniforms.uTime.value = time;
-        this.cloudUniforms.uLightningIntensity.value *= 0.9;
-        this.lightningLight.intensity *= 0.9;
+
+        // --- Main Thunder Logic ---
+        // Manual accents strike on cue, however recent the last strike
+        if (audioData.accent || now - this.lastStrikeTime > this.params.strikeInterval) {
+            // Strike on detected beats, brighter the louder the hit
+            const trigger = Math.max(0.5, audioData.high * 0.6 + audioData.low * 0.4);
+
+            if (audioData.beat) {
+                // Pick random cloud area
+                const angle = Math.random() * Math.PI * 2;
+                const r = 30 + Math.random() * 20;
+                const start = new THREE.Vector3(Math.cos(angle) * r, 40, Math.sin(angle) * r);
+                const end = new THREE.Vector3(Math.cos(angle) * r * 0.5, 0, Math.sin(angle) * r * 0.5);
+
+                const midPoint = this.createBolt(start, end, 1.0);
+
+                // Update Lighting
+                this.cloudUniforms.uLightningPos.value.copy(midPoint);
+                this.cloudUniforms.uLightningIntensity.value = 20.0 * trigger;
+                this.cloudUniforms.uLightningColor.value.setHSL(0.6 + Math.random() * 0.1, 1.0, 0.8); // Electric Blue/Purple
+
+                this.lightningLight.position.copy(midPoint);
+                this.lightningLight.intensity = 500 * trigger;
+                this.lightningLight.color.setHSL(0.6 + Math.random() * 0.1, 1.0, 0.5);
+
+                this.lastStrikeTime = now;
+            }
+        }
+
+        // Cinematic Camera Sway
+        this.scene.rotation.z = Math.sin(time * 0.1) * 0.05;
+        this.scene.rotation.y = Math.sin(time * 0.05) * 0.1;
+    }
+
+    fixedUpdate(step, audioData) {
+        const k = step * 60; // Decay rates were tuned per 60 Hz frame
+
+        // Flash fades
+        const fade = Math.pow(0.9, k);
+        this.cloudUniforms.uLightningIntensity.value *= fade;
+        this.lightningLight.intensity *= fade;
 
         // --- Spectrum Lightning (Detailed Music Visualization) ---
-        if (isAudioActive && dataArray) {
-            const bands = 16;
-            const step = Math.floor(dataArray.length / bands);
+        if (audioData.bands.length > 0) {
+            const bands = audioData.bands.length;
+            // Keep the overall bolt rate independent of the band count
+            const chance = 0.2 * 16 / bands * k;
 
             for (let i = 0; i < bands; i++) {
-                const val = dataArray[i * step] / 255.0;
+                const val = audioData.bands[i];
 
                 // Threshold for mini-bolts
-                if (val > 0.6 && Math.random() < 0.2) {
+                if (val > this.params.boltThreshold && Math.random() < chance) {
                     const angle = (i / bands) * Math.PI * 2;
                     const r = 40;
 
@@ -1948,69 +4704,305 @@ class LightningStormEffect {
             }
         }
 
-        // --- Main Thunder Logic ---
-        if (now - this.lastStrikeTime > 150) { // Minimum interval
-            // Trigger on strong beats
-            const trigger = audioData.high * 0.6 + audioData.low * 0.4;
+        // Update Bolts
+        for (let i = this.bolts.length - 1; i >= 0; i--) {
+            const b = this.bolts[i];
+            b.life -= b.decay * k;
+            b.mesh.material.opacity = b.life;
+
+            if (b.life <= 0) {
+                this.group.remove(b.mesh);
+                b.mesh.geometry.dispose();
+                b.mesh.material.dispose();
+                this.bolts.splice(i, 1);
+            }
+        }
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.cloudSystem.geometry.dispose();
+        this.cloudSystem.material.dispose();
+        this.aurora.geometry.dispose();
+        this.aurora.material.dispose();
+        this.pollen.geometry.dispose();
+        this.pollen.material.dispose();
+        this.sparkles.geometry.dispose();
+        this.sparkles.material.dispose();
+    }
+}
+
+class AudioReactorEffect {
+    static id = 'reactor';
+    static label = 'Hyper Reactor';
+    static camera = { position: [0, 0, 40], lookAt: [0, 0, 0] };
+    static params = {
+        coreSpeed: { label: 'Core Spin', min: 0, max: 0.05, step: 0.001, default: 0.01 },
+        ringSpeed: { label: 'Ring Spin', min: 0, max: 0.3, step: 0.01, default: 0.1 }
+    };
+
+    constructor(scene, params) {
+        this.scene = scene;
+        this.params = params;
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+        this.init();
+    }
+
+    init() {
+        this.uniforms = {
+            uTime: { value: 0 },
+            uAudioLow: { value: 0 },
+            uAudioMid: { value: 0 },
+            uAudioHigh: { value: 0 },
+            uMouse: { value: new THREE.Vector2(0, 0) },
+            uDragging: { value: 0.0 }
+        };
+
+        // 1. Reactor Core (Deforming Icosahedron)
+        const geometry = new THREE.IcosahedronGeometry(10, 4);
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            wireframe: true,
+            transparent: true,
+            vertexShader: `
+                uniform float uTime;
+                uniform float uAudioLow;
+                varying vec3 vPos;
+                
+                // Simplex Noise
+                vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+                vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+                vec4 permute(vec4 x) { return mod289(((x*34.0)+1.0)*x); }
+                vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+                float snoise(vec3 v) { 
+                    const vec2  C = vec2(1.0/6.0, 1.0/3.0) ;
+                    const vec4  D = vec4(0.0, 0.5, 1.0, 2.0);
+                    vec3 i  = floor(v + dot(v, C.yyy) );
+                    vec3 x0 = v - i + dot(i, C.xxx) ;
+                    vec3 g = step(x0.yzx, x0.xyz);
+                    vec3 l = 1.0 - g;
+                    vec3 i1 = min( g.xyz, l.zxy );
+                    vec3 i2 = max( g.xyz, l.zxy );
+                    vec3 x1 = x0 - i1 + C.xxx;
+                    vec3 x2 = x0 - i2 + C.yyy;
+                    vec3 x3 = x0 - D.yyy;
+                    i = mod289(i); 
+                    vec4 p = permute( permute( permute( 
+                                i.z + vec4(0.0, i1.z, i2.z, 1.0 ))
+                            + i.y + vec4(0.0, i1.y, i2.y, 1.0 )) 
+                            + i.x + vec4(0.0, i1.x, i2.x, 1.0 ));
+                    float n_ = 0.142857142857;
+                    vec3  ns = n_ * D.wyz - D.xzx;
+                    vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+                    vec4 x_ = floor(j * ns.z);
+                    vec4 y_ = floor(j - 7.0 * x_ );
+                    vec4 x = x_ *ns.x + ns.yyyy;
+                    vec4 y = y_ *ns.x + ns.yyyy;
+                    vec4 h = 1.0 - abs(x) - abs(y);
+                    vec4 b0 = vec4( x.xy, y.xy );
+                    vec4 b1 = vec4( x.zw, y.zw );
+                    vec4 s0 = floor(b0)*2.0 + 1.0;
+                    vec4 s1 = floor(b1)*2.0 + 1.0;
+                    vec4 sh = -step(h, vec4(0.0));
+                    vec4 a0 = b0.xzyw + s0.xzyw*sh.xxyy ;
+                    vec4 a1 = b1.xzyw + s1.xzyw*sh.zzww ;
+                    vec3 p0 = vec3(a0.xy,h.x);
+                    vec3 p1 = vec3(a0.zw,h.y);
+                    vec3 p2 = vec3(a1.xy,h.z);
+                    vec3 p3 = vec3(a1.zw,h.w);
+                    vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2, p2), dot(p3,p3)));
+                    p0 *= norm.x;
+                    p1 *= norm.y;
+                    p2 *= norm.z;
+                    p3 *= norm.w;
+                    vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0);
+                    m = m * m;
+                    return 42.0 * dot( m*m, vec4( dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3) ) );
+                }
+
+                void main() {
+                    vPos = position;
+                    vec3 pos = position;
+                    
+                    // Bass Deformation
+                    float noise = snoise(pos * 0.2 + uTime);
+                    float spike = 1.0 + uAudioLow * 0.8 * noise; // Increased spike
+                    pos *= spike;
+
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform float uTime;
+                uniform float uAudioLow;
+                uniform float uAudioMid;
+                varying vec3 vPos;
+                
+                vec3 hsv2rgb(vec3 c) {
+                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+                }
+
+                void main() {
+                    // Dynamic Color based on Mid frequencies
+                    float hue = 0.6 + uAudioMid * 0.4 + sin(uTime * 0.5) * 0.1; 
+                    vec3 color = hsv2rgb(vec3(hue, 1.0, 0.8));
+                    
+                    float glow = 0.5 + uAudioLow * 0.5;
+                    gl_FragColor = vec4(color, glow);
+                }
+            `
+        });
+        this.core = new THREE.Mesh(geometry, material);
+        this.group.add(this.core);
+
+        // 2. Orbital Rings
+        this.rings = [];
+        const ringGeo = new THREE.TorusGeometry(15, 0.2, 16, 100);
+        const ringMat = new THREE.MeshBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.6 });
+
+        for (let i = 0; i < 3; i++) {
+            const ring = new THREE.Mesh(ringGeo, ringMat.clone());
+            ring.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+            this.rings.push({
+                mesh: ring,
+                axis: new THREE.Vector3(Math.random(), Math.random(), Math.random()).normalize(),
+                range: ['bass', 'lowMid', 'presence'][i] // Each ring follows its own slice of the spectrum
+            });
+            this.group.add(ring);
+        }
+
+        // 3. Warp Grid (Enhanced)
+        const gridGeo = new THREE.PlaneGeometry(200, 200, 60, 60); // More segments for smoother waves
+        const gridMat = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            wireframe: true,
+            transparent: true,
+            vertexShader: `
+                uniform float uTime;
+                uniform float uAudioHigh;
+                uniform float uAudioMid;
+                varying float vHeight;
+                varying vec2 vUv;
+                
+                void main() {
+                    vUv = uv;
+                    vec3 pos = position;
+                    
+                    // Liquid Wave Effect
+                    float d = length(pos.xy);
+                    float wave1 = sin(d * 0.1 - uTime * 2.0);
+                    float wave2 = cos(pos.x * 0.1 + uTime);
+                    float wave3 = sin(pos.y * 0.1 + uTime * 1.5);
+                    
+                    float z = (wave1 + wave2 + wave3) * (2.0 + uAudioMid * 5.0 + uAudioHigh * 5.0);
+                    pos.z = z;
+                    vHeight = z;
+
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform float uTime;
+                uniform float uAudioMid;
+                uniform float uAudioHigh;
+                varying float vHeight;
+                varying vec2 vUv;
+
+                vec3 hsv2rgb(vec3 c) {
+                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+                }
+
+                void main() {
+                    float alpha = 1.0 - smoothstep(0.0, 90.0, length(gl_FragCoord.xy - vec2(0.5))); 
+                    
+                    // Melody-based Color Shift
+                    float hue = 0.8 + uAudioMid * 0.5 + vUv.x * 0.2 + sin(uTime) * 0.1;
+                    vec3 color = hsv2rgb(vec3(hue, 0.8, 1.0));
+                    
+                    // Highlight peaks
+                    color += vec3(vHeight * 0.05);
+
+                    gl_FragColor = vec4(color, 0.4 + uAudioHigh * 0.2);
+                }
+            `
+        });
 
-            if (trigger > 0.5 && Math.random() < trigger * 0.4) {
-                // Pick random cloud area
-                const angle = Math.random() * Math.PI * 2;
-                const r = 30 + Math.random() * 20;
-                const start = new THREE.Vector3(Math.cos(angle) * r, 40, Math.sin(angle) * r);
-                const end = new THREE.Vector3(Math.cos(angle) * r * 0.5, 0, Math.sin(angle) * r * 0.5);
+        this.floorGrid = new THREE.Mesh(gridGeo, gridMat);
+        this.floorGrid.rotation.x = -Math.PI / 2;
+        this.floorGrid.position.y = -20;
+        this.group.add(this.floorGrid);
 
-                const midPoint = this.createBolt(start, end, 1.0);
+        this.ceilGrid = new THREE.Mesh(gridGeo, gridMat);
+        this.ceilGrid.rotation.x = Math.PI / 2;
+        this.ceilGrid.position.y = 20;
+        this.group.add(this.ceilGrid);
+    }
 
-                // Update Lighting
-                this.cloudUniforms.uLightningPos.value.copy(midPoint);
-                this.cloudUniforms.uLightningIntensity.value = 20.0 * trigger;
-                this.cloudUniforms.uLightningColor.value.setHSL(0.6 + Math.random() * 0.1, 1.0, 0.8); // Electric Blue/Purple
+    update(time, audioData, mouse, isDragging, dt) {
+        this.uniforms.uTime.value = time;
+        // Smoother Lerp: 0.15 per 60 Hz frame
+        const smoothing = 1 - Math.pow(0.85, dt * 60);
+        this.uniforms.uAudioLow.value = THREE.MathUtils.lerp(this.uniforms.uAudioLow.value, audioData.low, smoothing);
+        this.uniforms.uAudioMid.value = THREE.MathUtils.lerp(this.uniforms.uAudioMid.value, audioData.mid, smoothing);
+        this.uniforms.uAudioHigh.value = THREE.MathUtils.lerp(this.uniforms.uAudioHigh.value, audioData.high, smoothing);
 
-                this.lightningLight.position.copy(midPoint);
-                this.lightningLight.intensity = 500 * trigger;
-                this.lightningLight.color.setHSL(0.6 + Math.random() * 0.1, 1.0, 0.5);
+        // Core Rotation (speeds are per 60 Hz frame)
+        const k = dt * 60;
+        this.core.rotation.y += (this.params.coreSpeed + audioData.low * 0.05) * k;
+        this.core.rotation.z += (this.params.coreSpeed + audioData.low * 0.05) * k;
 
-                this.lastStrikeTime = now;
-            }
+        // Mouse Interaction
+        if (isDragging) {
+            this.core.rotation.y += mouse.x * 0.1 * k;
+            this.core.rotation.x += mouse.y * 0.1 * k;
         }
 
-        // Update Bolts
-        for (let i = this.bolts.length - 1; i >= 0; i--) {
-            const b = this.bolts[i];
-            b.life -= b.decay;
-            b.mesh.material.opacity = b.life;
-
-            if (b.life <= 0) {
-                this.group.remove(b.mesh);
-                b.mesh.geometry.dispose();
-                b.mesh.material.dispose();
-                this.bolts.splice(i, 1);
-            }
-        }
+        // Rings
+        this.rings.forEach((r, i) => {
+            const level = audioData.ranges[r.range];
+            r.mesh.rotateOnAxis(r.axis, (0.02 + level * this.params.ringSpeed) * k);
+            const scale = 1.0 + level * 0.5;
+            r.mesh.scale.setScalar(scale);
+            r.mesh.material.color.setHSL((time * 0.2 + i * 0.3) % 1.0, 1.0, 0.5);
+        });
 
-        // Cinematic Camera Sway
-        this.scene.rotation.z = Math.sin(time * 0.1) * 0.05;
-        this.scene.rotation.y = Math.sin(time * 0.05) * 0.1;
+        // Slight Grid Rotation for "Virtual" feel
+        this.floorGrid.rotation.z = Math.sin(time * 0.1) * 0.1;
+        this.ceilGrid.rotation.z = Math.cos(time * 0.1) * 0.1;
     }
 
     dispose() {
         this.scene.remove(this.group);
-        this.scene.fog = null;
-        this.cloudSystem.geometry.dispose();
-        this.cloudSystem.material.dispose();
-        this.aurora.geometry.dispose();
-        this.aurora.material.dispose();
-        this.pollen.geometry.dispose();
-        this.pollen.material.dispose();
-        this.sparkles.geometry.dispose();
-        this.sparkles.material.dispose();
+        this.core.geometry.dispose();
+        this.core.material.dispose();
+        this.rings.forEach(r => {
+            r.mesh.geometry.dispose();
+            r.mesh.material.dispose();
+        });
+        this.floorGrid.geometry.dispose();
+        this.floorGrid.material.dispose();
+        this.ceilGrid.geometry.dispose();
+        this.ceilGrid.material.dispose();
     }
 }
-
-class AudioReactorEffect {
-    constructor(scene) {
+class MultiverseEffect {
+    static id = 'multiverse';
+    static label = 'Multiverse';
+    static camera = { position: [0, 0, 50], lookAt: [0, 0, 0] };
+    static params = {
+        coreSpeed: { label: 'Core Spin', min: 0, max: 0.05, step: 0.001, default: 0.01 },
+        fireworkChance: { label: 'Bass Fireworks', min: 0, max: 0.5, step: 0.01, default: 0.1 }
+    };
+
+    constructor(scene, params, quality) {
         this.scene = scene;
+        this.params = params;
+        this.quality = quality;
         this.group = new THREE.Group();
         this.scene.add(this.group);
         this.init();
@@ -2026,8 +5018,28 @@ class AudioReactorEffect {
             uDragging: { value: 0.0 }
         };
 
-        // 1. Reactor Core (Deforming Icosahedron)
-        const geometry = new THREE.IcosahedronGeometry(10, 4);
+        // 1. Reactor Core (Icosahedron)
+        this.initCore();
+
+        // 2. Black Hole Ring (Accretion Disk)
+        this.initBlackHoleRing();
+
+        // 3. Aurora Halo
+        this.initAuroraHalo();
+
+        // 4. Warp Grid
+        this.initWarpGrid();
+
+        // 5. Starfield + Shooting Stars
+        this.initStarfield();
+        this.initShootingStars();
+
+        // 6. Fireworks System
+        this.fireworks = [];
+    }
+
+    initCore() {
+        const geometry = new THREE.IcosahedronGeometry(8, 4);
         const material = new THREE.ShaderMaterial({
             uniforms: this.uniforms,
             wireframe: true,
@@ -2036,8 +5048,6 @@ class AudioReactorEffect {
                 uniform float uTime;
                 uniform float uAudioLow;
                 varying vec3 vPos;
-                
-                // Simplex Noise
                 vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
                 vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
                 vec4 permute(vec4 x) { return mod289(((x*34.0)+1.0)*x); }
@@ -2087,58 +5097,207 @@ class AudioReactorEffect {
                     m = m * m;
                     return 42.0 * dot( m*m, vec4( dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3) ) );
                 }
+                void main() {
+                    vPos = position;
+                    vec3 pos = position;
+                    float noise = snoise(pos * 0.2 + uTime);
+                    float spike = 1.0 + uAudioLow * 0.5 * noise;
+                    pos *= spike;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform float uAudioLow;
+                varying vec3 vPos;
+                void main() {
+                    vec3 color = vec3(0.1, 0.5, 1.0); 
+                    color += vec3(uAudioLow * 0.8, 0.0, uAudioLow * 0.2); 
+                    float glow = 0.5 + uAudioLow * 0.5;
+                    gl_FragColor = vec4(color, glow);
+                }
+            `
+        });
+        this.core = new THREE.Mesh(geometry, material);
+        this.group.add(this.core);
+    }
+
+    initBlackHoleRing() {
+        const particleCount = Math.floor(8000 * this.quality.particles);
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(particleCount * 3);
+        const randomness = new Float32Array(particleCount);
+
+        for (let i = 0; i < particleCount; i++) {
+            const r = 12 + Math.random() * 15; // Larger radius to surround core
+            const theta = Math.random() * Math.PI * 2;
+            const y = (Math.random() - 0.5) * (r * 0.1);
+            positions[i * 3] = r * Math.cos(theta);
+            positions[i * 3 + 1] = y;
+            positions[i * 3 + 2] = r * Math.sin(theta);
+            randomness[i] = Math.random();
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('aRandomness', new THREE.BufferAttribute(randomness, 1));
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending,
+            vertexShader: `
+                uniform float uTime;
+                uniform float uAudioLow;
+                uniform float uAudioMid;
+                uniform float uAudioHigh;
+                attribute float aRandomness;
+                varying vec3 vColor;
+                varying float vAlpha;
+                vec3 hsv2rgb(vec3 c) {
+                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+                }
+                void main() {
+                    vec3 pos = position;
+                    float r = length(pos.xz);
+                    float speed = (20.0 / r) * (1.0 + uAudioLow * 0.5);
+                    float angle = uTime * 0.5 * speed + aRandomness;
+                    float c = cos(angle); float s = sin(angle);
+                    pos = vec3(pos.x * c - pos.z * s, pos.y, pos.x * s + pos.z * c);
+                    vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+                    gl_Position = projectionMatrix * mvPosition;
+                    gl_PointSize = (3.0 + aRandomness * 3.0) * (100.0 / -mvPosition.z);
+                    float hue = (atan(pos.z, pos.x) / 6.28) - (uTime * 0.2) + (10.0/r);
+                    float sat = 0.9 + uAudioMid * 0.1;
+                    float val = 0.6 + uAudioHigh * 0.4; 
+                    vColor = hsv2rgb(vec3(hue, sat, val));
+                    float alpha = smoothstep(10.0, 12.0, r) * (1.0 - smoothstep(25.0, 30.0, r));
+                    vAlpha = alpha * 0.6; 
+                }
+            `,
+            fragmentShader: `
+                varying vec3 vColor;
+                varying float vAlpha;
+                void main() {
+                    vec2 uv = gl_PointCoord - 0.5;
+                    float dist = length(uv);
+                    float glow = exp(-dist * 4.0);
+                    if (glow < 0.01) discard;
+                    gl_FragColor = vec4(vColor, vAlpha * glow);
+                }
+            `
+        });
+
+        this.diskMesh = new THREE.Points(geometry, material);
+        this.group.add(this.diskMesh);
+    }
+
+    initAuroraHalo() {
+        // Increased height and segments for smoother flow
+        const geometry = new THREE.CylinderGeometry(70, 70, 60, 128, 32, true);
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            side: THREE.DoubleSide,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending,
+            vertexShader: `
+                varying vec2 vUv;
+                varying vec3 vPos;
+                void main() {
+                    vUv = uv;
+                    vPos = position;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform float uTime;
+                uniform float uAudioLow;
+                varying vec2 vUv;
+                varying vec3 vPos;
+
+                // Simplex Noise
+                vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+                vec2 mod289(vec2 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+                vec3 permute(vec3 x) { return mod289(((x*34.0)+1.0)*x); }
+                float snoise(vec2 v) {
+                    const vec4 C = vec4(0.211324865405187, 0.366025403784439, -0.577350269189626, 0.024390243902439);
+                    vec2 i  = floor(v + dot(v, C.yy) );
+                    vec2 x0 = v - i + dot(i, C.xx);
+                    vec2 i1;
+                    i1 = (x0.x > x0.y) ? vec2(1.0, 0.0) : vec2(0.0, 1.0);
+                    vec4 x12 = x0.xyxy + C.xxzz;
+                    x12.xy -= i1;
+                    i = mod289(i);
+                    vec3 p = permute( permute( i.y + vec3(0.0, i1.y, 1.0 )) + i.x + vec3(0.0, i1.x, 1.0 ));
+                    vec3 m = max(0.5 - vec3(dot(x12.xy,x12.xy), dot(x12.zw,x12.zw), dot(x12.zw,x12.zw)), 0.0); // Fixed vec3 m calculation
+                    m = m*m ;
+                    m = m*m ;
+                    vec3 x = 2.0 * fract(p * C.www) - 1.0;
+                    vec3 h = abs(x) - 0.5;
+                    vec3 ox = floor(x + 0.5);
+                    vec3 a0 = x - ox;
+                    m *= 1.79284291400159 - 0.85373472095314 * ( a0*a0 + h*h );
+                    vec3 g;
+                    g.x  = a0.x  * x12.x  + h.x  * x12.y;
+                    g.yz = a0.yz * x12.zw + h.yz * x12.w;
+                    return 130.0 * dot(m, g);
+                }
+
+                // Domain Warping for Liquid Silk
+                float fbm(vec2 p) {
+                    float f = 0.0;
+                    float w = 0.5;
+                    for(int i=0; i<3; i++) {
+                        f += w * snoise(p);
+                        p *= 2.0;
+                        w *= 0.5;
+                    }
+                    return f;
+                }
 
                 void main() {
-                    vPos = position;
-                    vec3 pos = position;
+                    vec2 p = vUv * vec2(6.0, 2.0); // Scale texture space
                     
-                    // Bass Deformation
-                    float noise = snoise(pos * 0.2 + uTime);
-                    float spike = 1.0 + uAudioLow * 0.8 * noise; // Increased spike
-                    pos *= spike;
+                    // Domain Warping: Noise distorting Noise
+                    vec2 q = vec2(0.0);
+                    q.x = fbm(p + uTime * 0.05);
+                    q.y = fbm(p + vec2(1.0));
 
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform float uTime;
-                uniform float uAudioLow;
-                uniform float uAudioMid;
-                varying vec3 vPos;
-                
-                vec3 hsv2rgb(vec3 c) {
-                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-                }
+                    vec2 r = vec2(0.0);
+                    r.x = fbm(p + 1.0 * q + vec2(1.7, 9.2) + 0.15 * uTime);
+                    r.y = fbm(p + 1.0 * q + vec2(8.3, 2.8) + 0.126 * uTime);
 
-                void main() {
-                    // Dynamic Color based on Mid frequencies
-                    float hue = 0.6 + uAudioMid * 0.4 + sin(uTime * 0.5) * 0.1; 
-                    vec3 color = hsv2rgb(vec3(hue, 1.0, 0.8));
+                    float f = fbm(p + r);
+
+                    // Soft Color Palette
+                    vec3 color1 = vec3(0.1, 0.4, 0.6); // Deep Blue
+                    vec3 color2 = vec3(0.1, 0.8, 0.7); // Cyan
+                    vec3 color3 = vec3(0.6, 0.2, 0.6); // Purple
                     
-                    float glow = 0.5 + uAudioLow * 0.5;
-                    gl_FragColor = vec4(color, glow);
+                    vec3 color = mix(color1, color2, clamp((f*f)*4.0, 0.0, 1.0));
+                    color = mix(color, color3, clamp(length(q), 0.0, 1.0));
+                    color = mix(color, vec3(0.9, 0.9, 1.0), clamp(r.x, 0.0, 1.0));
+
+                    // Opacity Masking
+                    float alpha = f * f * 1.5; // Enhance contrast
+                    alpha *= (1.0 - abs(vUv.y - 0.5) * 2.0); // Fade edges top/bottom
+                    alpha *= 0.4; // Reduce overall opacity for stars to show through
+                    
+                    // Audio Reactivity
+                    alpha *= (0.8 + uAudioLow * 0.5);
+
+                    gl_FragColor = vec4(color, alpha);
                 }
             `
         });
-        this.core = new THREE.Mesh(geometry, material);
-        this.group.add(this.core);
-
-        // 2. Orbital Rings
-        this.rings = [];
-        const ringGeo = new THREE.TorusGeometry(15, 0.2, 16, 100);
-        const ringMat = new THREE.MeshBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.6 });
-
-        for (let i = 0; i < 3; i++) {
-            const ring = new THREE.Mesh(ringGeo, ringMat.clone());
-            ring.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
-            this.rings.push({ mesh: ring, axis: new THREE.Vector3(Math.random(), Math.random(), Math.random()).normalize() });
-            this.group.add(ring);
-        }
+        this.auroraMesh = new THREE.Mesh(geometry, material);
+        this.group.add(this.auroraMesh);
+    }
 
-        // 3. Warp Grid (Enhanced)
-        const gridGeo = new THREE.PlaneGeometry(200, 200, 60, 60); // More segments for smoother waves
+    initWarpGrid() {
+        const gridGeo = new THREE.PlaneGeometry(300, 300, 60, 60); // More segments
         const gridMat = new THREE.ShaderMaterial({
             uniforms: this.uniforms,
             wireframe: true,
@@ -2181,7 +5340,7 @@ class AudioReactorEffect {
                 }
 
                 void main() {
-                    float alpha = 1.0 - smoothstep(0.0, 90.0, length(gl_FragCoord.xy - vec2(0.5))); 
+                    float alpha = 1.0 - smoothstep(0.0, 120.0, length(gl_FragCoord.xy - vec2(0.5))); 
                     
                     // Melody-based Color Shift
                     float hue = 0.8 + uAudioMid * 0.5 + vUv.x * 0.2 + sin(uTime) * 0.1;
@@ -2190,888 +5349,1957 @@ class AudioReactorEffect {
                     // Highlight peaks
                     color += vec3(vHeight * 0.05);
 
-                    gl_FragColor = vec4(color, 0.4 + uAudioHigh * 0.2);
+                    gl_FragColor = vec4(color, 0.3 + uAudioHigh * 0.2);
                 }
             `
         });
 
         this.floorGrid = new THREE.Mesh(gridGeo, gridMat);
         this.floorGrid.rotation.x = -Math.PI / 2;
-        this.floorGrid.position.y = -20;
+        this.floorGrid.position.y = -30;
         this.group.add(this.floorGrid);
 
-        this.ceilGrid = new THREE.Mesh(gridGeo, gridMat);
-        this.ceilGrid.rotation.x = Math.PI / 2;
-        this.ceilGrid.position.y = 20;
-        this.group.add(this.ceilGrid);
+        this.ceilGrid = new THREE.Mesh(gridGeo, gridMat);
+        this.ceilGrid.rotation.x = Math.PI / 2;
+        this.ceilGrid.position.y = 30;
+        this.group.add(this.ceilGrid);
+    }
+
+    initStarfield() {
+        const count = Math.floor(4000 * this.quality.particles);
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(count * 3);
+        const sizes = new Float32Array(count);
+        const speeds = new Float32Array(count);
+
+        for (let i = 0; i < count; i++) {
+            const r = 300 + Math.random() * 300;
+            const theta = Math.random() * Math.PI * 2;
+            const phi = Math.acos(2 * Math.random() - 1);
+            positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
+            positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
+            positions[i * 3 + 2] = r * Math.cos(phi);
+            sizes[i] = Math.random();
+            speeds[i] = Math.random();
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('aScale', new THREE.BufferAttribute(sizes, 1));
+        geometry.setAttribute('aSpeed', new THREE.BufferAttribute(speeds, 1));
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            transparent: true,
+            vertexShader: `
+                uniform float uTime;
+                attribute float aScale;
+                attribute float aSpeed;
+                void main() {
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    gl_Position = projectionMatrix * mvPosition;
+                    float twinkle = 1.0 + sin(uTime * (1.0 + aSpeed * 3.0) + position.x) * 0.5;
+                    gl_PointSize = aScale * (400.0 / -mvPosition.z) * twinkle;
+                }
+            `,
+            fragmentShader: `
+                void main() {
+                    vec2 uv = gl_PointCoord - 0.5;
+                    float dist = length(uv);
+                    if(dist > 0.5) discard;
+                    float alpha = 1.0 - smoothstep(0.3, 0.5, dist);
+                    gl_FragColor = vec4(1.0, 1.0, 1.0, alpha);
+                }
+            `
+        });
+        this.starMesh = new THREE.Points(geometry, material);
+        this.group.add(this.starMesh);
+    }
+
+    initShootingStars() {
+        this.shootingStars = [];
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(6);
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        this.shootingStarMaterial = new THREE.LineBasicMaterial({
+            color: 0xaaddff,
+            transparent: true,
+            opacity: 0.8,
+            blending: THREE.AdditiveBlending
+        });
+
+        for (let i = 0; i < 10; i++) {
+            const star = new THREE.Line(geometry.clone(), this.shootingStarMaterial);
+            star.visible = false;
+            this.group.add(star);
+            this.shootingStars.push({
+                mesh: star,
+                active: false,
+                progress: 0,
+                speed: 0,
+                startPos: new THREE.Vector3(),
+                endPos: new THREE.Vector3()
+            });
+        }
+    }
+
+    spawnShootingStar() {
+        const star = this.shootingStars.find(s => !s.active);
+        if (!star) return;
+
+        star.active = true;
+        star.mesh.visible = true;
+        star.progress = 0;
+        star.speed = 0.005 + Math.random() * 0.01;
+
+        const r = 200;
+        const theta = Math.random() * Math.PI * 2;
+        const phi = Math.acos(2 * Math.random() - 1);
+        star.startPos.set(
+            r * Math.sin(phi) * Math.cos(theta),
+            r * Math.sin(phi) * Math.sin(theta),
+            r * Math.cos(phi)
+        );
+
+        star.endPos.copy(star.startPos).add(new THREE.Vector3(
+            (Math.random() - 0.5) * 200,
+            (Math.random() - 0.5) * 200,
+            (Math.random() - 0.5) * 200
+        ));
+    }
+
+    updateShootingStars(k) {
+        if (Math.random() < 0.03 * k) this.spawnShootingStar();
+
+        this.shootingStars.forEach(star => {
+            if (!star.active) return;
+            star.progress += star.speed * k;
+            if (star.progress >= 1) {
+                star.active = false;
+                star.mesh.visible = false;
+                return;
+            }
+            const currentPos = new THREE.Vector3().lerpVectors(star.startPos, star.endPos, star.progress);
+            const tailPos = new THREE.Vector3().lerpVectors(star.startPos, star.endPos, Math.max(0, star.progress - 0.1));
+            const positions = star.mesh.geometry.attributes.position.array;
+            positions[0] = currentPos.x; positions[1] = currentPos.y; positions[2] = currentPos.z;
+            positions[3] = tailPos.x; positions[4] = tailPos.y; positions[5] = tailPos.z;
+            star.mesh.geometry.attributes.position.needsUpdate = true;
+            star.mesh.material.opacity = 1.0 - star.progress;
+        });
+    }
+
+    spawnFirework() {
+        const particleCount = 50;
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(particleCount * 3);
+        const velocities = [];
+
+        const startPos = new THREE.Vector3(
+            (Math.random() - 0.5) * 100,
+            (Math.random() - 0.5) * 50,
+            (Math.random() - 0.5) * 100
+        );
+
+        for (let i = 0; i < particleCount; i++) {
+            positions[i * 3] = startPos.x;
+            positions[i * 3 + 1] = startPos.y;
+            positions[i * 3 + 2] = startPos.z;
+            velocities.push(new THREE.Vector3(
+                (Math.random() - 0.5) * 2,
+                (Math.random() - 0.5) * 2,
+                (Math.random() - 0.5) * 2
+            ));
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        const material = new THREE.PointsMaterial({
+            color: new THREE.Color().setHSL(Math.random(), 1.0, 0.5),
+            size: 0.5,
+            transparent: true,
+            blending: THREE.AdditiveBlending
+        });
+
+        const points = new THREE.Points(geometry, material);
+        this.group.add(points);
+
+        this.fireworks.push({ mesh: points, velocities: velocities, life: 1.0 });
+    }
+
+    updateFireworks(k) {
+        for (let i = this.fireworks.length - 1; i >= 0; i--) {
+            const fw = this.fireworks[i];
+            fw.life -= 0.02 * k;
+            if (fw.life <= 0) {
+                this.group.remove(fw.mesh);
+                fw.mesh.geometry.dispose();
+                fw.mesh.material.dispose();
+                this.fireworks.splice(i, 1);
+                continue;
+            }
+
+            const positions = fw.mesh.geometry.attributes.position.array;
+            for (let j = 0; j < fw.velocities.length; j++) {
+                positions[j * 3] += fw.velocities[j].x * k;
+                positions[j * 3 + 1] += fw.velocities[j].y * k;
+                positions[j * 3 + 2] += fw.velocities[j].z * k;
+            }
+            fw.mesh.geometry.attributes.position.needsUpdate = true;
+            fw.mesh.material.opacity = fw.life;
+        }
     }
 
-    update(time, audioData, mouse, isDragging) {
+    update(time, audioData, mouse, isDragging, dt) {
         this.uniforms.uTime.value = time;
-        // Smoother Lerp
-        this.uniforms.uAudioLow.value = THREE.MathUtils.lerp(this.uniforms.uAudioLow.value, audioData.low, 0.15);
-        this.uniforms.uAudioMid.value = THREE.MathUtils.lerp(this.uniforms.uAudioMid.value, audioData.mid, 0.15);
-        this.uniforms.uAudioHigh.value = THREE.MathUtils.lerp(this.uniforms.uAudioHigh.value, audioData.high, 0.15);
+        // Smoother Lerp: 0.15 per 60 Hz frame
+        const smoothing = 1 - Math.pow(0.85, dt * 60);
+        this.uniforms.uAudioLow.value = THREE.MathUtils.lerp(this.uniforms.uAudioLow.value, audioData.low, smoothing);
+        this.uniforms.uAudioMid.value = THREE.MathUtils.lerp(this.uniforms.uAudioMid.value, audioData.mid, smoothing);
+        this.uniforms.uAudioHigh.value = THREE.MathUtils.lerp(this.uniforms.uAudioHigh.value, audioData.high, smoothing);
 
-        // Core Rotation
-        this.core.rotation.y += 0.01 + audioData.low * 0.05;
-        this.core.rotation.z += 0.01 + audioData.low * 0.05;
+        // Core Rotation (speeds are per 60 Hz frame)
+        const k = dt * 60;
+        this.core.rotation.y += (this.params.coreSpeed + audioData.low * 0.05) * k;
+        this.core.rotation.z += (this.params.coreSpeed + audioData.low * 0.05) * k;
 
         // Mouse Interaction
         if (isDragging) {
-            this.core.rotation.y += mouse.x * 0.1;
-            this.core.rotation.x += mouse.y * 0.1;
+            this.group.rotation.y += mouse.x * 0.02 * k;
+            this.group.rotation.x += mouse.y * 0.02 * k;
         }
 
-        // Rings
-        this.rings.forEach((r, i) => {
-            r.mesh.rotateOnAxis(r.axis, 0.02 + audioData.mid * 0.1);
-            const scale = 1.0 + audioData.mid * 0.5;
-            r.mesh.scale.setScalar(scale);
-            r.mesh.material.color.setHSL((time * 0.2 + i * 0.3) % 1.0, 1.0, 0.5);
-        });
+        // Camera Motion
+        this.group.rotation.y = Math.sin(time * 0.05) * 0.2;
 
-        // Slight Grid Rotation for "Virtual" feel
+        // Slight Grid Rotation
         this.floorGrid.rotation.z = Math.sin(time * 0.1) * 0.1;
         this.ceilGrid.rotation.z = Math.cos(time * 0.1) * 0.1;
     }
 
+    fixedUpdate(step, audioData) {
+        const k = step * 60;
+        this.updateShootingStars(k);
+
+        // Fireworks on Bass
+        if (audioData.low > 0.7 && Math.random() < this.params.fireworkChance * k) {
+            this.spawnFirework();
+        }
+        this.updateFireworks(k);
+    }
+
     dispose() {
         this.scene.remove(this.group);
         this.core.geometry.dispose();
         this.core.material.dispose();
-        this.rings.forEach(r => {
-            r.mesh.geometry.dispose();
-            r.mesh.material.dispose();
-        });
+        this.diskMesh.geometry.dispose();
+        this.diskMesh.material.dispose();
+        this.auroraMesh.geometry.dispose();
+        this.auroraMesh.material.dispose();
         this.floorGrid.geometry.dispose();
         this.floorGrid.material.dispose();
         this.ceilGrid.geometry.dispose();
         this.ceilGrid.material.dispose();
+        this.starMesh.geometry.dispose();
+        this.starMesh.material.dispose();
+        this.shootingStars.forEach(s => {
+            s.mesh.geometry.dispose();
+            s.mesh.material.dispose();
+        });
+        if (this.shootingStarMaterial) this.shootingStarMaterial.dispose();
+        this.fireworks.forEach(fw => {
+            fw.mesh.geometry.dispose();
+            fw.mesh.material.dispose();
+        });
     }
 }
-class MultiverseEffect {
-    constructor(scene) {
+
+class OscilloscopeEffect {
+    static id = 'oscilloscope';
+    static label = 'Oscilloscope';
+    static camera = { position: [0, 0, 40], lookAt: [0, 0, 0] };
+    static params = {
+        amplitude: { label: 'Trail Height', min: 5, max: 40, step: 1, default: 15 },
+        xyScale: { label: 'XY Size', min: 2, max: 30, step: 1, default: 10 }
+    };
+
+    constructor(scene, params) {
         this.scene = scene;
+        this.params = params;
         this.group = new THREE.Group();
         this.scene.add(this.group);
         this.init();
     }
 
     init() {
-        this.uniforms = {
-            uTime: { value: 0 },
-            uAudioLow: { value: 0 },
-            uAudioMid: { value: 0 },
-            uAudioHigh: { value: 0 },
-            uMouse: { value: new THREE.Vector2(0, 0) },
-            uDragging: { value: 0.0 }
-        };
+        this.samples = 512;
+        this.historyLength = 24;
+
+        // 1. Waveform Trail (newest line in front, older ones recede into depth)
+        this.trail = [];
+        for (let i = 0; i < this.historyLength; i++) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.samples * 3), 3));
+            const material = new THREE.LineBasicMaterial({
+                color: 0x00ffcc,
+                transparent: true,
+                depthWrite: false,
+                blending: THREE.AdditiveBlending
+            });
+            const line = new THREE.Line(geometry, material);
+            line.position.y = -10;
+            this.group.add(line);
+            this.trail.push(line);
+        }
+
+        // 2. XY (Lissajous) Scope
+        this.xySamples = 1024;
+        const xyGeo = new THREE.BufferGeometry();
+        xyGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.xySamples * 3), 3));
+        this.xyLine = new THREE.Line(xyGeo, new THREE.LineBasicMaterial({
+            color: 0xff66ff,
+            transparent: true,
+            opacity: 0.9,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        }));
+        this.xyLine.position.y = 6;
+        this.group.add(this.xyLine);
+
+        // Graticule ring around the XY scope
+        const ringGeo = new THREE.RingGeometry(11.8, 12, 128);
+        this.ring = new THREE.Mesh(ringGeo, new THREE.MeshBasicMaterial({
+            color: 0x66ccff,
+            transparent: true,
+            opacity: 0.3,
+            side: THREE.DoubleSide,
+            blending: THREE.AdditiveBlending
+        }));
+        this.ring.position.copy(this.xyLine.position);
+        this.group.add(this.ring);
+    }
+
+    update(time, audioData, mouse, isDragging) {
+        const waveform = audioData.waveform;
+
+        // 1. Waveform Trail - recycle the oldest line as the newest one
+        const newest = this.trail.pop();
+        this.trail.unshift(newest);
+
+        const positions = newest.geometry.attributes.position.array;
+        const step = waveform.length / this.samples;
+        for (let i = 0; i < this.samples; i++) {
+            positions[i * 3] = (i / (this.samples - 1) - 0.5) * 80;
+            positions[i * 3 + 1] = waveform[Math.floor(i * step)] * this.params.amplitude;
+            positions[i * 3 + 2] = 0;
+        }
+        newest.geometry.attributes.position.needsUpdate = true;
+
+        this.trail.forEach((line, i) => {
+            const fade = 1 - i / this.historyLength;
+            line.position.z = -i * 3;
+            line.material.opacity = fade * fade;
+            line.material.color.setHSL((time * 0.05 + i * 0.01) % 1.0, 1.0, 0.4 + audioData.rms * 0.6);
+        });
+
+        // 2. XY Scope - left on X, right on Y. Mono input would collapse to a
+        // diagonal line, so it is plotted against a delayed copy of itself instead.
+        const xy = this.xyLine.geometry.attributes.position.array;
+        const stereo = audioData.left && audioData.stereoWidth > 0.001;
+        const xSource = stereo ? audioData.left.waveform : waveform;
+        const ySource = stereo ? audioData.right.waveform : waveform;
+        const lag = stereo ? 0 : 32;
+        const count = Math.min(this.xySamples, xSource.length);
+        const scale = this.params.xyScale;
+        for (let i = 0; i < count; i++) {
+            xy[i * 3] = xSource[i] * scale;
+            xy[i * 3 + 1] = ySource[(i + lag) % ySource.length] * scale;
+            xy[i * 3 + 2] = 0;
+        }
+        this.xyLine.geometry.setDrawRange(0, count);
+        this.xyLine.geometry.attributes.position.needsUpdate = true;
+        this.xyLine.material.color.setHSL((0.85 + audioData.high * 0.2) % 1.0, 1.0, 0.6);
+
+        // Ring breathes with the signal peak
+        const ringScale = 1.0 + audioData.peak * 0.2;
+        this.ring.scale.set(ringScale, ringScale, 1);
+        this.ring.material.opacity = 0.2 + audioData.rms;
+
+        // Gentle drift, mouse tilts the whole scope
+        this.group.rotation.x = Math.sin(time * 0.2) * 0.1;
+        this.group.rotation.y = Math.sin(time * 0.15) * 0.15;
+        if (isDragging) {
+            this.group.rotation.y += mouse.x * 0.5;
+            this.group.rotation.x += mouse.y * 0.5;
+        }
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.trail.forEach(line => {
+            line.geometry.dispose();
+            line.material.dispose();
+        });
+        this.xyLine.geometry.dispose();
+        this.xyLine.material.dispose();
+        this.ring.geometry.dispose();
+        this.ring.material.dispose();
+    }
+}
+
+// Built-in effects, in controls-bar order. Plugins register theirs from
+// separate modules (see plugins/).
+[
+    CosmicEffect,
+    WaveEffect,
+    LightShowEffect,
+    FireworksEffect,
+    LightningStormEffect,
+    AudioReactorEffect,
+    MultiverseEffect,
+    DancerEffect,
+    OscilloscopeEffect
+].forEach(registerEffect);
+
+const FIXED_STEP = 1 / 60; // s, rate of the effects' fixedUpdate()
+
+class VisualizerManager {
+    constructor() {
+        this.renderer = new THREE.WebGLRenderer({
+            canvas: document.getElementById('canvas'),
+            antialias: true,
+            alpha: true
+        });
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.toneMapping = THREE.ReinhardToneMapping;
+
+        // Post Processing
+        this.transitionPass = new TransitionPass();
+        this.layers = []; // Effects stacked over the current one
+        this.layerPass = new LayerPass();
+        this.layerPass.layers = this.layers;
+        this.bloomPass = new UnrealBloomPass(
+            new THREE.Vector2(window.innerWidth, window.innerHeight),
+            CONFIG.bloomStrength, CONFIG.bloomRadius, CONFIG.bloomThreshold
+        );
+        this.composer = new EffectComposer(this.renderer);
+        this.composer.addPass(this.transitionPass);
+        this.composer.addPass(this.layerPass);
+        this.composer.addPass(this.bloomPass);
+
+        // Mouse State
+        this.mouse = new THREE.Vector2(0, 0);
+        this.targetMouse = new THREE.Vector2(0, 0);
+        this.isDragging = false;
+
+        // Event Listeners for Mouse
+        window.addEventListener('mousemove', (e) => {
+            // Normalize mouse to -1 to 1
+            this.targetMouse.x = (e.clientX / window.innerWidth) * 2 - 1;
+            this.targetMouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
+
+            if (this.isDragging) {
+                // Direct mapping during drag
+                this.mouse.copy(this.targetMouse);
+            }
+        });
+
+        window.addEventListener('mousedown', () => { this.isDragging = true; });
+        window.addEventListener('mouseup', () => { this.isDragging = false; });
+
+        // Touch support
+        window.addEventListener('touchmove', (e) => {
+            if (e.touches.length > 0) {
+                this.targetMouse.x = (e.touches[0].clientX / window.innerWidth) * 2 - 1;
+                this.targetMouse.y = -(e.touches[0].clientY / window.innerHeight) * 2 + 1;
+                if (this.isDragging) this.mouse.copy(this.targetMouse);
+            }
+        }, { passive: false });
+        window.addEventListener('touchstart', () => { this.isDragging = true; }, { passive: false });
+        window.addEventListener('touchend', () => { this.isDragging = false; });
+
+        // Mouse Wheel Zoom
+        window.addEventListener('wheel', (e) => {
+            // Zoom speed
+            const zoomSpeed = 0.05;
+            // Move camera along its local Z axis (forward/backward)
+            // e.deltaY > 0 means scrolling down (zoom out), < 0 means scrolling up (zoom in)
+            const delta = e.deltaY * zoomSpeed;
+            if (this.current) this.current.camera.translateZ(delta);
+        }, { passive: true });
+
+        this.analyzer = new AudioAnalyzer();
+        this.autoPilot = new AutoPilot();
+        this.quality = new QualityGovernor();
+        this.renderer.info.autoReset = false; // Count every pass of a frame, reset in animate()
+
+        // Simulated clock, advanced by animate() - or by an OfflineRenderer,
+        // which sets offline and steps renderFrame() itself
+        this.time = 0;
+        this.lastFrame = null;
+        this.accumulator = 0;
+        this.offline = false;
+        this.paused = false; // Frozen: the last frame keeps being drawn
+        this.beatAccent = false; // Manual beat for the next frame, see triggerBeat()
+
+        this.current = null; // Slot being shown: { mode, scene, camera, effect }
+        this.transition = null; // { from, start } while blending out of the previous slot
+        this.currentMode = null;
+        this.effectParams = {}; // Live parameter values per effect id
+        this.currentTrack = null;
+        this.followTrackModes = true; // Switch to a track's preferred effect when it starts
+        this.onModeChange = null; // After every switchMode()
+        this.switchMode('cosmic'); // Applies the quality tier too
+
+        window.addEventListener('resize', () => this.onResize());
+        this.animate();
+    }
+
+    switchMode(mode) {
+        const EffectClass = getEffect(mode);
+        if (!EffectClass) {
+            console.warn(`Unknown effect "${mode}"`);
+            return;
+        }
+
+        // Switching again mid-transition drops the slot that was fading out
+        if (this.transition) this.finishTransition();
+
+        const previous = this.current;
+        this.current = this.createSlot(EffectClass);
+        this.currentMode = mode;
+        document.querySelectorAll('.mode-btn').forEach(b => b.classList.toggle('active', b.dataset.mode === mode));
+
+        if (previous && CONFIG.transitionType !== 'cut' && CONFIG.transitionDuration > 0) {
+            this.transition = { from: previous, start: this.time };
+            this.transitionPass.from = previous;
+            this.transitionPass.type = CONFIG.transitionType;
+            this.transitionPass.progress = 0;
+        } else if (previous) {
+            this.disposeSlot(previous);
+        }
+        this.transitionPass.to = this.current;
+        this.autoPilot.noteSwitch(this.time);
+        this.applyQuality();
+        if (this.onModeChange) this.onModeChange();
+    }
+
+    // Each effect gets its own scene and camera so two can run at once
+    createSlot(EffectClass) {
+        const scene = new THREE.Scene();
+        scene.fog = EffectClass.fog ? new THREE.FogExp2(EffectClass.fog.color, EffectClass.fog.density) : null;
+
+        const size = this.renderer.getSize(new THREE.Vector2());
+        const camera = new THREE.PerspectiveCamera(75, size.x / size.y, 0.1, 100);
+        const pose = EffectClass.camera || DEFAULT_CAMERA;
+        camera.position.set(...pose.position);
+        camera.lookAt(...pose.lookAt);
+
+        const tier = this.quality.tierFor(EffectClass.id);
+        const effect = new EffectClass(scene, this.getParams(EffectClass.id), QUALITY_TIERS[tier]);
+        return { mode: EffectClass.id, scene, camera, effect, tier };
+    }
+
+    // Every slot that is alive right now
+    slots() {
+        const slots = [this.current, ...this.layers.map(layer => layer.slot)];
+        if (this.transition) slots.push(this.transition.from);
+        return slots.filter(Boolean);
+    }
+
+    // Renderer-wide settings follow the main effect's tier; effects whose
+    // tier changed are rebuilt in place
+    applyQuality() {
+        // An offline render holds the drawing buffer at the output size; its
+        // end calls this again to restore the tier's
+        if (!this.offline) {
+            const tier = QUALITY_TIERS[this.quality.tierFor(this.currentMode)];
+            const pixelRatio = Math.min(window.devicePixelRatio, tier.pixelRatio);
+            if (pixelRatio !== this.renderer.getPixelRatio()) {
+                this.renderer.setPixelRatio(pixelRatio);
+                this.composer.setPixelRatio(pixelRatio);
+            }
+            this.bloomScale = tier.bloomScale;
+            this.resizeBloom();
+        }
+
+        this.slots().forEach(slot => {
+            const slotTier = this.quality.tierFor(slot.mode);
+            if (slot.tier === slotTier) return;
+            this.disposeSlot(slot);
+            slot.effect = new (getEffect(slot.mode))(slot.scene, this.getParams(slot.mode), QUALITY_TIERS[slotTier]);
+            slot.tier = slotTier;
+        });
+    }
+
+    // Picks up bloom settings edited in CONFIG
+    applyBloom() {
+        this.bloomPass.strength = CONFIG.bloomStrength;
+        this.bloomPass.radius = CONFIG.bloomRadius;
+        this.bloomPass.threshold = CONFIG.bloomThreshold;
+    }
+
+    resizeBloom() {
+        const size = this.renderer.getSize(new THREE.Vector2());
+        const scale = this.renderer.getPixelRatio() * this.bloomScale;
+        this.bloomPass.setSize(size.x * scale, size.y * scale);
+    }
+
+    // Camera distance from the effect's look-at point; 1 = its own pose
+    setZoom(factor) {
+        if (!this.current) return;
+        const pose = getEffect(this.current.mode).camera || DEFAULT_CAMERA;
+        const target = new THREE.Vector3(...pose.lookAt);
+        this.current.camera.position.set(...pose.position).sub(target).multiplyScalar(factor).add(target);
+    }
+
+    addLayer(mode) {
+        const EffectClass = getEffect(mode);
+        if (!EffectClass) return null;
+        const layer = { slot: this.createSlot(EffectClass), opacity: 0.8, blend: 'add', route: 'all' };
+        this.layers.push(layer);
+        return layer;
+    }
+
+    removeLayer(layer) {
+        const index = this.layers.indexOf(layer);
+        if (index === -1) return;
+        this.layers.splice(index, 1);
+        this.disposeSlot(layer.slot);
+    }
+
+    disposeSlot(slot) {
+        try {
+            slot.effect.dispose();
+        } catch (err) {
+            console.error("Error disposing effect:", err);
+        }
+    }
+
+    finishTransition() {
+        this.disposeSlot(this.transition.from);
+        this.transition = null;
+        this.transitionPass.from = null;
+    }
+
+    // Effects keep a reference to this object, so edits apply live
+    getParams(mode) {
+        if (!this.effectParams[mode]) this.effectParams[mode] = defaultParams(getEffect(mode));
+        return this.effectParams[mode];
+    }
+
+    // Called by the playlist whenever a new track starts
+    setTrack(track) {
+        this.currentTrack = track;
+        if (this.followTrackModes && track && track.mode && track.mode !== this.currentMode) {
+            this.switchMode(track.mode);
+        }
+    }
+
+    onResize() {
+        if (this.offline) return; // The render size is pinned until it finishes
+        this.setRenderSize(window.innerWidth, window.innerHeight);
+    }
+
+    // updateStyle false leaves the canvas' CSS size alone (offline renders
+    // draw bigger than the window without reflowing the page)
+    setRenderSize(width, height, updateStyle = true) {
+        this.slots().forEach(slot => {
+            slot.camera.aspect = width / height;
+            slot.camera.updateProjectionMatrix();
+        });
+        this.renderer.setSize(width, height, updateStyle);
+        this.composer.setSize(width, height);
+        this.resizeBloom();
+    }
+
+    animate() {
+        requestAnimationFrame(() => this.animate());
+        if (this.offline) return;
+
+        // Clamped so a tab coming back from the background doesn't jump
+        const now = performance.now() * 0.001;
+        const dt = this.lastFrame === null ? 0 : Math.min(now - this.lastFrame, 0.1);
+        this.lastFrame = now;
+
+        if (this.paused) {
+            this.renderer.info.reset();
+            this.composer.render();
+            return;
+        }
+
+        if (this.quality.update(this.currentMode, dt)) this.applyQuality();
+        this.renderFrame(dt);
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+    }
+
+    // The current effect sees a beat on the next frame, whatever the audio
+    // does. The frame's accent flag tells effects to skip their rate limits.
+    triggerBeat() {
+        this.beatAccent = true;
+    }
+
+    // Advances the simulated clock by dt and draws one frame. Everything
+    // below runs off this.time and the analyzer, never the wall clock.
+    renderFrame(dt, analyzer = this.analyzer) {
+        this.time += dt;
+        const time = this.time;
+        const audioData = analyzer.analyze(time);
+
+        const nextMode = this.autoPilot.update(audioData, time, this.currentMode);
+        if (nextMode) this.switchMode(nextMode);
+
+        // Smooth mouse interpolation, 0.1 per 60 Hz frame
+        this.mouse.lerp(this.targetMouse, 1 - Math.pow(0.9, dt * 60));
+
+        if (this.transition) {
+            const t = Math.min((time - this.transition.start) / CONFIG.transitionDuration, 1);
+            if (t >= 1) {
+                this.finishTransition();
+            } else {
+                this.transitionPass.progress = t * t * (3 - 2 * t); // Ease in-out
+            }
+        }
+
+        const accented = this.beatAccent ? { ...audioData, beat: true, onset: true, accent: true } : audioData;
+        this.beatAccent = false;
+
+        // Everything on screen this frame, with the audio each one sees
+        const running = [];
+        if (this.transition) running.push([this.transition.from.effect, audioData]);
+        if (this.current) running.push([this.current.effect, accented]);
+        this.layers.forEach(layer => running.push([layer.slot.effect, routeAudio(audioData, layer.route)]));
+
+        // Physics runs in fixed steps so it behaves the same at any refresh
+        // rate. dt is capped above, so this never has to catch up far. The
+        // leftover accumulator isn't interpolated: on 120/144 Hz screens
+        // rockets, particles and bolts move at 60 Hz while everything else is
+        // smooth. Accepted - interpolating would mean every effect keeping a
+        // second copy of its particle buffers.
+        this.accumulator += dt;
+        while (this.accumulator >= FIXED_STEP) {
+            this.accumulator -= FIXED_STEP;
+            running.forEach(([effect, audio]) => {
+                if (effect.fixedUpdate) effect.fixedUpdate(FIXED_STEP, audio);
+            });
+        }
+
+        running.forEach(([effect, audio]) => {
+            effect.update(time, audio, this.mouse, this.isDragging, dt);
+        });
+
+        this.renderer.info.reset();
+        this.composer.render();
+    }
+}
+
+// --- Initialization ---
+try {
+    manager = new VisualizerManager();
+    console.log("Visualizer initialized successfully");
+
+    // Deferred so links can name plugin effects, whose modules run after this one
+    document.addEventListener('DOMContentLoaded', () => {
+        applyUrlState(location.search + '&' + location.hash.slice(1), true);
+        syncUrlState();
+    });
+} catch (err) {
+    console.error("Initialization error:", err);
+    alert("Error initializing visualizer: " + err.message);
+}
+
+// Event Listeners
+const btnSystem = document.getElementById('btn-system');
+if (btnSystem) {
+    btnSystem.addEventListener('click', () => {
+        console.log("System Audio button clicked");
+        startAudio('system');
+    });
+} else {
+    console.error("System Audio button not found!");
+}
+
+document.getElementById('btn-mic').addEventListener('click', () => startAudio('mic'));
+
+// Local file: picker button or drag-and-drop anywhere on the page
+const fileInput = document.getElementById('file-input');
+document.getElementById('btn-file').addEventListener('click', () => fileInput.click());
+fileInput.addEventListener('change', () => {
+    if (fileInput.files.length > 0) startAudio('file', { files: Array.from(fileInput.files) });
+    fileInput.value = '';
+});
+
+window.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    document.body.classList.add('drag-over');
+});
+window.addEventListener('dragleave', (e) => {
+    if (!e.relatedTarget) document.body.classList.remove('drag-over');
+});
+window.addEventListener('drop', (e) => {
+    e.preventDefault();
+    document.body.classList.remove('drag-over');
+    const files = Array.from(e.dataTransfer.files).filter(f => f.type.startsWith('audio/'));
+    if (files.length > 0) startAudio('file', { files: files });
+});
 
-        // 1. Reactor Core (Icosahedron)
-        this.initCore();
+// Player Controls
+const btnPlay = document.getElementById('btn-play');
+const seekBar = document.getElementById('seek-bar');
+const trackTime = document.getElementById('track-time');
+const trackName = document.getElementById('track-name');
+let isSeeking = false;
 
-        // 2. Black Hole Ring (Accretion Disk)
-        this.initBlackHoleRing();
+btnPlay.addEventListener('click', () => {
+    if (playlist) playlist.player.toggle();
+});
+document.getElementById('btn-prev').addEventListener('click', () => {
+    if (playlist) Promise.resolve(playlist.previous()).catch(err => console.error("Error playing track:", err));
+});
+document.getElementById('btn-next').addEventListener('click', () => {
+    if (playlist) Promise.resolve(playlist.next()).catch(err => console.error("Error playing track:", err));
+});
+seekBar.addEventListener('input', () => { isSeeking = true; });
+seekBar.addEventListener('change', () => {
+    isSeeking = false;
+    if (playlist) playlist.player.seek(seekBar.value / 1000 * playlist.player.duration);
+});
 
-        // 3. Aurora Halo
-        this.initAuroraHalo();
+setInterval(() => {
+    if (!playlist || !playlist.player.buffer) return;
+    const player = playlist.player;
+    const current = player.currentTime;
+    const duration = player.duration;
+    btnPlay.textContent = player.playing ? 'Pause' : 'Play';
+    trackName.textContent = player.name;
+    if (!isSeeking) seekBar.value = duration > 0 ? (current / duration) * 1000 : 0;
+    trackTime.textContent = formatTime(current) + ' / ' + formatTime(duration);
+}, 250);
+document.getElementById('btn-demo').addEventListener('click', () => startAudio('demo'));
+
+// Mode buttons come from the effect registry, including plugins that load later
+const controls = document.getElementById('controls');
+const audioPanelToggle = document.getElementById('btn-audio-panel');
+
+function addModeButton(EffectClass) {
+    const btn = document.createElement('button');
+    btn.className = 'mode-btn';
+    btn.dataset.mode = EffectClass.id;
+    btn.textContent = EffectClass.label || EffectClass.id;
+    btn.classList.toggle('active', manager && manager.currentMode === EffectClass.id);
+    btn.addEventListener('click', () => manager.switchMode(EffectClass.id));
+    controls.insertBefore(btn, audioPanelToggle);
+}
+listEffects().forEach(addModeButton);
+onEffectRegistered(addModeButton);
+
+const transitionType = document.getElementById('transition-type');
+Object.entries(TRANSITIONS).forEach(([id, label]) => transitionType.add(new Option(label, id)));
+transitionType.add(new Option('Cut', 'cut'));
+transitionType.value = CONFIG.transitionType;
+transitionType.addEventListener('change', () => {
+    CONFIG.transitionType = transitionType.value;
+});
 
-        // 4. Warp Grid
-        this.initWarpGrid();
+// Playlist Panel
+const playlistPanel = document.getElementById('playlist-panel');
+const playlistTracks = document.getElementById('playlist-tracks');
+const btnShuffle = document.getElementById('btn-shuffle');
+const btnRepeat = document.getElementById('btn-repeat');
 
-        // 5. Starfield + Shooting Stars
-        this.initStarfield();
-        this.initShootingStars();
+document.getElementById('btn-playlist').addEventListener('click', () => togglePanel(playlistPanel));
+document.getElementById('btn-add-files').addEventListener('click', () => fileInput.click());
+btnShuffle.addEventListener('click', () => {
+    if (playlist) playlist.setShuffle(!playlist.shuffle);
+});
+btnRepeat.addEventListener('click', () => {
+    if (playlist) playlist.cycleRepeat();
+});
+document.getElementById('follow-track-modes').addEventListener('change', (e) => {
+    manager.followTrackModes = e.target.checked;
+});
 
-        // 6. Fireworks System
-        this.fireworks = [];
-    }
+function renderPlaylist() {
+    btnShuffle.classList.toggle('active', playlist.shuffle);
+    btnRepeat.textContent = 'Repeat: ' + playlist.repeat.charAt(0).toUpperCase() + playlist.repeat.slice(1);
 
-    initCore() {
-        const geometry = new THREE.IcosahedronGeometry(8, 4);
-        const material = new THREE.ShaderMaterial({
-            uniforms: this.uniforms,
-            wireframe: true,
-            transparent: true,
-            vertexShader: `
-                uniform float uTime;
-                uniform float uAudioLow;
-                varying vec3 vPos;
-                vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-                vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-                vec4 permute(vec4 x) { return mod289(((x*34.0)+1.0)*x); }
-                vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
-                float snoise(vec3 v) { 
-                    const vec2  C = vec2(1.0/6.0, 1.0/3.0) ;
-                    const vec4  D = vec4(0.0, 0.5, 1.0, 2.0);
-                    vec3 i  = floor(v + dot(v, C.yyy) );
-                    vec3 x0 = v - i + dot(i, C.xxx) ;
-                    vec3 g = step(x0.yzx, x0.xyz);
-                    vec3 l = 1.0 - g;
-                    vec3 i1 = min( g.xyz, l.zxy );
-                    vec3 i2 = max( g.xyz, l.zxy );
-                    vec3 x1 = x0 - i1 + C.xxx;
-                    vec3 x2 = x0 - i2 + C.yyy;
-                    vec3 x3 = x0 - D.yyy;
-                    i = mod289(i); 
-                    vec4 p = permute( permute( permute( 
-                                i.z + vec4(0.0, i1.z, i2.z, 1.0 ))
-                            + i.y + vec4(0.0, i1.y, i2.y, 1.0 )) 
-                            + i.x + vec4(0.0, i1.x, i2.x, 1.0 ));
-                    float n_ = 0.142857142857;
-                    vec3  ns = n_ * D.wyz - D.xzx;
-                    vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
-                    vec4 x_ = floor(j * ns.z);
-                    vec4 y_ = floor(j - 7.0 * x_ );
-                    vec4 x = x_ *ns.x + ns.yyyy;
-                    vec4 y = y_ *ns.x + ns.yyyy;
-                    vec4 h = 1.0 - abs(x) - abs(y);
-                    vec4 b0 = vec4( x.xy, y.xy );
-                    vec4 b1 = vec4( x.zw, y.zw );
-                    vec4 s0 = floor(b0)*2.0 + 1.0;
-                    vec4 s1 = floor(b1)*2.0 + 1.0;
-                    vec4 sh = -step(h, vec4(0.0));
-                    vec4 a0 = b0.xzyw + s0.xzyw*sh.xxyy ;
-                    vec4 a1 = b1.xzyw + s1.xzyw*sh.zzww ;
-                    vec3 p0 = vec3(a0.xy,h.x);
-                    vec3 p1 = vec3(a0.zw,h.y);
-                    vec3 p2 = vec3(a1.xy,h.z);
-                    vec3 p3 = vec3(a1.zw,h.w);
-                    vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2, p2), dot(p3,p3)));
-                    p0 *= norm.x;
-                    p1 *= norm.y;
-                    p2 *= norm.z;
-                    p3 *= norm.w;
-                    vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0);
-                    m = m * m;
-                    return 42.0 * dot( m*m, vec4( dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3) ) );
-                }
-                void main() {
-                    vPos = position;
-                    vec3 pos = position;
-                    float noise = snoise(pos * 0.2 + uTime);
-                    float spike = 1.0 + uAudioLow * 0.5 * noise;
-                    pos *= spike;
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform float uAudioLow;
-                varying vec3 vPos;
-                void main() {
-                    vec3 color = vec3(0.1, 0.5, 1.0); 
-                    color += vec3(uAudioLow * 0.8, 0.0, uAudioLow * 0.2); 
-                    float glow = 0.5 + uAudioLow * 0.5;
-                    gl_FragColor = vec4(color, glow);
-                }
-            `
+    const modes = listEffects().map(EffectClass => ({ id: EffectClass.id, label: EffectClass.label || EffectClass.id }));
+
+    playlistTracks.innerHTML = '';
+    playlist.tracks.forEach((track, i) => {
+        const item = document.createElement('li');
+        item.classList.toggle('current', i === playlist.index);
+        item.classList.toggle('failed', track.failed);
+
+        const name = document.createElement('span');
+        name.className = 'track-title';
+        name.textContent = track.name;
+        name.title = track.failed ? 'Could not decode this file' : 'Play';
+        name.addEventListener('click', () => {
+            playlist.playTrack(i).catch(err => console.error("Error playing track:", err));
         });
-        this.core = new THREE.Mesh(geometry, material);
-        this.group.add(this.core);
-    }
 
-    initBlackHoleRing() {
-        const particleCount = 8000;
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(particleCount * 3);
-        const randomness = new Float32Array(particleCount);
+        // Preferred effect for this track
+        const select = document.createElement('select');
+        select.add(new Option('Any effect', ''));
+        modes.forEach(m => select.add(new Option(m.label, m.id)));
+        select.value = track.mode;
+        select.addEventListener('change', () => playlist.setTrackMode(i, select.value));
+
+        const remove = document.createElement('button');
+        remove.className = 'track-remove';
+        remove.textContent = '\u00d7';
+        remove.title = 'Remove';
+        remove.addEventListener('click', () => playlist.remove(i));
+
+        item.append(name, select, remove);
+        playlistTracks.appendChild(item);
+    });
+}
 
-        for (let i = 0; i < particleCount; i++) {
-            const r = 12 + Math.random() * 15; // Larger radius to surround core
-            const theta = Math.random() * Math.PI * 2;
-            const y = (Math.random() - 0.5) * (r * 0.1);
-            positions[i * 3] = r * Math.cos(theta);
-            positions[i * 3 + 1] = y;
-            positions[i * 3 + 2] = r * Math.sin(theta);
-            randomness[i] = Math.random();
-        }
+// Panels on the same side share the space, so opening one closes the others
+function togglePanel(panel) {
+    const left = panel.classList.contains('panel-left');
+    document.querySelectorAll('.panel').forEach(other => {
+        if (other !== panel && other.classList.contains('panel-left') === left) other.classList.add('hidden');
+    });
+    panel.classList.toggle('hidden');
+}
 
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('aRandomness', new THREE.BufferAttribute(randomness, 1));
+// Audio Panel
+audioPanelToggle.addEventListener('click', () => {
+    togglePanel(document.getElementById('audio-panel'));
+});
 
-        const material = new THREE.ShaderMaterial({
-            uniforms: this.uniforms,
-            transparent: true,
-            depthWrite: false,
-            blending: THREE.AdditiveBlending,
-            vertexShader: `
-                uniform float uTime;
-                uniform float uAudioLow;
-                uniform float uAudioMid;
-                uniform float uAudioHigh;
-                attribute float aRandomness;
-                varying vec3 vColor;
-                varying float vAlpha;
-                vec3 hsv2rgb(vec3 c) {
-                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-                }
-                void main() {
-                    vec3 pos = position;
-                    float r = length(pos.xz);
-                    float speed = (20.0 / r) * (1.0 + uAudioLow * 0.5);
-                    float angle = uTime * 0.5 * speed + aRandomness;
-                    float c = cos(angle); float s = sin(angle);
-                    pos = vec3(pos.x * c - pos.z * s, pos.y, pos.x * s + pos.z * c);
-                    vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
-                    gl_Position = projectionMatrix * mvPosition;
-                    gl_PointSize = (3.0 + aRandomness * 3.0) * (100.0 / -mvPosition.z);
-                    float hue = (atan(pos.z, pos.x) / 6.28) - (uTime * 0.2) + (10.0/r);
-                    float sat = 0.9 + uAudioMid * 0.1;
-                    float val = 0.6 + uAudioHigh * 0.4; 
-                    vColor = hsv2rgb(vec3(hue, sat, val));
-                    float alpha = smoothstep(10.0, 12.0, r) * (1.0 - smoothstep(25.0, 30.0, r));
-                    vAlpha = alpha * 0.6; 
-                }
-            `,
-            fragmentShader: `
-                varying vec3 vColor;
-                varying float vAlpha;
-                void main() {
-                    vec2 uv = gl_PointCoord - 0.5;
-                    float dist = length(uv);
-                    float glow = exp(-dist * 4.0);
-                    if (glow < 0.01) discard;
-                    gl_FragColor = vec4(vColor, vAlpha * glow);
-                }
-            `
-        });
+// Input Source
+const inputDevice = document.getElementById('input-device');
 
-        this.diskMesh = new THREE.Points(geometry, material);
-        this.group.add(this.diskMesh);
-    }
+document.querySelectorAll('.source-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+        const source = btn.dataset.source;
+        startAudio(source, source === 'mic' ? { deviceId: inputDevice.value } : {});
+    });
+});
 
-    initAuroraHalo() {
-        // Increased height and segments for smoother flow
-        const geometry = new THREE.CylinderGeometry(70, 70, 60, 128, 32, true);
-        const material = new THREE.ShaderMaterial({
-            uniforms: this.uniforms,
-            side: THREE.DoubleSide,
-            transparent: true,
-            depthWrite: false,
-            blending: THREE.AdditiveBlending,
-            vertexShader: `
-                varying vec2 vUv;
-                varying vec3 vPos;
-                void main() {
-                    vUv = uv;
-                    vPos = position;
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform float uTime;
-                uniform float uAudioLow;
-                varying vec2 vUv;
-                varying vec3 vPos;
+inputDevice.addEventListener('change', () => {
+    if (currentSourceType === 'mic') startAudio('mic', { deviceId: inputDevice.value });
+});
 
-                // Simplex Noise
-                vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-                vec2 mod289(vec2 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-                vec3 permute(vec3 x) { return mod289(((x*34.0)+1.0)*x); }
-                float snoise(vec2 v) {
-                    const vec4 C = vec4(0.211324865405187, 0.366025403784439, -0.577350269189626, 0.024390243902439);
-                    vec2 i  = floor(v + dot(v, C.yy) );
-                    vec2 x0 = v - i + dot(i, C.xx);
-                    vec2 i1;
-                    i1 = (x0.x > x0.y) ? vec2(1.0, 0.0) : vec2(0.0, 1.0);
-                    vec4 x12 = x0.xyxy + C.xxzz;
-                    x12.xy -= i1;
-                    i = mod289(i);
-                    vec3 p = permute( permute( i.y + vec3(0.0, i1.y, 1.0 )) + i.x + vec3(0.0, i1.x, 1.0 ));
-                    vec3 m = max(0.5 - vec3(dot(x12.xy,x12.xy), dot(x12.zw,x12.zw), dot(x12.zw,x12.zw)), 0.0); // Fixed vec3 m calculation
-                    m = m*m ;
-                    m = m*m ;
-                    vec3 x = 2.0 * fract(p * C.www) - 1.0;
-                    vec3 h = abs(x) - 0.5;
-                    vec3 ox = floor(x + 0.5);
-                    vec3 a0 = x - ox;
-                    m *= 1.79284291400159 - 0.85373472095314 * ( a0*a0 + h*h );
-                    vec3 g;
-                    g.x  = a0.x  * x12.x  + h.x  * x12.y;
-                    g.yz = a0.yz * x12.zw + h.yz * x12.w;
-                    return 130.0 * dot(m, g);
-                }
+// Demo Synth
+const demoPattern = document.getElementById('demo-pattern');
+Object.entries(DEMO_PATTERNS).forEach(([id, pattern]) => demoPattern.add(new Option(pattern.label, id)));
+demoPattern.value = CONFIG.demoPattern;
+demoPattern.addEventListener('change', () => {
+    CONFIG.demoPattern = demoPattern.value;
+    if (demoSynth) demoSynth.setPattern(demoPattern.value);
+});
 
-                // Domain Warping for Liquid Silk
-                float fbm(vec2 p) {
-                    float f = 0.0;
-                    float w = 0.5;
-                    for(int i=0; i<3; i++) {
-                        f += w * snoise(p);
-                        p *= 2.0;
-                        w *= 0.5;
-                    }
-                    return f;
-                }
+const demoMuted = document.getElementById('demo-muted');
+demoMuted.checked = CONFIG.demoMuted;
+demoMuted.addEventListener('change', () => {
+    CONFIG.demoMuted = demoMuted.checked;
+    if (demoSynth) demoSynth.setMuted(demoMuted.checked);
+});
+
+function updateSourceUI() {
+    document.querySelectorAll('.source-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.source === currentSourceType);
+    });
+    document.getElementById('player-controls').classList.toggle('hidden', currentSourceType !== 'file');
+}
+
+async function refreshInputDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+    const devices = (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'audioinput');
+    const selected = inputDevice.value;
+
+    inputDevice.innerHTML = '';
+    inputDevice.add(new Option('Default microphone', ''));
+    devices.forEach((device, i) => {
+        if (device.deviceId === 'default' || !device.deviceId) return;
+        inputDevice.add(new Option(device.label || 'Microphone ' + (i + 1), device.deviceId));
+    });
+    inputDevice.value = devices.some(d => d.deviceId === selected) ? selected : '';
+}
+
+if (navigator.mediaDevices) {
+    navigator.mediaDevices.addEventListener('devicechange', refreshInputDevices);
+    refreshInputDevices();
+}
+
+const agcEnabled = document.getElementById('agc-enabled');
+agcEnabled.checked = CONFIG.agcEnabled;
+agcEnabled.addEventListener('change', () => { CONFIG.agcEnabled = agcEnabled.checked; });
+
+[['agc-attack', 'agcAttack'], ['agc-release', 'agcRelease']].forEach(([id, key]) => {
+    const input = document.getElementById(id);
+    const label = input.nextElementSibling;
+    input.value = CONFIG[key];
+    label.textContent = CONFIG[key] + 's';
+    input.addEventListener('input', () => {
+        CONFIG[key] = parseFloat(input.value);
+        label.textContent = CONFIG[key] + 's';
+    });
+});
 
-                void main() {
-                    vec2 p = vUv * vec2(6.0, 2.0); // Scale texture space
-                    
-                    // Domain Warping: Noise distorting Noise
-                    vec2 q = vec2(0.0);
-                    q.x = fbm(p + uTime * 0.05);
-                    q.y = fbm(p + vec2(1.0));
+const agcGain = document.getElementById('agc-gain');
+setInterval(() => {
+    agcGain.textContent = CONFIG.agcEnabled ? 'x' + manager.analyzer.agc.gain.toFixed(1) : '';
+}, 250);
 
-                    vec2 r = vec2(0.0);
-                    r.x = fbm(p + 1.0 * q + vec2(1.7, 9.2) + 0.15 * uTime);
-                    r.y = fbm(p + 1.0 * q + vec2(8.3, 2.8) + 0.126 * uTime);
+// Tempo
+const TEMPO_NUDGE = 0.02; // s per phase nudge
+const tempoBpm = document.getElementById('tempo-bpm');
+const tapButton = document.getElementById('btn-tap');
 
-                    float f = fbm(p + r);
+function tapTempo() {
+    manager.analyzer.tapTempo.tap(manager.time);
+    tapButton.classList.add('active');
+    setTimeout(() => tapButton.classList.remove('active'), 100);
+}
 
-                    // Soft Color Palette
-                    vec3 color1 = vec3(0.1, 0.4, 0.6); // Deep Blue
-                    vec3 color2 = vec3(0.1, 0.8, 0.7); // Cyan
-                    vec3 color3 = vec3(0.6, 0.2, 0.6); // Purple
-                    
-                    vec3 color = mix(color1, color2, clamp((f*f)*4.0, 0.0, 1.0));
-                    color = mix(color, color3, clamp(length(q), 0.0, 1.0));
-                    color = mix(color, vec3(0.9, 0.9, 1.0), clamp(r.x, 0.0, 1.0));
+tapButton.addEventListener('click', tapTempo);
+document.getElementById('btn-accent').addEventListener('click', () => manager.triggerBeat());
+document.getElementById('btn-tempo-clear').addEventListener('click', () => manager.analyzer.tapTempo.clear());
+document.getElementById('btn-nudge-earlier').addEventListener('click', () => manager.analyzer.tapTempo.nudge(-TEMPO_NUDGE));
+document.getElementById('btn-nudge-later').addEventListener('click', () => manager.analyzer.tapTempo.nudge(TEMPO_NUDGE));
+document.getElementById('btn-tempo-down').addEventListener('click', () => manager.analyzer.tapTempo.adjust(-0.5));
+document.getElementById('btn-tempo-up').addEventListener('click', () => manager.analyzer.tapTempo.adjust(0.5));
+
+const tapMode = document.getElementById('tap-mode');
+Object.entries(TAP_MODES).forEach(([id, label]) => tapMode.add(new Option(label, id)));
+tapMode.value = CONFIG.tapTempoMode;
+tapMode.addEventListener('change', () => { CONFIG.tapTempoMode = tapMode.value; });
+
+// Whichever tempo the effects are getting
+setInterval(() => {
+    const tempo = manager.analyzer.tapTempo;
+    const bpm = tempo.overriding ? tempo.bpm : manager.analyzer.beatDetector.bpm;
+    tempoBpm.textContent = bpm > 0 ? bpm.toFixed(1) + ' BPM' + (tempo.overriding ? ' (tapped)' : '') : '-- BPM';
+}, 250);
+
+// Settings Panel
+const settingsPanel = document.getElementById('settings-panel');
+const settingsFft = document.getElementById('settings-fft');
+const settingsBandScale = document.getElementById('settings-band-scale');
+const settingsEffect = document.getElementById('settings-effect');
+const settingsParams = document.getElementById('settings-params');
+
+document.getElementById('btn-settings').addEventListener('click', () => {
+    // Open on whatever is showing
+    if (settingsPanel.classList.contains('hidden') && manager.currentMode) {
+        settingsEffect.value = manager.currentMode;
+        renderEffectParams();
+    }
+    togglePanel(settingsPanel);
+});
 
-                    // Opacity Masking
-                    float alpha = f * f * 1.5; // Enhance contrast
-                    alpha *= (1.0 - abs(vUv.y - 0.5) * 2.0); // Fade edges top/bottom
-                    alpha *= 0.4; // Reduce overall opacity for stars to show through
-                    
-                    // Audio Reactivity
-                    alpha *= (0.8 + uAudioLow * 0.5);
+// A labelled slider (or color picker) for one schema entry
+function createParamInput(spec, value, onChange) {
+    const row = document.createElement('label');
+    row.className = 'slider-row';
+    row.append(spec.label + ' ');
+    const input = document.createElement('input');
+    row.appendChild(input);
+
+    if (spec.type === 'color') {
+        input.type = 'color';
+        input.value = '#' + value.toString(16).padStart(6, '0');
+        input.addEventListener('input', () => onChange(parseInt(input.value.slice(1), 16)));
+        return row;
+    }
 
-                    gl_FragColor = vec4(color, alpha);
-                }
-            `
-        });
-        this.auroraMesh = new THREE.Mesh(geometry, material);
-        this.group.add(this.auroraMesh);
+    const readout = document.createElement('span');
+    row.appendChild(readout);
+    const decimals = (String(spec.step).split('.')[1] || '').length;
+    input.type = 'range';
+    input.min = spec.min;
+    input.max = spec.max;
+    input.step = spec.step;
+    input.value = value;
+    readout.textContent = value.toFixed(decimals);
+    input.addEventListener('input', () => {
+        const newValue = parseFloat(input.value);
+        readout.textContent = newValue.toFixed(decimals);
+        onChange(newValue);
+    });
+    return row;
+}
+
+// Live analysers take the new size and smoothing straight away; after a size
+// change the analyzer is pointed at them again so its buffers match
+function applyAnalyserSettings() {
+    [analyser, analyserLeft, analyserRight].forEach(node => {
+        if (!node) return;
+        node.fftSize = CONFIG.fftSize;
+        node.smoothingTimeConstant = CONFIG.smoothingTimeConstant;
+    });
+    const analyzer = manager.analyzer;
+    if (analyzer.active && analyzer.channels.mix.spectrum.length !== analyser.frequencyBinCount) {
+        analyzer.setSource(analyser, analyserLeft, analyserRight);
     }
+}
 
-    initWarpGrid() {
-        const gridGeo = new THREE.PlaneGeometry(300, 300, 60, 60); // More segments
-        const gridMat = new THREE.ShaderMaterial({
-            uniforms: this.uniforms,
-            wireframe: true,
-            transparent: true,
-            vertexShader: `
-                uniform float uTime;
-                uniform float uAudioHigh;
-                uniform float uAudioMid;
-                varying float vHeight;
-                varying vec2 vUv;
-                
-                void main() {
-                    vUv = uv;
-                    vec3 pos = position;
-                    
-                    // Liquid Wave Effect
-                    float d = length(pos.xy);
-                    float wave1 = sin(d * 0.1 - uTime * 2.0);
-                    float wave2 = cos(pos.x * 0.1 + uTime);
-                    float wave3 = sin(pos.y * 0.1 + uTime * 1.5);
-                    
-                    float z = (wave1 + wave2 + wave3) * (2.0 + uAudioMid * 5.0 + uAudioHigh * 5.0);
-                    pos.z = z;
-                    vHeight = z;
+function renderSettings() {
+    settingsFft.value = CONFIG.fftSize;
+    settingsBandScale.value = CONFIG.bandScale;
+    [
+        ['settings-analysis', ANALYSIS_SETTINGS, applyAnalyserSettings],
+        ['settings-bloom', BLOOM_SETTINGS, () => manager.applyBloom()]
+    ].forEach(([id, settings, apply]) => {
+        document.getElementById(id).replaceChildren(...Object.entries(settings).map(([key, spec]) =>
+            createParamInput(spec, CONFIG[key], (value) => {
+                CONFIG[key] = value;
+                apply();
+            })
+        ));
+    });
+}
 
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform float uTime;
-                uniform float uAudioMid;
-                uniform float uAudioHigh;
-                varying float vHeight;
-                varying vec2 vUv;
+FFT_SIZES.forEach(size => settingsFft.add(new Option(size, size)));
+settingsFft.addEventListener('change', () => {
+    CONFIG.fftSize = parseInt(settingsFft.value, 10);
+    applyAnalyserSettings();
+});
 
-                vec3 hsv2rgb(vec3 c) {
-                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-                }
+// Bands are re-laid out on the next frame, see BandAnalyzer.configure()
+Object.entries(FREQUENCY_SCALES).forEach(([id, scale]) => settingsBandScale.add(new Option(scale.label, id)));
+settingsBandScale.addEventListener('change', () => {
+    CONFIG.bandScale = settingsBandScale.value;
+});
 
-                void main() {
-                    float alpha = 1.0 - smoothstep(0.0, 120.0, length(gl_FragCoord.xy - vec2(0.5))); 
-                    
-                    // Melody-based Color Shift
-                    float hue = 0.8 + uAudioMid * 0.5 + vUv.x * 0.2 + sin(uTime) * 0.1;
-                    vec3 color = hsv2rgb(vec3(hue, 0.8, 1.0));
-                    
-                    // Highlight peaks
-                    color += vec3(vHeight * 0.05);
+document.getElementById('btn-settings-reset').addEventListener('click', () => {
+    ['fftSize', 'bandScale', ...Object.keys(ANALYSIS_SETTINGS), ...Object.keys(BLOOM_SETTINGS)].forEach(key => {
+        CONFIG[key] = CONFIG_DEFAULTS[key];
+    });
+    applyAnalyserSettings();
+    manager.applyBloom();
+    renderSettings();
+    scheduleUrlSync();
+});
 
-                    gl_FragColor = vec4(color, 0.3 + uAudioHigh * 0.2);
-                }
-            `
-        });
+renderSettings();
 
-        this.floorGrid = new THREE.Mesh(gridGeo, gridMat);
-        this.floorGrid.rotation.x = -Math.PI / 2;
-        this.floorGrid.position.y = -30;
-        this.group.add(this.floorGrid);
+// Effects read their params object every frame, so edits show up live
+function renderEffectParams() {
+    const EffectClass = getEffect(settingsEffect.value);
+    settingsParams.replaceChildren();
+    if (!EffectClass) return;
 
-        this.ceilGrid = new THREE.Mesh(gridGeo, gridMat);
-        this.ceilGrid.rotation.x = Math.PI / 2;
-        this.ceilGrid.position.y = 30;
-        this.group.add(this.ceilGrid);
+    const entries = Object.entries(EffectClass.params || {});
+    if (entries.length === 0) {
+        settingsParams.textContent = 'No adjustable parameters';
+        return;
     }
+    const params = manager.getParams(EffectClass.id);
+    entries.forEach(([name, spec]) => {
+        settingsParams.appendChild(createParamInput(spec, params[name], (value) => { params[name] = value; }));
+    });
+}
 
-    initStarfield() {
-        const count = 4000;
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(count * 3);
-        const sizes = new Float32Array(count);
-        const speeds = new Float32Array(count);
+listEffects().forEach(EffectClass => settingsEffect.add(new Option(EffectClass.label || EffectClass.id, EffectClass.id)));
+onEffectRegistered(EffectClass => settingsEffect.add(new Option(EffectClass.label || EffectClass.id, EffectClass.id)));
+settingsEffect.addEventListener('change', renderEffectParams);
+
+document.getElementById('btn-effect-reset').addEventListener('click', () => {
+    const EffectClass = getEffect(settingsEffect.value);
+    if (!EffectClass) return;
+    // Assign into the existing object: running effects hold a reference to it
+    Object.assign(manager.getParams(EffectClass.id), defaultParams(EffectClass));
+    renderEffectParams();
+    scheduleUrlSync();
+});
 
-        for (let i = 0; i < count; i++) {
-            const r = 300 + Math.random() * 300;
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
-            positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
-            positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
-            positions[i * 3 + 2] = r * Math.cos(phi);
-            sizes[i] = Math.random();
-            speeds[i] = Math.random();
-        }
+renderEffectParams();
+
+// Presets
+const presetStore = new PresetStore(window.localStorage);
+const presetSelect = document.getElementById('preset-select');
+const presetName = document.getElementById('preset-name');
+const presetFileInput = document.getElementById('preset-file-input');
+let activePreset = null; // Last loaded or saved; shared links are relative to it
+
+// CONFIG-backed controls outside this panel. After a preset load each one is
+// set from CONFIG and fires its own handler, which redraws its readout and
+// applies whatever the value drives (quality tier, demo pattern...).
+const CONFIG_CONTROLS = [
+    ['transition-type', 'transitionType'],
+    ['quality-select', 'quality'],
+    ['demo-pattern', 'demoPattern'],
+    ['demo-muted', 'demoMuted'],
+    ['tap-mode', 'tapTempoMode'],
+    ['agc-enabled', 'agcEnabled'],
+    ['agc-attack', 'agcAttack'],
+    ['agc-release', 'agcRelease'],
+    ['autopilot-bars', 'autoPilotBars'],
+    ['autopilot-drops', 'autoPilotDrops'],
+    ['autopilot-dwell', 'autoPilotMinDwell']
+];
+
+function refreshControls() {
+    CONFIG_CONTROLS.forEach(([id, key]) => {
+        const input = document.getElementById(id);
+        if (input.type === 'checkbox') input.checked = CONFIG[key];
+        else input.value = CONFIG[key];
+        input.dispatchEvent(new Event(input.type === 'range' ? 'input' : 'change'));
+    });
+    renderSettings();
+    renderEffectParams();
+    renderMidiMappings();
+}
 
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('aScale', new THREE.BufferAttribute(sizes, 1));
-        geometry.setAttribute('aSpeed', new THREE.BufferAttribute(speeds, 1));
+function renderPresets(selected) {
+    presetSelect.innerHTML = '';
+    presetStore.names().forEach(name => presetSelect.add(new Option(name, name)));
+    if (selected) presetSelect.value = selected;
+}
 
-        const material = new THREE.ShaderMaterial({
-            uniforms: this.uniforms,
-            transparent: true,
-            vertexShader: `
-                uniform float uTime;
-                attribute float aScale;
-                attribute float aSpeed;
-                void main() {
-                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-                    gl_Position = projectionMatrix * mvPosition;
-                    float twinkle = 1.0 + sin(uTime * (1.0 + aSpeed * 3.0) + position.x) * 0.5;
-                    gl_PointSize = aScale * (400.0 / -mvPosition.z) * twinkle;
-                }
-            `,
-            fragmentShader: `
-                void main() {
-                    vec2 uv = gl_PointCoord - 0.5;
-                    float dist = length(uv);
-                    if(dist > 0.5) discard;
-                    float alpha = 1.0 - smoothstep(0.3, 0.5, dist);
-                    gl_FragColor = vec4(1.0, 1.0, 1.0, alpha);
-                }
-            `
-        });
-        this.starMesh = new THREE.Points(geometry, material);
-        this.group.add(this.starMesh);
+// active: the saved preset this look counts as (links pass their base)
+function loadPreset(preset, active = preset) {
+    applyPreset(manager, preset);
+    applyAnalyserSettings();
+    settingsEffect.value = manager.currentMode;
+    refreshControls();
+    activePreset = active;
+    presetName.value = active ? active.name : '';
+    scheduleUrlSync();
+}
+
+function savePreset(preset) {
+    try {
+        presetStore.save(preset);
+    } catch (err) {
+        console.error("Error saving preset:", err);
+        alert("Could not save preset: " + err.message);
+        return;
     }
+    activePreset = preset;
+    renderPresets(preset.name);
+    scheduleUrlSync();
+}
 
-    initShootingStars() {
-        this.shootingStars = [];
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(6);
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+document.getElementById('btn-preset-load').addEventListener('click', () => {
+    const preset = presetStore.get(presetSelect.value);
+    if (preset) loadPreset(preset);
+});
 
-        this.shootingStarMaterial = new THREE.LineBasicMaterial({
-            color: 0xaaddff,
-            transparent: true,
-            opacity: 0.8,
-            blending: THREE.AdditiveBlending
-        });
+document.getElementById('btn-preset-save').addEventListener('click', () => {
+    const name = presetName.value.trim() || presetSelect.value;
+    if (!name) {
+        presetName.focus();
+        return;
+    }
+    savePreset(createPreset(manager, name));
+});
 
-        for (let i = 0; i < 10; i++) {
-            const star = new THREE.Line(geometry.clone(), this.shootingStarMaterial);
-            star.visible = false;
-            this.group.add(star);
-            this.shootingStars.push({
-                mesh: star,
-                active: false,
-                progress: 0,
-                speed: 0,
-                startPos: new THREE.Vector3(),
-                endPos: new THREE.Vector3()
-            });
+document.getElementById('btn-preset-delete').addEventListener('click', () => {
+    const name = presetSelect.value;
+    if (!name || !confirm(`Delete preset "${name}"?`)) return;
+    try {
+        presetStore.remove(name);
+        if (activePreset && activePreset.name === name) {
+            activePreset = null;
+            scheduleUrlSync();
         }
+    } catch (err) {
+        console.error("Error deleting preset:", err);
     }
+    renderPresets();
+});
 
-    spawnShootingStar() {
-        const star = this.shootingStars.find(s => !s.active);
-        if (!star) return;
+// Exports the current look, saved or not
+document.getElementById('btn-preset-export').addEventListener('click', () => {
+    const name = presetName.value.trim() || presetSelect.value || 'preset';
+    const blob = new Blob([JSON.stringify(createPreset(manager, name), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = name.replace(/[^\w-]+/g, '_') + '.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+});
 
-        star.active = true;
-        star.mesh.visible = true;
-        star.progress = 0;
-        star.speed = 0.005 + Math.random() * 0.01;
+document.getElementById('btn-preset-import').addEventListener('click', () => presetFileInput.click());
+presetFileInput.addEventListener('change', async () => {
+    const file = presetFileInput.files[0];
+    presetFileInput.value = ''; // Same file can be picked again
+    if (!file) return;
 
-        const r = 200;
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
-        star.startPos.set(
-            r * Math.sin(phi) * Math.cos(theta),
-            r * Math.sin(phi) * Math.sin(theta),
-            r * Math.cos(phi)
-        );
+    let preset;
+    try {
+        preset = parsePreset(await file.text());
+    } catch (err) {
+        alert(`Could not import ${file.name}: ${err.message}`);
+        return;
+    }
+    savePreset(preset);
+    loadPreset(preset);
+});
 
-        star.endPos.copy(star.startPos).add(new THREE.Vector3(
-            (Math.random() - 0.5) * 200,
-            (Math.random() - 0.5) * 200,
-            (Math.random() - 0.5) * 200
-        ));
+renderPresets();
+
+// Auto Pilot Panel
+const autoPilotToggle = document.getElementById('btn-autopilot');
+autoPilotToggle.addEventListener('click', () => {
+    togglePanel(document.getElementById('autopilot-panel'));
+});
+
+const autoPilotEnabled = document.getElementById('autopilot-enabled');
+autoPilotEnabled.addEventListener('change', () => {
+    manager.autoPilot.enabled = autoPilotEnabled.checked;
+    manager.autoPilot.noteSwitch(manager.time); // Full dwell before the first switch
+    autoPilotToggle.classList.toggle('active', autoPilotEnabled.checked);
+});
+
+const autoPilotBars = document.getElementById('autopilot-bars');
+autoPilotBars.value = CONFIG.autoPilotBars;
+autoPilotBars.addEventListener('change', () => { CONFIG.autoPilotBars = parseInt(autoPilotBars.value, 10); });
+
+const autoPilotDrops = document.getElementById('autopilot-drops');
+autoPilotDrops.checked = CONFIG.autoPilotDrops;
+autoPilotDrops.addEventListener('change', () => { CONFIG.autoPilotDrops = autoPilotDrops.checked; });
+
+const autoPilotDwell = document.getElementById('autopilot-dwell');
+autoPilotDwell.value = CONFIG.autoPilotMinDwell;
+autoPilotDwell.nextElementSibling.textContent = CONFIG.autoPilotMinDwell + 's';
+autoPilotDwell.addEventListener('input', () => {
+    CONFIG.autoPilotMinDwell = parseFloat(autoPilotDwell.value);
+    autoPilotDwell.nextElementSibling.textContent = CONFIG.autoPilotMinDwell + 's';
+});
+
+// One checkbox per registered effect, plugins included
+const autoPilotEffects = document.getElementById('autopilot-effects');
+function addAutoPilotEffect(EffectClass) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !manager.autoPilot.excluded.has(EffectClass.id);
+    checkbox.addEventListener('change', () => {
+        if (checkbox.checked) manager.autoPilot.excluded.delete(EffectClass.id);
+        else manager.autoPilot.excluded.add(EffectClass.id);
+    });
+    label.append(checkbox, ' ' + (EffectClass.label || EffectClass.id));
+    autoPilotEffects.appendChild(label);
+}
+listEffects().forEach(addAutoPilotEffect);
+onEffectRegistered(addAutoPilotEffect);
+
+// Layers Panel
+const layerEffect = document.getElementById('layer-effect');
+const layerList = document.getElementById('layer-list');
+
+document.getElementById('btn-layers').addEventListener('click', () => {
+    togglePanel(document.getElementById('layers-panel'));
+});
+
+listEffects().forEach(EffectClass => layerEffect.add(new Option(EffectClass.label || EffectClass.id, EffectClass.id)));
+onEffectRegistered(EffectClass => layerEffect.add(new Option(EffectClass.label || EffectClass.id, EffectClass.id)));
+
+document.getElementById('btn-add-layer').addEventListener('click', () => {
+    try {
+        manager.addLayer(layerEffect.value);
+    } catch (err) {
+        console.error("Error creating layer:", err);
+    }
+    renderLayers();
+});
+
+function renderLayers() {
+    layerList.innerHTML = '';
+    manager.layers.forEach(layer => {
+        const item = document.createElement('li');
+
+        const header = document.createElement('div');
+        header.className = 'panel-row';
+        const name = document.createElement('span');
+        name.className = 'track-title';
+        name.textContent = getEffect(layer.slot.mode).label || layer.slot.mode;
+
+        const remove = document.createElement('button');
+        remove.className = 'track-remove';
+        remove.textContent = '\u00d7';
+        remove.title = 'Remove';
+        remove.addEventListener('click', () => {
+            manager.removeLayer(layer);
+            renderLayers();
+        });
+        header.append(name, remove);
+
+        const settings = document.createElement('div');
+        settings.className = 'panel-row';
+
+        const opacity = document.createElement('input');
+        opacity.type = 'range';
+        opacity.min = 0;
+        opacity.max = 1;
+        opacity.step = 0.05;
+        opacity.value = layer.opacity;
+        opacity.title = 'Opacity';
+        opacity.addEventListener('input', () => { layer.opacity = parseFloat(opacity.value); });
+
+        const blend = document.createElement('select');
+        blend.title = 'Blend mode';
+        Object.entries(LAYER_BLENDS).forEach(([id, label]) => blend.add(new Option(label, id)));
+        blend.value = layer.blend;
+        blend.addEventListener('change', () => { layer.blend = blend.value; });
+
+        const route = document.createElement('select');
+        route.title = 'Driven by';
+        Object.entries(LAYER_ROUTES).forEach(([id, r]) => route.add(new Option(r.label, id)));
+        route.value = layer.route;
+        route.addEventListener('change', () => { layer.route = route.value; });
+
+        settings.append(opacity, blend, route);
+        item.append(header, settings);
+        layerList.appendChild(item);
+    });
+}
+
+// Quality
+const qualitySelect = document.getElementById('quality-select');
+qualitySelect.add(new Option('Auto Quality', 'auto'));
+Object.entries(QUALITY_TIERS).forEach(([id, tier]) => qualitySelect.add(new Option(tier.label, id)));
+qualitySelect.value = CONFIG.quality;
+qualitySelect.addEventListener('change', () => {
+    CONFIG.quality = qualitySelect.value;
+    manager.applyQuality();
+});
+
+const stats = document.getElementById('stats');
+const statsToggle = document.getElementById('btn-stats');
+statsToggle.addEventListener('click', () => {
+    stats.classList.toggle('hidden');
+    statsToggle.classList.toggle('active', !stats.classList.contains('hidden'));
+});
+
+setInterval(() => {
+    if (stats.classList.contains('hidden')) return;
+    const info = manager.renderer.info.render;
+    const tier = QUALITY_TIERS[manager.quality.tierFor(manager.currentMode)];
+    stats.textContent = [
+        manager.quality.fps.toFixed(0) + ' fps',
+        (manager.quality.frameTime * 1000).toFixed(1) + ' ms',
+        info.calls + ' draw calls',
+        (info.triangles / 1000).toFixed(1) + 'k triangles',
+        tier.label + (CONFIG.quality === 'auto' ? ' (auto)' : '')
+    ].join('\n');
+}, 500);
+
+// Recording
+const videoRecorder = new Recorder(document.getElementById('canvas'));
+const btnRecord = document.getElementById('btn-record');
+const recordTime = document.getElementById('record-time');
+const recordDownload = document.getElementById('record-download');
+
+btnRecord.addEventListener('click', async () => {
+    if (videoRecorder.recording) {
+        btnRecord.classList.remove('active');
+        btnRecord.textContent = 'Record';
+        recordTime.textContent = '';
+
+        const blob = await videoRecorder.stop();
+        if (recordDownload.href) URL.revokeObjectURL(recordDownload.href);
+        recordDownload.href = URL.createObjectURL(blob);
+        recordDownload.download = 'audio-cloud-' + new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-') + '.webm';
+        recordDownload.classList.remove('hidden');
+        return;
+    }
+
+    try {
+        videoRecorder.start();
+    } catch (err) {
+        console.error("Error starting recording:", err);
+        alert("Could not start recording: " + err.message);
+        return;
+    }
+    btnRecord.classList.add('active');
+    btnRecord.textContent = 'Stop';
+    recordDownload.classList.add('hidden');
+});
+
+setInterval(() => {
+    if (videoRecorder.recording) recordTime.textContent = '\u25cf ' + formatTime(videoRecorder.elapsed);
+}, 250);
+
+// Offline render
+const offlineRenderer = new OfflineRenderer(manager);
+const renderFileInput = document.getElementById('render-file-input');
+const renderFileName = document.getElementById('render-file-name');
+const renderStart = document.getElementById('btn-render-start');
+const renderProgress = document.getElementById('render-progress');
+const renderDownload = document.getElementById('render-download');
+let renderFile = null;
+
+document.getElementById('btn-render').addEventListener('click', () => {
+    togglePanel(document.getElementById('render-panel'));
+});
+
+document.getElementById('btn-render-file').addEventListener('click', () => renderFileInput.click());
+renderFileInput.addEventListener('change', () => {
+    renderFile = renderFileInput.files[0] || null;
+    renderFileName.textContent = renderFile ? renderFile.name : 'No file chosen';
+    renderStart.disabled = !renderFile;
+});
+
+renderStart.addEventListener('click', async () => {
+    if (offlineRenderer.rendering) {
+        offlineRenderer.cancel();
+        return;
     }
 
-    updateShootingStars() {
-        if (Math.random() < 0.03) this.spawnShootingStar();
+    const [width, height] = document.getElementById('render-size').value.split('x').map(Number);
+    const fps = Number(document.getElementById('render-fps').value);
+    const format = document.getElementById('render-format').value;
 
-        this.shootingStars.forEach(star => {
-            if (!star.active) return;
-            star.progress += star.speed;
-            if (star.progress >= 1) {
-                star.active = false;
-                star.mesh.visible = false;
-                return;
-            }
-            const currentPos = new THREE.Vector3().lerpVectors(star.startPos, star.endPos, star.progress);
-            const tailPos = new THREE.Vector3().lerpVectors(star.startPos, star.endPos, Math.max(0, star.progress - 0.1));
-            const positions = star.mesh.geometry.attributes.position.array;
-            positions[0] = currentPos.x; positions[1] = currentPos.y; positions[2] = currentPos.z;
-            positions[3] = tailPos.x; positions[4] = tailPos.y; positions[5] = tailPos.z;
-            star.mesh.geometry.attributes.position.needsUpdate = true;
-            star.mesh.material.opacity = 1.0 - star.progress;
+    renderStart.textContent = 'Cancel';
+    renderDownload.classList.add('hidden');
+    try {
+        const blob = await offlineRenderer.render(renderFile, { width, height, fps, format }, (stage, fraction) => {
+            renderProgress.textContent = stage + ' ' + Math.floor(fraction * 100) + '%';
         });
+        if (blob) {
+            const base = renderFile.name.replace(/\.[^.]*$/, '');
+            if (renderDownload.href) URL.revokeObjectURL(renderDownload.href);
+            renderDownload.href = URL.createObjectURL(blob);
+            renderDownload.download = `${base}-${width}x${height}-${fps}fps.${format === 'png' ? 'zip' : 'webm'}`;
+            renderDownload.classList.remove('hidden');
+            renderProgress.textContent = 'Done';
+        } else {
+            renderProgress.textContent = 'Cancelled';
+        }
+    } catch (err) {
+        console.error("Offline render failed:", err);
+        alert("Offline render failed: " + err.message);
+        renderProgress.textContent = '';
     }
+    renderStart.textContent = 'Start';
+});
 
-    spawnFirework() {
-        const particleCount = 50;
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(particleCount * 3);
-        const velocities = [];
+// URL State
+const URL_SYNC_DELAY = 300; // ms
+let urlHash = '';
+let urlSyncTimer = null;
 
-        const startPos = new THREE.Vector3(
-            (Math.random() - 0.5) * 100,
-            (Math.random() - 0.5) * 50,
-            (Math.random() - 0.5) * 100
-        );
+// startSource: also start the linked source (page load only, not hash edits)
+function applyUrlState(text, startSource) {
+    const state = readUrlState(text);
+    if (!state) return;
 
-        for (let i = 0; i < particleCount; i++) {
-            positions[i * 3] = startPos.x;
-            positions[i * 3 + 1] = startPos.y;
-            positions[i * 3 + 2] = startPos.z;
-            velocities.push(new THREE.Vector3(
-                (Math.random() - 0.5) * 2,
-                (Math.random() - 0.5) * 2,
-                (Math.random() - 0.5) * 2
-            ));
-        }
+    const base = state.preset ? presetStore.get(state.preset) : null;
+    if (state.preset && !base) console.warn(`Preset "${state.preset}" is not saved in this browser, using defaults`);
+    loadPreset(presetFromUrlState(state, base), base);
 
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        const material = new THREE.PointsMaterial({
-            color: new THREE.Color().setHSL(Math.random(), 1.0, 0.5),
-            size: 0.5,
-            transparent: true,
-            blending: THREE.AdditiveBlending
-        });
+    if (startSource && state.source) startLinkedSource(state.source);
+}
 
-        const points = new THREE.Points(geometry, material);
-        this.group.add(points);
+// Skips the overlay. Demo audio starts as soon as the browser lets it: right
+// away where autoplay is allowed, otherwise on the first click or key press.
+// Files can't travel in a link, so file mode opens the playlist to add some.
+function startLinkedSource(source) {
+    document.getElementById('overlay').classList.add('hidden');
+    document.getElementById('controls').classList.remove('hidden');
 
-        this.fireworks.push({ mesh: points, velocities: velocities, life: 1.0 });
+    if (source === 'file') {
+        togglePanel(playlistPanel);
+        return;
     }
-
-    updateFireworks() {
-        for (let i = this.fireworks.length - 1; i >= 0; i--) {
-            const fw = this.fireworks[i];
-            fw.life -= 0.02;
-            if (fw.life <= 0) {
-                this.group.remove(fw.mesh);
-                fw.mesh.geometry.dispose();
-                fw.mesh.material.dispose();
-                this.fireworks.splice(i, 1);
-                continue;
-            }
-
-            const positions = fw.mesh.geometry.attributes.position.array;
-            for (let j = 0; j < fw.velocities.length; j++) {
-                positions[j * 3] += fw.velocities[j].x;
-                positions[j * 3 + 1] += fw.velocities[j].y;
-                positions[j * 3 + 2] += fw.velocities[j].z;
-            }
-            fw.mesh.geometry.attributes.position.needsUpdate = true;
-            fw.mesh.material.opacity = fw.life;
-        }
+    if (source !== 'demo') return;
+
+    ensureAudioContext();
+    let started = false;
+    const start = () => {
+        if (started) return;
+        started = true;
+        window.removeEventListener('pointerdown', start);
+        window.removeEventListener('keydown', start);
+        if (!currentSourceType) startAudio('demo');
+    };
+    if (audioContext.state === 'running') {
+        start();
+        return;
     }
+    audioContext.addEventListener('statechange', () => {
+        if (audioContext.state === 'running') start();
+    });
+    window.addEventListener('pointerdown', start);
+    window.addEventListener('keydown', start);
+}
 
-    update(time, audioData, mouse, isDragging) {
-        this.uniforms.uTime.value = time;
-        // Smoother Lerp
-        this.uniforms.uAudioLow.value = THREE.MathUtils.lerp(this.uniforms.uAudioLow.value, audioData.low, 0.15);
-        this.uniforms.uAudioMid.value = THREE.MathUtils.lerp(this.uniforms.uAudioMid.value, audioData.mid, 0.15);
-        this.uniforms.uAudioHigh.value = THREE.MathUtils.lerp(this.uniforms.uAudioHigh.value, audioData.high, 0.15);
+// replaceState keeps edits out of the history and doesn't fire hashchange
+function syncUrlState() {
+    clearTimeout(urlSyncTimer);
+    urlSyncTimer = null;
+    if (!manager.currentMode) return;
+    const hash = '#' + writeUrlState(manager, activePreset, currentSourceType);
+    if (hash === urlHash) return;
+    urlHash = hash;
+    history.replaceState(null, '', location.pathname + hash);
+}
 
-        // Core Rotation
-        this.core.rotation.y += 0.01 + audioData.low * 0.05;
-        this.core.rotation.z += 0.01 + audioData.low * 0.05;
+// Called after anything that ends up in the link; a burst of changes (a
+// knob turned, a mode switch with its settings) writes the URL once
+function scheduleUrlSync() {
+    clearTimeout(urlSyncTimer);
+    urlSyncTimer = setTimeout(syncUrlState, URL_SYNC_DELAY);
+}
 
-        // Mouse Interaction
-        if (isDragging) {
-            this.group.rotation.y += mouse.x * 0.02;
-            this.group.rotation.x += mouse.y * 0.02;
-        }
+manager.onModeChange = scheduleUrlSync;
+// Every panel control edits CONFIG or effect params, and sliders fire
+// 'change' once they are let go
+document.addEventListener('change', scheduleUrlSync);
 
-        // Update Shooting Stars
-        this.updateShootingStars();
+// A link pasted over the current one
+window.addEventListener('hashchange', () => applyUrlState(location.hash.slice(1), false));
 
-        // Fireworks on Bass
-        if (audioData.low > 0.7 && Math.random() < 0.1) {
-            this.spawnFirework();
-        }
-        this.updateFireworks();
+// Keyboard Shortcuts
+const shortcuts = document.getElementById('shortcuts');
+const shortcutList = document.getElementById('shortcut-list');
 
-        // Camera Motion
-        this.group.rotation.y = Math.sin(time * 0.05) * 0.2;
+// Arrows step through the controls bar order, wrapping at either end
+function stepMode(direction) {
+    const ids = listEffects().map(EffectClass => EffectClass.id);
+    const index = ids.indexOf(manager.currentMode);
+    manager.switchMode(ids[(index + direction + ids.length) % ids.length]);
+}
 
-        // Slight Grid Rotation
-        this.floorGrid.rotation.z = Math.sin(time * 0.1) * 0.1;
-        this.ceilGrid.rotation.z = Math.cos(time * 0.1) * 0.1;
+function toggleFullscreen() {
+    if (document.fullscreenElement) {
+        document.exitFullscreen();
+    } else {
+        document.documentElement.requestFullscreen().catch(err => console.error("Fullscreen refused:", err));
     }
+}
 
-    dispose() {
-        this.scene.remove(this.group);
-        this.core.geometry.dispose();
-        this.core.material.dispose();
-        this.diskMesh.geometry.dispose();
-        this.diskMesh.material.dispose();
-        this.auroraMesh.geometry.dispose();
-        this.auroraMesh.material.dispose();
-        this.floorGrid.geometry.dispose();
-        this.floorGrid.material.dispose();
-        this.ceilGrid.geometry.dispose();
-        this.ceilGrid.material.dispose();
-        this.starMesh.geometry.dispose();
-        this.starMesh.material.dispose();
-        this.shootingStars.forEach(s => {
-            s.mesh.geometry.dispose();
-            s.mesh.material.dispose();
-        });
-        if (this.shootingStarMaterial) this.shootingStarMaterial.dispose();
-        this.fireworks.forEach(fw => {
-            fw.mesh.geometry.dispose();
-            fw.mesh.material.dispose();
-        });
-    }
+function formatKey(key) {
+    const names = { ' ': 'Space', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+    if (!key) return '—';
+    return names[key] || (key.length === 1 ? key.toUpperCase() : key);
 }
 
-class VisualizerManager {
-    constructor() {
-        this.scene = new THREE.Scene();
-        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 100);
-        this.camera.position.z = 15;
-        this.camera.position.y = 5;
-        this.camera.lookAt(0, 0, 0);
+function renderShortcuts() {
+    shortcutList.innerHTML = '';
+    const effects = listEffects();
+    Object.entries(KEY_ACTIONS).forEach(([action, label]) => {
+        // Effect slots are named after the effect they pick, and only listed if one exists
+        if (action.startsWith('mode')) {
+            const EffectClass = effects[parseInt(action.slice(4), 10) - 1];
+            if (!EffectClass) return;
+            label = EffectClass.label || EffectClass.id;
+        }
 
-        this.renderer = new THREE.WebGLRenderer({
-            canvas: document.getElementById('canvas'),
-            antialias: true,
-            alpha: true
+        const row = shortcutList.insertRow();
+        row.insertCell().textContent = label;
+        const button = document.createElement('button');
+        button.textContent = formatKey(keyBindings[action]);
+        button.addEventListener('click', () => {
+            button.textContent = 'Press a key…';
+            button.classList.add('active');
+            keyboard.captureKey((key) => {
+                if (key) keyboard.bind(action, key);
+                renderShortcuts();
+            });
         });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.renderer.toneMapping = THREE.ReinhardToneMapping;
+        row.insertCell().appendChild(button);
+    });
+}
 
-        // Post Processing
-        const renderScene = new RenderPass(this.scene, this.camera);
-        this.bloomPass = new UnrealBloomPass(
-            new THREE.Vector2(window.innerWidth, window.innerHeight),
-            CONFIG.bloomStrength, CONFIG.bloomRadius, CONFIG.bloomThreshold
-        );
-        this.composer = new EffectComposer(this.renderer);
-        this.composer.addPass(renderScene);
-        this.composer.addPass(this.bloomPass);
+function toggleShortcuts() {
+    shortcuts.classList.toggle('hidden');
+    keyboard.captureKey(null);
+    if (!shortcuts.classList.contains('hidden')) renderShortcuts();
+}
 
-        // Mouse State
-        this.mouse = new THREE.Vector2(0, 0);
-        this.targetMouse = new THREE.Vector2(0, 0);
-        this.isDragging = false;
+// Shared by keyboard shortcuts and MIDI triggers
+function runKeyAction(action) {
+    if (action.startsWith('mode')) {
+        const EffectClass = listEffects()[parseInt(action.slice(4), 10) - 1];
+        if (EffectClass) manager.switchMode(EffectClass.id);
+        return;
+    }
 
-        // Event Listeners for Mouse
-        window.addEventListener('mousemove', (e) => {
-            // Normalize mouse to -1 to 1
-            this.targetMouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-            this.targetMouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
+    switch (action) {
+        case 'previousMode': stepMode(-1); break;
+        case 'nextMode': stepMode(1); break;
+        case 'pause': manager.togglePause(); break;
+        case 'beat': manager.triggerBeat(); break;
+        case 'tap': tapTempo(); break;
+        case 'nudgeEarlier': manager.analyzer.tapTempo.nudge(-TEMPO_NUDGE); break;
+        case 'nudgeLater': manager.analyzer.tapTempo.nudge(TEMPO_NUDGE); break;
+        case 'fullscreen': toggleFullscreen(); break;
+        case 'hideUi': document.body.classList.toggle('ui-hidden'); break;
+        case 'help': toggleShortcuts(); break;
+    }
+}
 
-            if (this.isDragging) {
-                // Direct mapping during drag
-                this.mouse.copy(this.targetMouse);
-            }
-        });
+const keyboard = new KeyboardController(runKeyAction);
 
-        window.addEventListener('mousedown', () => { this.isDragging = true; });
-        window.addEventListener('mouseup', () => { this.isDragging = false; });
+document.getElementById('btn-shortcuts-close').addEventListener('click', toggleShortcuts);
+document.getElementById('btn-shortcuts-reset').addEventListener('click', () => {
+    Object.assign(keyBindings, DEFAULT_KEY_BINDINGS);
+    renderShortcuts();
+});
 
-        // Touch support
-        window.addEventListener('touchmove', (e) => {
-            if (e.touches.length > 0) {
-                this.targetMouse.x = (e.touches[0].clientX / window.innerWidth) * 2 - 1;
-                this.targetMouse.y = -(e.touches[0].clientY / window.innerHeight) * 2 + 1;
-                if (this.isDragging) this.mouse.copy(this.targetMouse);
-            }
-        }, { passive: false });
-        window.addEventListener('touchstart', () => { this.isDragging = true; }, { passive: false });
-        window.addEventListener('touchend', () => { this.isDragging = false; });
+// MIDI
+const midiTarget = document.getElementById('midi-target');
+const midiLearn = document.getElementById('btn-midi-learn');
+const midiMappingList = document.getElementById('midi-mappings');
+const midiStatus = document.getElementById('midi-status');
+let remoteSettingsChanged = false; // MIDI or OSC moved a value: redraw the panels showing it, update the URL
 
-        // Mouse Wheel Zoom
-        window.addEventListener('wheel', (e) => {
-            // Zoom speed
-            const zoomSpeed = 0.05;
-            // Move camera along its local Z axis (forward/backward)
-            // e.deltaY > 0 means scrolling down (zoom out), < 0 means scrolling up (zoom in)
-            const delta = e.deltaY * zoomSpeed;
-            this.camera.translateZ(delta);
-        }, { passive: true });
+document.getElementById('btn-midi').addEventListener('click', () => {
+    togglePanel(document.getElementById('midi-panel'));
+});
 
-        this.currentEffect = null;
-        this.switchMode('cosmic');
+// Everything MIDI can drive. Ranges follow the control's value; targets
+// marked trigger fire when a pad or button is pressed.
+function midiTargets() {
+    const targets = [];
+    Object.entries(ANALYSIS_SETTINGS).forEach(([key, spec]) => {
+        targets.push({ id: 'config.' + key, label: spec.label, group: 'Analysis', spec });
+    });
+    Object.entries(BLOOM_SETTINGS).forEach(([key, spec]) => {
+        targets.push({ id: 'config.' + key, label: 'Bloom ' + spec.label, group: 'Bloom', spec });
+    });
+    targets.push({ id: 'zoom', label: 'Camera Zoom', group: 'View' });
+    targets.push({ id: 'mode', label: 'Effect Select', group: 'View' });
+    listEffects().forEach(EffectClass => {
+        Object.entries(EffectClass.params || {}).forEach(([name, spec]) => {
+            if (spec.type === 'color') return;
+            targets.push({ id: `param.${EffectClass.id}.${name}`, label: spec.label, group: EffectClass.label || EffectClass.id, spec });
+        });
+    });
+    Object.entries(KEY_ACTIONS).forEach(([action, label]) => {
+        targets.push({ id: 'action.' + action, label, group: 'Actions', trigger: true });
+    });
+    return targets;
+}
 
-        window.addEventListener('resize', () => this.onResize());
-        this.animate();
+function applyMidiControl(target, value, triggered) {
+    const [kind, key, name] = target.split('.');
+    switch (kind) {
+        case 'action':
+            if (triggered) runKeyAction(key);
+            break;
+        case 'zoom':
+            manager.setZoom(Math.pow(2, value * 2 - 1)); // 0.5x - 2x, centre knob = 1x
+            break;
+        case 'mode': {
+            const effects = listEffects();
+            const EffectClass = effects[Math.min(Math.floor(value * effects.length), effects.length - 1)];
+            if (EffectClass && EffectClass.id !== manager.currentMode) manager.switchMode(EffectClass.id);
+            break;
+        }
+        case 'config': {
+            const spec = ANALYSIS_SETTINGS[key] || BLOOM_SETTINGS[key];
+            if (!spec) return;
+            CONFIG[key] = scaleToSpec(spec, value);
+            applyAnalyserSettings();
+            manager.applyBloom();
+            remoteSettingsChanged = true;
+            break;
+        }
+        case 'param': {
+            const EffectClass = getEffect(key);
+            const spec = EffectClass && EffectClass.params && EffectClass.params[name];
+            if (!spec) return; // Mapped to a plugin that isn't loaded
+            manager.getParams(key)[name] = scaleToSpec(spec, value);
+            remoteSettingsChanged = true;
+            break;
+        }
     }
+}
 
-    switchMode(mode) {
-        if (this.currentEffect) {
-            try {
-                this.currentEffect.dispose();
-            } catch (err) {
-                console.error("Error disposing effect:", err);
-            }
+const midi = new MidiController(applyMidiControl);
+
+function renderMidiTargets() {
+    const selected = midiTarget.value;
+    midiTarget.innerHTML = '';
+    const groups = {};
+    midiTargets().forEach(target => {
+        if (!groups[target.group]) {
+            groups[target.group] = document.createElement('optgroup');
+            groups[target.group].label = target.group;
+            midiTarget.appendChild(groups[target.group]);
         }
+        groups[target.group].appendChild(new Option(target.label, target.id));
+    });
+    if (selected) midiTarget.value = selected;
+}
 
-        // Reset camera
-        this.camera.position.set(0, 5, 15);
-        this.camera.lookAt(0, 0, 0);
-        this.scene.fog = null;
+function formatMidiControl(control) {
+    const [type, channel, number] = control.split(':');
+    return (type === 'cc' ? 'CC ' : 'Note ') + number + ' ch' + channel;
+}
 
-        switch (mode) {
-            case 'cosmic':
-                this.scene.fog = new THREE.FogExp2(0x000000, 0.02);
-                this.currentEffect = new CosmicEffect(this.scene);
-                break;
-            case 'wave':
-                this.camera.position.set(0, 5, 30); // Lower and further back for Synthwave look
-                this.camera.lookAt(0, 5, -50); // Look towards the sun
-                this.currentEffect = new WaveEffect(this.scene);
-                break;
-            case 'light':
-                this.currentEffect = new LightShowEffect(this.scene);
-                break;
-            case 'fireworks':
-                this.camera.position.set(0, 5, 40);
-                this.camera.lookAt(0, 10, 0);
-                this.currentEffect = new FireworksEffect(this.scene);
-                break;
-            case 'lightning':
-                this.camera.position.set(0, 5, 30);
-                this.camera.lookAt(0, 10, 0);
-                this.currentEffect = new LightningStormEffect(this.scene);
-                break;
-            case 'reactor':
-                this.camera.position.set(0, 0, 40);
-                this.camera.lookAt(0, 0, 0);
-                this.currentEffect = new AudioReactorEffect(this.scene);
-                break;
-            case 'multiverse':
-                this.camera.position.set(0, 0, 50);
-                this.camera.lookAt(0, 0, 0);
-                this.currentEffect = new MultiverseEffect(this.scene);
-                break;
-            case 'dancer':
-                this.camera.position.set(0, 5, 20);
-                this.camera.lookAt(0, 3, 0);
-                this.currentEffect = new DancerEffect(this.scene);
-                break;
-        }
-    }
+function renderMidiMappings() {
+    const labels = {};
+    midiTargets().forEach(target => { labels[target.id] = target.group + ': ' + target.label; });
+
+    midiMappingList.innerHTML = '';
+    Object.entries(midiMappings).forEach(([control, target]) => {
+        const li = document.createElement('li');
+        const remove = document.createElement('button');
+        remove.className = 'player-btn track-remove';
+        remove.textContent = '×';
+        remove.title = 'Remove mapping';
+        remove.addEventListener('click', () => {
+            delete midiMappings[control];
+            renderMidiMappings();
+        });
+        li.append(formatMidiControl(control) + ' → ' + (labels[target] || target) + ' ', remove);
+        midiMappingList.appendChild(li);
+    });
+}
 
-    onResize() {
-        this.camera.aspect = window.innerWidth / window.innerHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.composer.setSize(window.innerWidth, window.innerHeight);
+function stopLearning() {
+    midi.cancelLearn();
+    midiLearn.classList.remove('active');
+    midiLearn.textContent = 'Learn';
+}
+
+midiLearn.addEventListener('click', () => {
+    if (midi.learning) {
+        stopLearning();
+        return;
     }
+    midiLearn.classList.add('active');
+    midiLearn.textContent = 'Move a control…';
+    midi.learn(midiTarget.value, () => {
+        stopLearning();
+        renderMidiMappings();
+    });
+});
 
-    getAudioData(time) {
-        let low = 0, mid = 0, high = 0;
+document.getElementById('btn-midi-connect').addEventListener('click', async () => {
+    try {
+        await midi.connect();
+    } catch (err) {
+        console.error("Error connecting MIDI:", err);
+        alert("Could not connect MIDI: " + err.message);
+    }
+});
 
-        if (isAudioActive && analyser) {
-            analyser.getByteFrequencyData(dataArray);
-            const bufferLength = analyser.frequencyBinCount;
-            const lowBound = Math.floor(bufferLength * 0.1);
-            const midBound = Math.floor(bufferLength * 0.5);
+setInterval(() => {
+    const names = Array.from(midi.inputs).filter(input => !(input instanceof VirtualMidiInput)).map(input => input.name);
+    midiStatus.textContent = names.length > 0 ? names.join(', ') : 'No devices connected';
 
-            let lowSum = 0, midSum = 0, highSum = 0;
-            for (let i = 0; i < bufferLength; i++) {
-                const val = dataArray[i] / 255.0;
-                if (i < lowBound) lowSum += val;
-                else if (i < midBound) midSum += val;
-                else highSum += val;
-            }
-            low = lowSum / lowBound;
-            mid = midSum / (midBound - lowBound);
-            high = highSum / (bufferLength - midBound);
-        } else {
-            // Demo Mode
-            low = (Math.sin(time * 2.0) * 0.5 + 0.5) * 0.8;
-            mid = (Math.sin(time * 1.5 + 1.0) * 0.5 + 0.5) * 0.6;
-            high = (Math.sin(time * 3.0 + 2.0) * 0.5 + 0.5) * 0.5;
+    if (remoteSettingsChanged) {
+        scheduleUrlSync();
+        if (!settingsPanel.classList.contains('hidden')) {
+            renderSettings();
+            renderEffectParams();
         }
-
-        return { low, mid, high };
     }
+    remoteSettingsChanged = false;
+}, 250);
+
+// On-screen controller: four knobs (CC 1-4) and four pads (notes 36-39) on
+// channel 1, sent through a VirtualMidiInput like any hardware
+const virtualMidi = new VirtualMidiInput();
+midi.addInput(virtualMidi);
+
+for (let i = 0; i < 4; i++) {
+    const label = document.createElement('label');
+    const knob = document.createElement('input');
+    knob.type = 'range';
+    knob.min = 0;
+    knob.max = 127;
+    knob.value = 0;
+    knob.addEventListener('input', () => virtualMidi.controlChange(1, i + 1, parseInt(knob.value, 10)));
+    label.append(knob, 'CC ' + (i + 1));
+    document.getElementById('midi-virtual-knobs').appendChild(label);
+
+    const pad = document.createElement('button');
+    pad.className = 'player-btn';
+    pad.textContent = String(36 + i);
+    pad.addEventListener('pointerdown', () => virtualMidi.noteOn(1, 36 + i));
+    pad.addEventListener('pointerup', () => virtualMidi.noteOff(1, 36 + i));
+    pad.addEventListener('pointerleave', () => {
+        if (midi.pressed[`note:1:${36 + i}`]) virtualMidi.noteOff(1, 36 + i);
+    });
+    document.getElementById('midi-virtual-pads').appendChild(pad);
+}
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
-
-        const time = performance.now() * 0.001;
-        const audioData = this.getAudioData(time);
-
-        // Smooth mouse interpolation
-        this.mouse.lerp(this.targetMouse, 0.1);
+renderMidiTargets();
+renderMidiMappings();
+onEffectRegistered(() => {
+    renderMidiTargets();
+    renderMidiMappings();
+});
 
-        if (this.currentEffect) {
-            this.currentEffect.update(time, audioData, this.mouse, this.isDragging);
+// Remote control (OSC through the bridge)
+const remoteEnabled = document.getElementById('remote-enabled');
+const remoteUrl = document.getElementById('remote-url');
+const remoteStatus = document.getElementById('remote-status');
+
+// /mode <id | index>, /param/<effect>/<name> <value>, /beat,
+// /transition <type> [duration]. Anything else is ignored: desks tend to
+// broadcast far more than any one receiver uses.
+function applyRemoteMessage(address, args) {
+    const [kind, key, name] = address.split('/').slice(1);
+    const value = args[0];
+    switch (kind) {
+        case 'mode': {
+            const EffectClass = typeof value === 'number' ? listEffects()[Math.floor(value)] : getEffect(value);
+            if (EffectClass && EffectClass.id !== manager.currentMode) manager.switchMode(EffectClass.id);
+            break;
         }
-
-        this.composer.render();
+        case 'param': {
+            const EffectClass = getEffect(key);
+            const spec = EffectClass && EffectClass.params && EffectClass.params[name];
+            const clamped = spec ? validParamValue(spec, value) : null;
+            if (clamped === null) return;
+            manager.getParams(key)[name] = clamped;
+            remoteSettingsChanged = true;
+            break;
+        }
+        case 'beat':
+            manager.triggerBeat();
+            break;
+        case 'transition':
+            // Sets how the next mode switch blends
+            if (value === 'cut' || value in TRANSITIONS) {
+                CONFIG.transitionType = value;
+                transitionType.value = value;
+            }
+            if (isValidConfigValue('transitionDuration', args[1])) CONFIG.transitionDuration = args[1];
+            scheduleUrlSync();
+            break;
     }
 }
 
-// --- Initialization ---
-try {
-    manager = new VisualizerManager();
-    console.log("Visualizer initialized successfully");
-} catch (err) {
-    console.error("Initialization error:", err);
-    alert("Error initializing visualizer: " + err.message);
-}
+const remote = new RemoteControlClient(applyRemoteMessage);
+let remoteUrlTyped = false; // Only then may the address be another machine
 
-// Event Listeners
-const btnSystem = document.getElementById('btn-system');
-if (btnSystem) {
-    btnSystem.addEventListener('click', () => {
-        console.log("System Audio button clicked");
-        startAudio('system');
-    });
-} else {
-    console.error("System Audio button not found!");
+function updateRemote() {
+    if (CONFIG.remoteControl) {
+        if (remote.url !== CONFIG.remoteUrl || remote.state === 'off') remote.connect(CONFIG.remoteUrl, remoteUrlTyped);
+    } else {
+        remote.disconnect();
+    }
 }
 
-document.getElementById('btn-mic').addEventListener('click', () => startAudio('mic'));
-document.getElementById('btn-demo').addEventListener('click', () => {
-    document.getElementById('overlay').classList.add('hidden');
-    document.getElementById('controls').classList.remove('hidden');
+remoteEnabled.addEventListener('change', () => {
+    CONFIG.remoteControl = remoteEnabled.checked;
+    updateRemote();
 });
-
-document.querySelectorAll('.mode-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-        document.querySelectorAll('.mode-btn').forEach(b => b.classList.remove('active'));
-        e.target.classList.add('active');
-        manager.switchMode(e.target.dataset.mode);
-    });
+remoteUrl.addEventListener('change', () => {
+    CONFIG.remoteUrl = remoteUrl.value.trim() || CONFIG_DEFAULTS.remoteUrl;
+    remoteUrl.value = CONFIG.remoteUrl;
+    remoteUrlTyped = true;
+    updateRemote();
 });
+remoteEnabled.checked = CONFIG.remoteControl;
+remoteUrl.value = CONFIG.remoteUrl;
+
+const REMOTE_STATUS = {
+    off: 'Off',
+    connecting: 'Waiting for the bridge…',
+    connected: 'Connected'
+};
+
+setInterval(() => {
+    remoteStatus.textContent = remote.state === 'error' ? remote.error : REMOTE_STATUS[remote.state];
+}, 250);